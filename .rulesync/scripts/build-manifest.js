@@ -4,16 +4,36 @@
  * Build Skill Manifest
  *
  * Generates .rulesync/manifest/skill-manifest.json from all skill frontmatter.
- * Run: node scripts/build-manifest.js [--watch] [--validate]
+ * Run: node .rulesync/scripts/build-manifest.js [--watch] [--validate]
+ *                                              [--deterministic] [--full]
+ *
+ * Builds are incremental: each skill entry records a content hash, and skills
+ * whose SKILL.md is unchanged are reused from the previous manifest. Use --full
+ * to re-parse everything. --deterministic pins generated_at to SOURCE_DATE_EPOCH
+ * (default: the Unix epoch) for byte-stable output.
+ *
+ * The manifest also carries a tag index mapping every tag, and each parent of
+ * a hierarchical tag, to the skills tagged with it.
  */
 
-const fs = require('fs').promises;
-const path = require('path');
-const yaml = require('js-yaml');
-
-const SKILLS_DIR = path.join(__dirname, '..', 'skills');
-const MANIFEST_DIR = path.join(__dirname, '..', 'manifest');
+import { createHash } from 'crypto';
+import { promises as fs, watch } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import YAML from 'yaml';
+import { joinPointer, validateSchema } from '../../scripts/lib/json-schema.js';
+import { tagAncestry } from '../../scripts/lib/taxonomy.js';
+
+const SCRIPT_DIR = path.dirname(fileURLToPath(import.meta.url));
+const ROOT_DIR = path.join(SCRIPT_DIR, '..', '..');
+const SKILLS_DIR = path.join(SCRIPT_DIR, '..', 'skills');
+const MANIFEST_DIR = path.join(SCRIPT_DIR, '..', 'manifest');
 const MANIFEST_FILE = path.join(MANIFEST_DIR, 'skill-manifest.json');
+const SCHEMA_FILE = path.join(MANIFEST_DIR, 'schema.json');
+const MANIFEST_VERSION = '1.0.0';
+const WATCH_DEBOUNCE_MS = 200;
+// Platforms the manifest schema accepts in a skill's platforms list
+const PLATFORMS = ['claudecode', 'opencode', 'copilot', 'codexcli', 'geminicli'];
 
 /**
  * Parse frontmatter from markdown file
@@ -23,7 +43,7 @@ function parseFrontmatter(content) {
   if (!match) return null;
 
   try {
-    return yaml.load(match[1]);
+    return YAML.parse(match[1]);
   } catch (e) {
     console.error(`Failed to parse frontmatter: ${e.message}`);
     return null;
@@ -47,127 +67,362 @@ function extractSkillReferences(content) {
 }
 
 /**
- * Build manifest from skills directory
+ * Extract subagent references from content
+ */
+function extractSubagentReferences(content) {
+  const references = new Set();
+  const regex = /\[subagent:([a-z0-9-]+)\]/g;
+
+  while (true) {
+    const match = regex.exec(content);
+    if (match === null) break;
+    references.add(match[1]);
+  }
+
+  return Array.from(references);
+}
+
+/**
+ * Hash skill file content so unchanged skills can be reused between builds
+ * @param {string} content - File content
+ * @returns {string} sha256:<hex>
  */
-async function buildManifest() {
+function hashContent(content) {
+  return `sha256:${createHash('sha256').update(content).digest('hex')}`;
+}
+
+/**
+ * Build the manifest entry for one skill
+ * @param {string} skillName - Skill directory name
+ * @param {string} content - SKILL.md content
+ * @returns {{skill?: Object, error?: string}}
+ */
+function parseSkill(skillName, content) {
+  const frontmatter = parseFrontmatter(content);
+  if (!frontmatter) {
+    return { error: 'No frontmatter found' };
+  }
+
+  const lines = content.split('\n');
+  const references = extractSkillReferences(content);
+
+  // Infer dependencies from skill references if not explicitly declared
+  const declaredDeps = frontmatter.depends_on || [];
+  const inferredDeps = references.filter(ref => ref !== skillName && !declaredDeps.includes(ref));
+
+  // Detect platforms from frontmatter, falling back to the targets the skill builds for
+  const targets = frontmatter.targets || ['*'];
+  let platforms = PLATFORMS.filter(platform => frontmatter[platform]);
+  if (platforms.length === 0) {
+    platforms = targets.includes('*')
+      ? [...PLATFORMS]
+      : PLATFORMS.filter(platform => targets.includes(platform));
+  }
+
+  return {
+    skill: {
+      name: frontmatter.name || skillName,
+      version: frontmatter.version || '0.0.1',
+      description: frontmatter.description || '',
+      tags: frontmatter.tags || [],
+      depends_on: declaredDeps,
+      inferred_dependencies: inferredDeps,
+      optional: frontmatter.optional || [],
+      conflicts_with: frontmatter.conflicts_with || [],
+      subagent_references: extractSubagentReferences(content),
+      file_path: `.rulesync/skills/${skillName}/SKILL.md`,
+      line_count: lines.length,
+      targets,
+      platforms,
+      content_hash: hashContent(content),
+    },
+  };
+}
+
+/**
+ * Collect skill metadata from skills directory
+ *
+ * Entries from a previous manifest are reused when the skill's content hash
+ * is unchanged. With `changed`, skills outside that set are reused without
+ * being read at all (used by --watch, which knows what changed).
+ *
+ * @param {string} [skillsDir] - Skills directory to scan
+ * @param {Object} [options]
+ * @param {Object} [options.previous] - Previously built manifest
+ * @param {Set<string>} [options.changed] - Skill names known to have changed
+ * @returns {Promise<{skills: Object, errors: Object[], stats: {parsed: number, reused: number}}>}
+ */
+async function collectSkills(skillsDir = SKILLS_DIR, { previous = null, changed = null } = {}) {
   const skills = {};
   const errors = [];
+  const stats = { parsed: 0, reused: 0 };
+  // Entries built by another manifest format version can't be trusted
+  const cached = previous?.version === MANIFEST_VERSION ? previous.skills || {} : {};
 
-  try {
-    const entries = await fs.readdir(SKILLS_DIR, { withFileTypes: true });
+  const entries = await fs.readdir(skillsDir, { withFileTypes: true });
+  const skillNames = entries
+    .filter(entry => entry.isDirectory())
+    .map(entry => entry.name)
+    .sort();
 
-    for (const entry of entries) {
-      if (!entry.isDirectory()) continue;
+  for (const skillName of skillNames) {
+    if (changed && !changed.has(skillName) && cached[skillName]?.content_hash) {
+      skills[skillName] = cached[skillName];
+      stats.reused++;
+      continue;
+    }
 
-      const skillName = entry.name;
-      const skillFile = path.join(SKILLS_DIR, skillName, 'SKILL.md');
+    const skillFile = path.join(skillsDir, skillName, 'SKILL.md');
 
-      try {
-        const content = await fs.readFile(skillFile, 'utf8');
-        const frontmatter = parseFrontmatter(content);
-
-        if (!frontmatter) {
-          errors.push({ skill: skillName, error: 'No frontmatter found' });
-          continue;
-        }
-
-        const lines = content.split('\n');
-        const references = extractSkillReferences(content);
-
-        // Infer dependencies from skill references if not explicitly declared
-        const declaredDeps = frontmatter.depends_on || [];
-        const inferredDeps = references.filter(
-          ref => ref !== skillName && !declaredDeps.includes(ref)
-        );
-
-        // Detect platforms from frontmatter
-        const platforms = [];
-        if (frontmatter.claudecode) platforms.push('claudecode');
-        if (frontmatter.opencode) platforms.push('opencode');
-        if (frontmatter.copilot) platforms.push('copilot');
-        if (frontmatter.codexcli) platforms.push('codexcli');
-        if (frontmatter.geminicli) platforms.push('geminicli');
-
-        skills[skillName] = {
-          name: frontmatter.name || skillName,
-          version: frontmatter.version || '0.0.1',
-          description: frontmatter.description || '',
-          tags: frontmatter.tags || [],
-          depends_on: declaredDeps,
-          inferred_dependencies: inferredDeps,
-          optional: frontmatter.optional || [],
-          conflicts_with: frontmatter.conflicts_with || [],
-          file_path: `.rulesync/skills/${skillName}/SKILL.md`,
-          line_count: lines.length,
-          platforms: platforms.length > 0 ? platforms : ['*'],
-        };
-      } catch (e) {
-        if (e.code === 'ENOENT') {
-          errors.push({ skill: skillName, error: 'SKILL.md not found' });
-        } else {
-          errors.push({ skill: skillName, error: e.message });
-        }
+    try {
+      const content = await fs.readFile(skillFile, 'utf8');
+
+      if (cached[skillName]?.content_hash === hashContent(content)) {
+        skills[skillName] = cached[skillName];
+        stats.reused++;
+        continue;
+      }
+
+      const { skill, error } = parseSkill(skillName, content);
+      if (error) {
+        errors.push({ skill: skillName, error });
+        continue;
+      }
+      skills[skillName] = skill;
+      stats.parsed++;
+    } catch (e) {
+      if (e.code === 'ENOENT') {
+        errors.push({ skill: skillName, error: 'SKILL.md not found' });
+      } else {
+        errors.push({ skill: skillName, error: e.message });
       }
     }
+  }
 
-    // Detect circular dependencies
-    const cycles = detectCircularDependencies(skills);
-
-    // Detect version conflicts
-    const conflicts = detectConflicts(skills);
-
-    const manifest = {
-      version: '1.0.0',
-      generated_at: new Date().toISOString(),
-      stats: {
-        total_skills: Object.keys(skills).length,
-        with_dependencies: Object.values(skills).filter(s => s.depends_on.length > 0).length,
-        with_conflicts: Object.values(skills).filter(s => s.conflicts_with.length > 0).length,
-        errors: errors.length,
-        circular_dependencies: cycles.length,
-        version_conflicts: conflicts.length,
-      },
-      errors: errors.length > 0 ? errors : undefined,
-      circular_dependencies: cycles.length > 0 ? cycles : undefined,
-      version_conflicts: conflicts.length > 0 ? conflicts : undefined,
-      skills,
-    };
-
-    // Write manifest
-    await fs.mkdir(MANIFEST_DIR, { recursive: true });
-    await fs.writeFile(MANIFEST_FILE, JSON.stringify(manifest, null, 2));
+  return { skills, errors, stats };
+}
 
-    console.log(`✓ Manifest built: ${MANIFEST_FILE}`);
-    console.log(`  - Total skills: ${manifest.stats.total_skills}`);
-    console.log(`  - With dependencies: ${manifest.stats.with_dependencies}`);
-    console.log(`  - With conflicts: ${manifest.stats.with_conflicts}`);
-
-    if (errors.length > 0) {
-      console.log(`\n⚠ ${errors.length} errors:`);
-      errors.forEach(e => {
-        console.log(`  - ${e.skill}: ${e.error}`);
-      });
+/**
+ * Digest of everything the manifest is built from: skill hashes and collection errors
+ * @param {Object} skills - Map of skill names to metadata
+ * @param {Object[]} errors - Collection errors
+ * @returns {string} sha256:<hex>
+ */
+function hashManifestInputs(skills, errors = []) {
+  const lines = Object.keys(skills)
+    .sort()
+    .map(name => `${name} ${skills[name].content_hash || ''}`);
+  return hashContent([...lines, JSON.stringify(errors)].join('\n'));
+}
+
+/**
+ * Pick the generated_at timestamp for a manifest
+ *
+ * Deterministic builds pin it to SOURCE_DATE_EPOCH (or the Unix epoch).
+ * Otherwise the previous timestamp is kept while the inputs are unchanged,
+ * so rebuilding without changes produces a byte-identical file.
+ *
+ * @param {string} contentHash - Result of hashManifestInputs
+ * @param {Object} [options]
+ * @param {Object} [options.previous] - Previously built manifest
+ * @param {boolean} [options.deterministic] - Pin the timestamp
+ * @returns {string} ISO 8601 timestamp
+ */
+function resolveGeneratedAt(contentHash, { previous = null, deterministic = false } = {}) {
+  if (deterministic) {
+    const epoch = Number(process.env.SOURCE_DATE_EPOCH || 0);
+    if (!Number.isFinite(epoch)) {
+      throw new Error(`Invalid SOURCE_DATE_EPOCH: ${process.env.SOURCE_DATE_EPOCH}`);
     }
+    return new Date(epoch * 1000).toISOString();
+  }
+  if (previous?.content_hash === contentHash && previous.generated_at) {
+    return previous.generated_at;
+  }
+  return new Date().toISOString();
+}
 
-    if (cycles.length > 0) {
-      console.log(`\n⚠ ${cycles.length} circular dependencies detected:`);
-      cycles.forEach(c => {
-        console.log(`  - ${c.join(' → ')}`);
-      });
+/**
+ * Index skills by tag
+ * A skill is listed under each of its tags and their parents, so
+ * "dotnet/performance" also lists skills tagged "dotnet/performance/aot".
+ * @param {Object} skills - Map of skill names to metadata
+ * @returns {Object<string, string[]>} Sorted tags to sorted skill names
+ */
+function buildTagIndex(skills) {
+  const index = new Map();
+  for (const [name, skill] of Object.entries(skills)) {
+    for (const tag of skill.tags || []) {
+      for (const ancestor of tagAncestry(String(tag))) {
+        if (!index.has(ancestor)) index.set(ancestor, new Set());
+        index.get(ancestor).add(name);
+      }
     }
+  }
 
-    if (conflicts.length > 0) {
-      console.log(`\n⚠ ${conflicts.length} version conflicts:`);
-      conflicts.forEach(c => {
-        console.log(`  - ${c.skill} conflicts with: ${c.conflicts.join(', ')}`);
-      });
+  return Object.fromEntries([...index.keys()].sort().map(tag => [tag, [...index.get(tag)].sort()]));
+}
+
+/**
+ * Create manifest object from collected skills
+ * @param {Object} skills - Map of skill names to metadata
+ * @param {Object[]} errors - Collection errors
+ * @param {Object} [options] - See resolveGeneratedAt
+ * @returns {Object} Manifest
+ */
+function createManifest(skills, errors = [], options = {}) {
+  // Detect circular dependencies
+  const cycles = detectCircularDependencies(skills);
+
+  // Detect version conflicts
+  const conflicts = detectConflicts(skills);
+
+  const contentHash = hashManifestInputs(skills, errors);
+
+  return {
+    version: MANIFEST_VERSION,
+    generated_at: resolveGeneratedAt(contentHash, options),
+    content_hash: contentHash,
+    stats: {
+      total_skills: Object.keys(skills).length,
+      with_dependencies: Object.values(skills).filter(s => s.depends_on.length > 0).length,
+      with_conflicts: Object.values(skills).filter(s => s.conflicts_with.length > 0).length,
+      errors: errors.length,
+      circular_dependencies: cycles.length,
+      version_conflicts: conflicts.length,
+    },
+    errors: errors.length > 0 ? errors : undefined,
+    circular_dependencies: cycles.length > 0 ? cycles : undefined,
+    version_conflicts: conflicts.length > 0 ? conflicts : undefined,
+    skills,
+    tags: buildTagIndex(skills),
+  };
+}
+
+/**
+ * Read the manifest currently on disk
+ * @returns {Promise<{manifest: Object|null, text: string|null}>}
+ */
+async function readExistingManifest() {
+  try {
+    const text = await fs.readFile(MANIFEST_FILE, 'utf8');
+    return { manifest: JSON.parse(text), text };
+  } catch {
+    // Missing or unreadable manifests are simply rebuilt from scratch
+    return { manifest: null, text: null };
+  }
+}
+
+/**
+ * Build manifest from skills directory and write it to disk
+ *
+ * Unchanged skills are reused from the previous manifest, and the file is
+ * only rewritten when its content changes.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.deterministic] - Pin generated_at (see resolveGeneratedAt)
+ * @param {boolean} [options.full] - Ignore the previous manifest and re-parse every skill
+ * @param {Object} [options.previous] - Previous manifest, instead of reading it from disk
+ * @param {Set<string>} [options.changed] - Skill names known to have changed
+ * @returns {Promise<Object>} Manifest
+ */
+async function buildManifest({ deterministic = false, full = false, previous, changed } = {}) {
+  const existing = await readExistingManifest();
+  const base = full ? null : (previous ?? existing.manifest);
+
+  const { skills, errors, stats } = await collectSkills(SKILLS_DIR, { previous: base, changed });
+  // --full only bypasses the cache; an unchanged result still keeps its timestamp
+  const manifest = createManifest(skills, errors, {
+    previous: previous ?? existing.manifest,
+    deterministic,
+  });
+  const cycles = manifest.circular_dependencies || [];
+  const conflicts = manifest.version_conflicts || [];
+
+  const text = JSON.stringify(manifest, null, 2);
+  if (text === existing.text) {
+    console.log(`✓ Manifest up to date: ${MANIFEST_FILE}`);
+  } else {
+    await fs.mkdir(MANIFEST_DIR, { recursive: true });
+    await fs.writeFile(MANIFEST_FILE, text);
+    console.log(`✓ Manifest built: ${MANIFEST_FILE}`);
+  }
+
+  console.log(`  - Total skills: ${manifest.stats.total_skills}`);
+  console.log(`  - Parsed: ${stats.parsed}, unchanged: ${stats.reused}`);
+  console.log(`  - With dependencies: ${manifest.stats.with_dependencies}`);
+  console.log(`  - With conflicts: ${manifest.stats.with_conflicts}`);
+
+  if (errors.length > 0) {
+    console.log(`\n⚠ ${errors.length} errors:`);
+    errors.forEach(e => {
+      console.log(`  - ${e.skill}: ${e.error}`);
+    });
+  }
+
+  if (cycles.length > 0) {
+    console.log(`\n⚠ ${cycles.length} circular dependencies detected:`);
+    cycles.forEach(c => {
+      console.log(`  - ${c.join(' → ')}`);
+    });
+  }
+
+  if (conflicts.length > 0) {
+    console.log(`\n⚠ ${conflicts.length} version conflicts:`);
+    conflicts.forEach(c => {
+      console.log(`  - ${c.skill} conflicts with: ${c.conflicts.join(', ')}`);
+    });
+  }
+
+  return manifest;
+}
+
+/**
+ * Rebuild the manifest when skills change
+ *
+ * Events are debounced and coalesced: a burst of saves (or a git checkout)
+ * triggers one incremental build covering every skill touched in the burst,
+ * and changes made while a build is running are picked up right after it.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.deterministic] - Pin generated_at
+ * @param {number} [options.delay] - Debounce delay in milliseconds
+ * @returns {Promise<import('fs').FSWatcher>}
+ */
+async function watchSkills({ deterministic = false, delay = WATCH_DEBOUNCE_MS } = {}) {
+  let previous = await buildManifest({ deterministic });
+  const pending = new Set();
+  let timer = null;
+  let building = false;
+
+  async function flush() {
+    timer = null;
+    building = true;
+    const changed = new Set(pending);
+    pending.clear();
+
+    console.log(`\nChange detected: ${[...changed].sort().join(', ')}`);
+    try {
+      previous = await buildManifest({ deterministic, previous, changed });
+    } catch (e) {
+      console.error(`✗ Failed to build manifest: ${e.message}`);
     }
 
-    return manifest;
-  } catch (e) {
-    console.error(`✗ Failed to build manifest: ${e.message}`);
-    process.exit(1);
+    building = false;
+    if (pending.size > 0) schedule();
+  }
+
+  function schedule() {
+    clearTimeout(timer);
+    timer = setTimeout(flush, delay);
   }
+
+  console.log('Watching for changes...');
+  return watch(SKILLS_DIR, { recursive: true }, (eventType, filename) => {
+    if (!filename?.endsWith('.md')) return;
+    pending.add(filename.split(path.sep)[0]);
+    if (!building) schedule();
+  });
 }
 
 /**
@@ -255,52 +510,141 @@ function detectConflicts(skills) {
 }
 
 /**
- * Validate manifest against schema
+ * Validate manifest against schema.json, plus checks the schema can't express:
+ * manifest keys match skill names, depends_on targets exist, file_path exists
+ * @returns {Promise<{valid: boolean, errors: Array<{path: string, message: string, source?: string}>}>}
  */
-async function validateManifest(manifest) {
-  // Basic validation
-  const required = ['version', 'generated_at', 'skills'];
-  for (const field of required) {
-    if (!(field in manifest)) {
-      throw new Error(`Missing required field: ${field}`);
+async function validateManifest(manifest, { schemaFile = SCHEMA_FILE, rootDir = ROOT_DIR } = {}) {
+  const schema = JSON.parse(await fs.readFile(schemaFile, 'utf8'));
+  const errors = validateSchema(manifest, schema).map(({ path: pointer, message }) => ({
+    path: pointer,
+    message,
+  }));
+  const skills = manifest.skills && typeof manifest.skills === 'object' ? manifest.skills : {};
+  const missingFiles = new Set();
+
+  for (const [key, skill] of Object.entries(skills)) {
+    const pointer = joinPointer('/skills', key);
+
+    if (skill.name !== undefined && skill.name !== key) {
+      errors.push({
+        path: joinPointer(pointer, 'name'),
+        message: `"${skill.name}" does not match its manifest key "${key}"`,
+      });
     }
-  }
 
-  // Validate version format
-  if (!/^\d+\.\d+\.\d+$/.test(manifest.version)) {
-    throw new Error(`Invalid manifest version: ${manifest.version}`);
+    (skill.depends_on || []).forEach((dep, i) => {
+      if (!skills[dep]) {
+        errors.push({
+          path: joinPointer(joinPointer(pointer, 'depends_on'), i),
+          message: `depends on "${dep}", which is not a skill in the manifest`,
+        });
+      }
+    });
+
+    if (typeof skill.file_path === 'string') {
+      try {
+        await fs.access(path.join(rootDir, skill.file_path));
+      } catch {
+        missingFiles.add(key);
+        errors.push({
+          path: joinPointer(pointer, 'file_path'),
+          message: `file "${skill.file_path}" does not exist`,
+        });
+      }
+    }
   }
 
-  // Validate timestamp
-  if (isNaN(Date.parse(manifest.generated_at))) {
-    throw new Error(`Invalid generated_at timestamp: ${manifest.generated_at}`);
+  // Point skill-level errors at the frontmatter that produced them
+  for (const error of errors) {
+    const match = error.path.match(/^\/skills\/([^/]+)/);
+    const key = match?.[1].replace(/~1/g, '/').replace(/~0/g, '~');
+    const filePath = key && skills[key]?.file_path;
+    if (filePath && !missingFiles.has(key)) error.source = filePath;
   }
 
-  console.log('✓ Manifest validation passed');
-  return true;
+  return { valid: errors.length === 0, errors };
 }
 
-// CLI
-const args = process.argv.slice(2);
+/**
+ * Validate the manifest file and print actionable errors
+ * @returns {Promise<boolean>} Whether the manifest is valid
+ */
+async function validateManifestFile(file = MANIFEST_FILE) {
+  let manifest;
+  try {
+    manifest = JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (e) {
+    const hint = e.code === 'ENOENT' ? ' (run npm run manifest:build first)' : '';
+    throw new Error(`Cannot read ${path.relative(ROOT_DIR, file)}: ${e.message}${hint}`, {
+      cause: e,
+    });
+  }
+
+  const { valid, errors } = await validateManifest(manifest);
+  if (valid) {
+    console.log(`✓ Manifest validation passed (${Object.keys(manifest.skills).length} skills)`);
+    return true;
+  }
 
-if (args.includes('--validate')) {
-  fs.readFile(MANIFEST_FILE, 'utf8')
-    .then(JSON.parse)
-    .then(validateManifest)
-    .catch(e => {
-      console.error(`✗ Validation failed: ${e.message}`);
+  console.error(`✗ Manifest validation failed with ${errors.length} error(s):`);
+  for (const error of errors) {
+    const source = error.source ? ` (fix in ${error.source})` : '';
+    console.error(`  - ${error.path}: ${error.message}${source}`);
+  }
+  return false;
+}
+
+/**
+ * CLI entry point
+ */
+function main() {
+  const args = process.argv.slice(2);
+  const deterministic = args.includes('--deterministic');
+
+  if (args.includes('--validate')) {
+    validateManifestFile()
+      .then(valid => {
+        if (!valid) process.exitCode = 1;
+      })
+      .catch(e => {
+        console.error(`✗ Validation failed: ${e.message}`);
+        process.exit(1);
+      });
+  } else if (args.includes('--watch')) {
+    watchSkills({ deterministic }).catch(e => {
+      console.error(`✗ Failed to build manifest: ${e.message}`);
       process.exit(1);
     });
-} else if (args.includes('--watch')) {
-  console.log('Watching for changes...');
-  const { watch } = require('fs');
+  } else {
+    buildManifest({ deterministic, full: args.includes('--full') }).catch(e => {
+      console.error(`✗ Failed to build manifest: ${e.message}`);
+      process.exit(1);
+    });
+  }
+}
 
-  watch(SKILLS_DIR, { recursive: true }, (eventType, filename) => {
-    if (filename?.endsWith('.md')) {
-      console.log(`\nChange detected: ${filename}`);
-      buildManifest();
-    }
-  });
-} else {
-  buildManifest();
+// Run if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
 }
+
+export {
+  MANIFEST_FILE,
+  SKILLS_DIR,
+  parseFrontmatter,
+  extractSkillReferences,
+  extractSubagentReferences,
+  hashContent,
+  parseSkill,
+  collectSkills,
+  hashManifestInputs,
+  buildTagIndex,
+  createManifest,
+  buildManifest,
+  watchSkills,
+  detectCircularDependencies,
+  detectConflicts,
+  validateManifest,
+  validateManifestFile,
+};
@@ -2,140 +2,586 @@
 /**
  * Update all skills with hierarchical tags
  *
- * Usage: node update-skill-tags.js [--dry-run]
+ * Usage: node .rulesync/scripts/update-skill-tags.js [--dry-run] [--report]
+ *                                                    [--normalize-only]
+ *                                                    [--threshold <0-1>]
  *
  * This script:
  * 1. Scans all skills in .rulesync/skills/
- * 2. Analyzes content to determine appropriate category
- * 3. Adds hierarchical tags (e.g., dotnet/testing/xunit)
- * 4. Updates frontmatter in-place
+ * 2. Rewrites tag aliases to their canonical tags from .rulesync/taxonomy.yaml
+ * 3. Scores every category against the skill's name, description, headings
+ *    and prose (code blocks are ignored)
+ * 4. Adds hierarchical tags (e.g., dotnet/testing) for each category whose
+ *    share of the total score reaches the confidence threshold and whose
+ *    keywords appear outside the body; dotnet/* tags only go to skills named
+ *    dotnet-* or already tagged dotnet
+ * 5. Updates the tags line of the frontmatter in-place
+ *
+ * --normalize-only skips steps 3 and 4. --report prints the category
+ * distribution and lists low-confidence skills for human review instead of
+ * updating anything.
  */
 
-const fs = require('fs');
-const path = require('path');
-const YAML = require('yaml');
+import { existsSync, readdirSync, readFileSync, writeFileSync } from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import YAML from 'yaml';
+import { tokenizeMarkdown } from '../../scripts/lib/markdown.js';
+import {
+  TAXONOMY_FILE,
+  loadTaxonomy,
+  normalizeTags,
+  resolveTag,
+  tagAncestry,
+} from '../../scripts/lib/taxonomy.js';
 
 const SKILLS_DIR = '.rulesync/skills';
-const DRY_RUN = process.argv.includes('--dry-run');
-
-// Category detection patterns
-const categoryPatterns = {
-  'dotnet/csharp': [/csharp|C#|\/\/.*language|syntax|nullable|async.*await/i],
-  'dotnet/testing': [/xunit|nunit|mstest|test|mock|fixture|assert/i],
-  'dotnet/data': [/ef.?core|entity.?framework|dapper|ado\.net|database|dbcontext|repository/i],
-  'dotnet/ui': [/blazor|maui|wpf|winui|winforms|uno|razor|component|render/i],
-  'dotnet/cloud': [/azure|aws|gcp|kubernetes|docker|container|aspire|orchestration/i],
-  'dotnet/security': [/auth|oauth|jwt|identity|security|owasp|encryption|cryptography/i],
-  'dotnet/performance': [/performance|optimization|benchmark|aot|trimming|memory|span|gc/i],
-  'dotnet/architecture': [/architecture|pattern|clean|vertical.?slice|cqrs|event.?sourcing|ddd/i],
-  'dotnet/api': [/api|rest|grpc|minimal.?api|controller|openapi|swagger|endpoint/i],
-  'dotnet/messaging': [/message|queue|event|signalr|kafka|rabbitmq|service.?bus/i],
-  'dotnet/devops': [/ci.?cd|github.?actions|azure.?devops|pipeline|deployment|release/i],
-  'dotnet/ai': [/semantic.?kernel|ai|ml|openai|llm|agent|vector/i],
-  'dotnet/cli': [/cli|command.?line|system\.commandline|spectre/i],
-  'dotnet/tooling': [/rulesync|eslint|analyzer|source.?generator|roslyn/i],
-  'wiki/documentation': [/wiki|documentation|llms\.txt|agents\.md|onboard|changelog/i],
-  general: [/deep.?research|research/i],
+
+// Exit codes
+const EXIT_SUCCESS = 0;
+const EXIT_ERROR = 1;
+
+// Where a match is found decides how much it counts
+const FIELD_WEIGHTS = { name: 8, description: 4, heading: 2, body: 1 };
+// Matches per pattern counted in body text, so long skills don't win on volume
+const BODY_MATCH_CAP = 5;
+// Share of a skill's total score a category needs to be tagged
+const DEFAULT_THRESHOLD = 0.25;
+// Weighted score below which a skill has too little signal to tag at all
+const MIN_SCORE = 8;
+const MAX_CATEGORIES = 3;
+// Top-level tag of the categories reserved for .NET-scoped skills
+const DOTNET_TAG = 'dotnet';
+
+// Category keywords, matched case-insensitively as whole words (a hyphen joins
+// words, so skill names such as dotnet-csharp-records don't match). Every
+// category must be a tag in the taxonomy. Words that also appear in ordinary
+// prose (ai, ui, ci, gc, rest, solid, api, pipeline) only count within a phrase
+const CATEGORY_KEYWORDS = {
+  'dotnet/csharp': [
+    'c#',
+    'csharp',
+    'nullable',
+    'records?',
+    'pattern matching',
+    'generics?',
+    'language features?',
+    'async/await',
+    'source generators?',
+    'coding standards',
+  ],
+  'dotnet/testing': [
+    'xunit',
+    'nunit',
+    'mstest',
+    'unit tests?',
+    'integration tests?',
+    'testing',
+    'test doubles?',
+    'mocks?',
+    'fixtures?',
+    'snapshot',
+    'playwright',
+    'coverage',
+  ],
+  'dotnet/data': [
+    'ef core',
+    'efcore',
+    'entity framework',
+    'dapper',
+    'ado\\.net',
+    'database',
+    'dbcontext',
+    '(?:ef|database|schema) migrations?',
+    'serialization',
+  ],
+  'dotnet/ui': [
+    'blazor',
+    'maui',
+    'wpf',
+    'winui',
+    'winforms',
+    'uno',
+    'xaml',
+    'razor',
+    'accessibility',
+    'ui frameworks?',
+    'user interfaces?',
+  ],
+  'dotnet/cloud': [
+    'azure(?! devops| pipelines?)',
+    'kubernetes',
+    'docker',
+    'containers?',
+    'aspire',
+    'cloud',
+  ],
+  'dotnet/security': [
+    'authentication',
+    'authorization',
+    'oauth',
+    'jwt',
+    'identity',
+    'security',
+    'owasp',
+    'encryption',
+    'cryptography',
+    'secrets?',
+  ],
+  'dotnet/performance': [
+    'performance',
+    'benchmarks?',
+    'benchmarkdotnet',
+    'native aot',
+    'aot',
+    'trimming',
+    'allocations?',
+    'span<t>',
+    'garbage collect(?:or|ion)',
+    'profiling',
+  ],
+  'dotnet/architecture': [
+    'architecture',
+    'clean architecture',
+    'vertical slices?',
+    'cqrs',
+    'event sourcing',
+    'ddd',
+    'domain model(?:ing)?',
+    'solid principles',
+    'dependency injection',
+  ],
+  'dotnet/api': [
+    'web apis?',
+    'http apis?',
+    'rest apis?',
+    'restful',
+    'grpc',
+    'minimal apis?',
+    'controllers?',
+    'openapi',
+    'swagger',
+    'endpoints?',
+    'middleware',
+    'http ?client',
+  ],
+  'dotnet/messaging': [
+    'messaging',
+    'message brokers?',
+    'queues?',
+    'signalr',
+    'kafka',
+    'rabbitmq',
+    'service bus',
+    'channels?',
+    'background services?',
+  ],
+  'dotnet/devops': [
+    'ci/cd',
+    'continuous integration',
+    'github actions',
+    'azure devops',
+    '(?:ci|build|release|deployment) pipelines?',
+    'deployments?',
+    'releases?',
+    'nuget',
+    'msbuild',
+    'packaging',
+  ],
+  'dotnet/ai': [
+    'semantic kernel',
+    'microsoft\\.extensions\\.ai',
+    'generative ai',
+    'ai agents?',
+    'llms?',
+    'openai',
+    'agent framework',
+    'vector (?:stores?|search|databases?)',
+    'embeddings?',
+  ],
+  'dotnet/cli': [
+    'cli',
+    'command[- ]line',
+    'system\\.commandline',
+    'spectre',
+    'terminal',
+    'console apps?',
+  ],
+  'dotnet/tooling': [
+    'rulesync',
+    'analyzers?',
+    'roslyn',
+    'editorconfig',
+    'tooling',
+    'dotnet tools?',
+    'debugging',
+  ],
+  documentation: [
+    'wiki',
+    'documentation',
+    'docs',
+    'llms\\.txt',
+    'agents\\.md',
+    'onboarding',
+    'changelog',
+    'vitepress',
+    'mermaid',
+  ],
+  research: ['deep research', 'research'],
 };
 
-// Function to detect category from skill content
-function detectCategory(skillName, content) {
-  for (const [category, patterns] of Object.entries(categoryPatterns)) {
+// Compiled keyword regexes per category
+const CATEGORY_PATTERNS = Object.fromEntries(
+  Object.entries(CATEGORY_KEYWORDS).map(([category, keywords]) => [
+    category,
+    keywords.map(keyword => new RegExp(`(?<![\\w#-])${keyword}(?![\\w#-])`, 'gi')),
+  ])
+);
+
+/**
+ * Split a skill into the fields the classifier weighs
+ * @param {Object} frontmatter - Parsed frontmatter
+ * @param {string} content - Full SKILL.md content
+ * @returns {{name: string, description: string, heading: string, body: string}}
+ */
+function skillFields(frontmatter, content) {
+  const headings = [];
+  const prose = [];
+  for (const token of tokenizeMarkdown(content)) {
+    if (token.type === 'heading') headings.push(token.text.replace(/^#+\s*/, ''));
+    else if (token.type === 'paragraph' || token.type === 'list-item') prose.push(token.text);
+  }
+
+  return {
+    // Skill names are kebab-case; score them as words
+    name: String(frontmatter.name || '').replace(/-/g, ' '),
+    description: String(frontmatter.description || ''),
+    heading: headings.join('\n'),
+    body: prose.join('\n'),
+  };
+}
+
+/**
+ * Score every category for a skill
+ * @param {Object} fields - Result of skillFields
+ * @returns {{category: string, score: number, confidence: number, prominent: boolean}[]}
+ *   Sorted by score, best first; prominent is true when a keyword matched outside the body
+ */
+function scoreCategories(fields) {
+  const scores = Object.entries(CATEGORY_PATTERNS).map(([category, patterns]) => {
+    let score = 0;
+    let prominent = false;
     for (const pattern of patterns) {
-      if (pattern.test(content) || pattern.test(skillName)) {
-        return category;
+      for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+        const matches = (fields[field].match(pattern) || []).length;
+        score += weight * (field === 'body' ? Math.min(matches, BODY_MATCH_CAP) : matches);
+        if (matches > 0 && field !== 'body') prominent = true;
       }
     }
-  }
-
-  // Default based on skill name prefix
-  if (skillName.startsWith('dotnet-')) return 'dotnet';
-  if (skillName.startsWith('wiki-')) return 'wiki/documentation';
-  if (skillName.startsWith('deep-')) return 'general';
+    return { category, score, prominent };
+  });
 
-  return 'general';
+  const total = scores.reduce((sum, entry) => sum + entry.score, 0);
+  return scores
+    .map(entry => ({ ...entry, confidence: total > 0 ? entry.score / total : 0 }))
+    .sort((a, b) => b.score - a.score);
 }
 
-// Main function
-function main() {
-  const skillsDir = path.resolve(SKILLS_DIR);
-
-  if (!fs.existsSync(skillsDir)) {
-    console.error(`Skills directory not found: ${skillsDir}`);
-    process.exit(1);
-  }
+/**
+ * Check whether a skill is about .NET: its name starts with dotnet- or it
+ * already has a dotnet tag
+ * @param {string} skillName - Skill name
+ * @param {string[]} tags - Current tags
+ * @returns {boolean}
+ */
+function isDotnetScoped(skillName, tags) {
+  return (
+    skillName.startsWith(`${DOTNET_TAG}-`) ||
+    tags.some(tag => tagAncestry(String(tag))[0] === DOTNET_TAG)
+  );
+}
 
-  console.log(`${DRY_RUN ? '[DRY RUN] ' : ''}Updating skill tags in ${SKILLS_DIR}...\n`);
+/**
+ * Pick the categories a skill should be tagged with
+ * A category needs a keyword in the name, description or a heading, not only
+ * in body prose. dotnet/* categories are only picked for .NET-scoped skills
+ * (see isDotnetScoped).
+ * @param {string} skillName - Skill name
+ * @param {Object} frontmatter - Parsed frontmatter
+ * @param {string} content - Full SKILL.md content
+ * @param {Object} [options]
+ * @param {number} [options.threshold] - Minimum share of the total score
+ * @returns {{categories: string[], scores: Object[], confident: boolean}}
+ */
+function detectCategories(skillName, frontmatter, content, { threshold = DEFAULT_THRESHOLD } = {}) {
+  const scores = scoreCategories(skillFields({ name: skillName, ...frontmatter }, content));
+  const total = scores.reduce((sum, entry) => sum + entry.score, 0);
+  const dotnetScoped = isDotnetScoped(skillName, frontmatter.tags || []);
+  const categories = scores
+    .filter(entry => entry.prominent && entry.confidence >= threshold)
+    .filter(entry => dotnetScoped || tagAncestry(entry.category)[0] !== DOTNET_TAG)
+    .slice(0, MAX_CATEGORIES)
+    .map(entry => entry.category);
 
-  let updated = 0;
-  let unchanged = 0;
-  let errors = 0;
+  return {
+    categories: total >= MIN_SCORE ? categories : [],
+    scores,
+    confident: total >= MIN_SCORE && categories.length > 0,
+  };
+}
 
-  // Process skills
-  const skills = fs
-    .readdirSync(skillsDir, { recursive: true })
-    .filter(file => file.endsWith('.md'))
-    .map(file => path.join(skillsDir, file));
+/**
+ * List SKILL.md files under the skills directory
+ * @param {string} skillsDir - Skills directory
+ * @returns {string[]}
+ */
+function listSkillFiles(skillsDir) {
+  return readdirSync(skillsDir, { withFileTypes: true })
+    .filter(
+      entry => entry.isDirectory() && existsSync(path.join(skillsDir, entry.name, 'SKILL.md'))
+    )
+    .map(entry => path.join(skillsDir, entry.name, 'SKILL.md'))
+    .sort();
+}
 
-  console.log(`Found ${skills.length} skill files\n`);
+/**
+ * Classify every skill
+ * @param {string} skillsDir - Skills directory
+ * @param {Object} [options]
+ * @param {number} [options.threshold] - Confidence threshold
+ * @returns {{results: Object[], errors: {file: string, message: string}[]}}
+ */
+function classifySkills(skillsDir, { threshold = DEFAULT_THRESHOLD } = {}) {
+  const results = [];
+  const errors = [];
 
-  for (const skillPath of skills) {
+  for (const file of listSkillFiles(skillsDir)) {
     try {
-      const content = fs.readFileSync(skillPath, 'utf-8');
+      const content = readFileSync(file, 'utf-8');
       const frontmatterMatch = content.match(/^---\s*\n([\s\S]*?)\n---/);
-
       if (!frontmatterMatch) {
-        console.log(`⚠ No frontmatter: ${path.basename(skillPath)}`);
-        errors++;
+        errors.push({ file, message: 'No frontmatter' });
         continue;
       }
 
-      const frontmatter = YAML.parse(frontmatterMatch[1]);
+      const frontmatter = YAML.parse(frontmatterMatch[1]) || {};
       if (!frontmatter.name) {
-        console.log(`⚠ No name: ${path.basename(skillPath)}`);
-        errors++;
+        errors.push({ file, message: 'No name' });
         continue;
       }
 
-      const category = detectCategory(frontmatter.name, content);
-      const existingTags = frontmatter.tags || [];
-      const newTags = new Set(existingTags);
+      const detected = detectCategories(frontmatter.name, frontmatter, content, { threshold });
+      results.push({
+        file,
+        name: frontmatter.name,
+        frontmatter,
+        content,
+        ...detected,
+      });
+    } catch (e) {
+      errors.push({ file, message: e.message });
+    }
+  }
 
-      if (!existingTags.some(tag => tag.startsWith(category.split('/')[0]))) {
-        newTags.add(category);
-      }
+  return { results, errors };
+}
 
-      if (!newTags.has('dotnet') && category.startsWith('dotnet/')) {
-        newTags.add('dotnet');
-      }
+/**
+ * Check that every category the classifier can emit is a taxonomy tag
+ * @param {Object} taxonomy - Result of loadTaxonomy
+ * @returns {string[]} Categories missing from the taxonomy
+ */
+function missingCategories(taxonomy) {
+  return Object.keys(CATEGORY_KEYWORDS).filter(category => !taxonomy.tags.has(category));
+}
 
-      const tagsArray = Array.from(newTags).sort();
-
-      if (JSON.stringify(existingTags.sort()) !== JSON.stringify(tagsArray)) {
-        if (!DRY_RUN) {
-          frontmatter.tags = tagsArray;
-          const newFrontmatter = YAML.stringify(frontmatter, { lineWidth: 120, noRefs: true });
-          const newContent = `---\n${newFrontmatter}---\n${content.substring(frontmatterMatch[0].length)}`;
-          fs.writeFileSync(skillPath, newContent);
-        }
-        console.log(
-          `✓ ${path.basename(skillPath)}: ${existingTags.join(', ') || '(none)'} → ${tagsArray.join(', ')}`
-        );
-        updated++;
-      } else {
-        unchanged++;
-      }
-    } catch (e) {
-      console.log(`✗ Error processing ${path.basename(skillPath)}: ${e.message}`);
-      errors++;
+/**
+ * Compute the tags a skill should have after normalizing and adding its categories
+ * Existing tags keep their order with aliases made canonical; detected
+ * categories are appended together with their top-level tag (dotnet for dotnet/*).
+ * @param {Object} taxonomy - Result of loadTaxonomy
+ * @param {string[]} existingTags - Current tags
+ * @param {string[]} [categories] - Detected categories
+ * @returns {string[]}
+ */
+function mergeTags(taxonomy, existingTags, categories = []) {
+  const tags = new Set(normalizeTags(taxonomy, existingTags));
+  for (const category of categories) {
+    tags.add(tagAncestry(category)[0]);
+    tags.add(category);
+  }
+  return [...tags];
+}
+
+/**
+ * Replace the tags field in a file's frontmatter, leaving every other line untouched
+ * Tags are written as a flow sequence (tags: ['a', 'b']). A file without tags
+ * gets the field after targets, or at the end of its frontmatter.
+ * @param {string} content - File content
+ * @param {string[]} tags - New tags
+ * @returns {string} Updated content
+ */
+function replaceTags(content, tags) {
+  const lines = content.split('\n');
+  const end = lines.indexOf('---', 1);
+  const tagsLine = `tags: [${tags.map(tag => `'${tag}'`).join(', ')}]`;
+  // A field spans its key line plus indented or "- " continuation lines
+  const fieldEnd = start => {
+    let i = start + 1;
+    while (i < end && /^(\s|-\s)/.test(lines[i])) i++;
+    return i;
+  };
+
+  const tagsStart = lines.findIndex((line, i) => i < end && /^tags:/.test(line));
+  if (tagsStart !== -1) {
+    lines.splice(tagsStart, fieldEnd(tagsStart) - tagsStart, tagsLine);
+  } else {
+    const targets = lines.findIndex((line, i) => i < end && /^targets:/.test(line));
+    lines.splice(targets !== -1 ? fieldEnd(targets) : end, 0, tagsLine);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Render the category distribution and low-confidence skills
+ * @param {Object[]} results - Results from classifySkills
+ * @param {Object} [options]
+ * @param {number} [options.threshold] - Confidence threshold used
+ * @returns {string}
+ */
+function formatReport(results, { threshold = DEFAULT_THRESHOLD } = {}) {
+  const distribution = new Map(Object.keys(CATEGORY_KEYWORDS).map(category => [category, 0]));
+  for (const result of results) {
+    for (const category of result.categories) {
+      distribution.set(category, distribution.get(category) + 1);
     }
   }
 
-  console.log(`\n${DRY_RUN ? '[DRY RUN] ' : ''}Summary:`);
+  const lines = [`Category distribution (${results.length} skills, threshold ${threshold}):`];
+  for (const [category, count] of [...distribution].sort((a, b) => b[1] - a[1])) {
+    lines.push(`  ${category.padEnd(22)} ${String(count).padStart(4)}  ${'█'.repeat(count)}`);
+  }
+
+  const low = results.filter(result => !result.confident || result.categories.length === 0);
+  lines.push('', `Low-confidence skills (${low.length}):`);
+  for (const result of low) {
+    const top = result.scores
+      .slice(0, 3)
+      .filter(entry => entry.score > 0)
+      .map(entry => `${entry.category} ${Math.round(entry.confidence * 100)}%`)
+      .join(', ');
+    lines.push(`  ⚠ ${result.name}: ${top || 'no keyword matches'}`);
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Main CLI function
+ * @returns {number} Exit code
+ */
+function main() {
+  const { values } = parseArgs({
+    options: {
+      'dry-run': { type: 'boolean', default: false },
+      report: { type: 'boolean', default: false },
+      'normalize-only': { type: 'boolean', default: false },
+      threshold: { type: 'string', default: String(DEFAULT_THRESHOLD) },
+    },
+  });
+
+  const threshold = Number(values.threshold);
+  if (!(threshold > 0 && threshold <= 1)) {
+    console.error(`--threshold must be a number between 0 and 1, got "${values.threshold}"`);
+    return EXIT_ERROR;
+  }
+
+  const skillsDir = path.resolve(SKILLS_DIR);
+  if (!existsSync(skillsDir)) {
+    console.error(`Skills directory not found: ${skillsDir}`);
+    return EXIT_ERROR;
+  }
+
+  let taxonomy;
+  try {
+    taxonomy = loadTaxonomy();
+  } catch (e) {
+    console.error(`✗ ${e.message}`);
+    return EXIT_ERROR;
+  }
+  const missing = missingCategories(taxonomy);
+  if (missing.length > 0) {
+    console.error(`✗ Categories missing from ${TAXONOMY_FILE}: ${missing.join(', ')}`);
+    return EXIT_ERROR;
+  }
+
+  const { results, errors } = classifySkills(skillsDir, { threshold });
+
+  if (values.report) {
+    process.stdout.write(formatReport(results, { threshold }));
+    for (const error of errors)
+      console.log(`✗ ${path.basename(path.dirname(error.file))}: ${error.message}`);
+    return errors.length > 0 ? EXIT_ERROR : EXIT_SUCCESS;
+  }
+
+  const dryRun = values['dry-run'];
+  console.log(`${dryRun ? '[DRY RUN] ' : ''}Updating skill tags in ${SKILLS_DIR}...\n`);
+  console.log(`Found ${results.length + errors.length} skill files\n`);
+
+  let updated = 0;
+  let unchanged = 0;
+
+  for (const result of results) {
+    const existingTags = result.frontmatter.tags || [];
+    const categories = values['normalize-only'] ? [] : result.categories;
+    const tagsArray = mergeTags(taxonomy, existingTags, categories);
+
+    const unknown = tagsArray.filter(tag => resolveTag(taxonomy, tag).status === 'unknown');
+    if (unknown.length > 0) {
+      console.log(`⚠ ${result.name}: unknown tags kept: ${unknown.join(', ')}`);
+    }
+
+    if (JSON.stringify(existingTags) === JSON.stringify(tagsArray)) {
+      unchanged++;
+      continue;
+    }
+
+    if (!dryRun) {
+      writeFileSync(result.file, replaceTags(result.content, tagsArray));
+    }
+    console.log(
+      `✓ ${result.name}: ${existingTags.join(', ') || '(none)'} → ${tagsArray.join(', ')}`
+    );
+    updated++;
+  }
+
+  for (const error of errors) {
+    console.log(`⚠ ${error.message}: ${path.basename(path.dirname(error.file))}`);
+  }
+
+  console.log(`\n${dryRun ? '[DRY RUN] ' : ''}Summary:`);
   console.log(`  Updated: ${updated}`);
   console.log(`  Unchanged: ${unchanged}`);
-  console.log(`  Errors: ${errors}`);
-  console.log(`  Total: ${skills.length}`);
+  console.log(`  Errors: ${errors.length}`);
+  console.log(`  Total: ${results.length + errors.length}`);
+
+  return errors.length > 0 ? EXIT_ERROR : EXIT_SUCCESS;
 }
 
-main();
+// Run if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  process.exitCode = main();
+}
+
+export {
+  CATEGORY_KEYWORDS,
+  skillFields,
+  scoreCategories,
+  isDotnetScoped,
+  detectCategories,
+  classifySkills,
+  missingCategories,
+  mergeTags,
+  replaceTags,
+  formatReport,
+};
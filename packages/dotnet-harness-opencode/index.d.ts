@@ -4,32 +4,86 @@
  * Type definitions for the OpenCode plugin
  */
 
+import type { ToolDefinition } from '@opencode-ai/plugin/tool';
+
 export interface PluginContext {
-  project: {
+  project?: {
     name: string;
     path: string;
   };
-  client: any;
-  $: any;
-  directory: string;
-  worktree: string;
+  /** Project directory; defaults to process.cwd() */
+  directory?: string;
+  worktree?: string;
+}
+
+export interface UpdateReport {
+  /** When the install or update ran (ISO 8601) */
+  at: string;
+  /** Previously installed plugin version, or null on first install */
+  from: string | null;
+  to: string;
+  /** Files changed to the new bundled version, including merged ones (paths relative to .opencode/) */
+  updated: string[];
+  /** Files with local edits that were kept */
+  customized: string[];
+  /** Files whose local edits conflict with the new version; see the .orig/.new files next to them */
+  conflicted: string[];
+  /** Files from an install made before the lock file, replaced and backed up as .bak */
+  adopted: string[];
+}
+
+/** bundled/metadata.json, written by scripts/build.js */
+export interface BundleMetadata {
+  version: string;
+  /** Build time (ISO 8601), pinned by SOURCE_DATE_EPOCH when set */
+  builtAt: string;
+  /** sha256 over every bundled file path and content */
+  digest: string;
+  counts: {
+    agents: number;
+    skills: number;
+    commands: number;
+    rules: number;
+    plugins: number;
+  };
 }
 
 export interface PluginInfo {
   name: string;
   version: string;
   description: string;
+  /** Bundle counts; all 0 when the bundle hasn't been built */
   agents: number;
   skills: number;
+  commands: number;
+  rules: number;
+  plugins: number;
+  /** From bundled/metadata.json; null when the bundle hasn't been built */
+  builtAt: string | null;
+  digest: string | null;
+  /** Report of the last install or update, or null if not installed */
+  lastUpdate: UpdateReport | null;
+}
+
+/** Defined with tool() from @opencode-ai/plugin; execute throws on an unknown skill */
+export type PluginTool = ToolDefinition;
+
+/** Tools over bundled/catalog.json; empty when the bundle hasn't been built */
+export interface PluginTools {
+  dotnet_harness_search_skills?: PluginTool;
+  dotnet_harness_get_skill?: PluginTool;
+  dotnet_harness_list_subagents?: PluginTool;
 }
 
 export interface PluginHooks {
+  tool?: PluginTools;
   'plugin.install'?: () => Promise<void>;
+  'plugin.uninstall'?: () => Promise<void>;
   'installation.updated'?: () => Promise<void>;
   'plugin.info'?: () => PluginInfo;
 }
 
-export type DotnetHarnessPlugin = (context: PluginContext) => PluginHooks;
+export type DotnetHarnessPlugin = (context: PluginContext) => Promise<PluginHooks>;
 
 declare const plugin: DotnetHarnessPlugin;
 export = plugin;
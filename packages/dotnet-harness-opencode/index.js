@@ -1,6 +1,17 @@
 const fs = require('fs');
 const fsp = require('fs/promises');
 const path = require('path');
+const {
+  ADOPTED_SUFFIX,
+  CONFLICT_SUFFIXES,
+  installBundledContent,
+  removeInstalledContent,
+} = require('./lib/install');
+const { readCatalog } = require('./lib/catalog');
+const { LEDGER_FILE } = require('./lib/ledger');
+const { describeBundle, readMetadata } = require('./lib/metadata');
+const { createSelection, readInstallConfig } = require('./lib/selection');
+const { createTools } = require('./lib/tools');
 
 /**
  * dotnet-harness OpenCode Plugin
@@ -8,6 +19,17 @@ const path = require('path');
  * This plugin bundles agents, skills, commands, and rules for .NET development
  * and installs them into the project's .opencode/ directory.
  *
+ * Installed files are recorded with their hashes in
+ * .opencode/.dotnet-harness.lock.json. Updates and uninstall only touch files
+ * in that ledger; local edits are merged into updates and kept on uninstall.
+ * See lib/install.js. A project can install a subset of the bundle through
+ * .dotnet-harness.json or opencode.json; see lib/selection.js.
+ *
+ * Tools for searching skills, loading a skill with its dependencies and
+ * listing subagents by domain read bundled/catalog.json. They are defined with
+ * OpenCode's tool() helper from @opencode-ai/plugin, an ES module, so the
+ * plugin loads it with import() and is itself async. See lib/tools.js.
+ *
  * Bundled directory layout (mirrors OpenCode's generated structure):
  *   bundled/agent/      -> .opencode/agent/
  *   bundled/command/    -> .opencode/command/
@@ -28,9 +50,6 @@ const PLUGIN_VERSION = (() => {
   }
 })();
 
-// Content directories to install (same names in bundled/ and .opencode/)
-const CONTENT_DIRS = ['agent', 'command', 'skill', 'memories', 'plugins'];
-
 /**
  * Get the bundled content directory
  */
@@ -38,47 +57,49 @@ function getBundledDir() {
   return path.join(__dirname, 'bundled');
 }
 
+// Counts and digest written by scripts/build.js (read once at load, like the version)
+const BUNDLE_METADATA = readMetadata(getBundledDir());
+const BUNDLE_CATALOG = readCatalog(getBundledDir());
+
 /**
- * Copy directory contents recursively using async I/O
+ * Log a list of files under a heading, if there are any
+ * @param {string} heading - What happened to the files
+ * @param {string[]} files - Paths relative to .opencode/
+ * @param {Function} [write] - console.log or console.warn
  */
-async function copyDir(src, dest) {
-  await fsp.mkdir(dest, { recursive: true });
-
-  const entries = await fsp.readdir(src, { withFileTypes: true });
-
-  for (const entry of entries) {
-    const srcPath = path.join(src, entry.name);
-    const destPath = path.join(dest, entry.name);
-
-    if (entry.isDirectory()) {
-      await copyDir(srcPath, destPath);
-    } else {
-      await fsp.copyFile(srcPath, destPath);
-    }
+function logFiles(heading, files, write = console.log) {
+  if (files.length === 0) return;
+  write(`[${PLUGIN_NAME}] ${heading} (${files.length}):`);
+  for (const file of files) {
+    write(`[${PLUGIN_NAME}]   ${file}`);
   }
 }
 
 /**
- * Remove directory contents recursively for plugin uninstall
+ * Read the project's install configuration, reporting what it selects
+ * @param {string} projectDir - Project directory
+ * @returns {Promise<Function|undefined>} Selection filter, or undefined to install everything
  */
-async function removeInstalledContent(projectDir) {
-  const opencodeDir = path.join(projectDir, '.opencode');
-
-  for (const dirName of CONTENT_DIRS) {
-    const destDir = path.join(opencodeDir, dirName);
-    try {
-      await fsp.rm(destDir, { recursive: true, force: true });
-      console.log(`[${PLUGIN_NAME}] Removed ${dirName}/ from ${destDir}`);
-    } catch {
-      // Directory may not exist; that's fine
-    }
+async function loadSelection(projectDir) {
+  const installConfig = await readInstallConfig(projectDir);
+  if (!installConfig) return undefined;
+  if (!BUNDLE_CATALOG) {
+    throw new Error(
+      `${installConfig.source} selects content, but the bundle has no catalog. Run 'npm run build' first.`
+    );
   }
+
+  const selection = createSelection(installConfig.config, BUNDLE_CATALOG);
+  console.log(`[${PLUGIN_NAME}] Using install selection from ${installConfig.source}`);
+  logFiles('Unknown skills in the install selection', selection.unknown, console.warn);
+  logFiles('Added skills required by selected skills (depends_on)', selection.dependencies);
+  return selection.includes;
 }
 
 /**
- * Install bundled content to project
+ * Install bundled content to project, reporting what changed
  */
-async function installBundledContent(projectDir) {
+async function installContent(projectDir) {
   const bundledDir = getBundledDir();
 
   try {
@@ -90,18 +111,110 @@ async function installBundledContent(projectDir) {
     return;
   }
 
-  const opencodeDir = path.join(projectDir, '.opencode');
-
-  for (const dirName of CONTENT_DIRS) {
-    const srcDir = path.join(bundledDir, dirName);
-    try {
-      await fsp.access(srcDir);
-      const destDir = path.join(opencodeDir, dirName);
-      await copyDir(srcDir, destDir);
-      console.log(`[${PLUGIN_NAME}] Installed ${dirName}/ to ${destDir}`);
-    } catch {
-      // Source directory may not exist for all content types; skip silently
-    }
+  const select = await loadSelection(projectDir);
+  const summary = await installBundledContent(projectDir, {
+    bundledDir,
+    pluginName: PLUGIN_NAME,
+    pluginVersion: PLUGIN_VERSION,
+    select,
+  });
+
+  if (summary.from && summary.from !== summary.to) {
+    console.log(`[${PLUGIN_NAME}] Updating from v${summary.from} to v${summary.to}`);
+  }
+  console.log(
+    `[${PLUGIN_NAME}] ${summary.installed.length} installed, ${summary.updated.length} updated, ` +
+      `${summary.merged.length} merged, ${summary.unchanged.length} unchanged, ` +
+      `${summary.removed.length} removed, ${summary.excluded.length} excluded by selection`
+  );
+  logFiles(
+    `Adopted files from an install without ${LEDGER_FILE}; replaced copies kept as ${ADOPTED_SUFFIX}`,
+    summary.adopted,
+    console.warn
+  );
+  logFiles('Merged bundled changes into locally customized files', summary.merged);
+  logFiles('Kept locally customized files (no bundled changes)', summary.customized);
+  logFiles('Accepted your resolution of earlier conflicts', summary.resolved);
+  // Without a stored copy of the previous version, only the bundled one is written
+  const withBase = summary.conflicted.filter(file =>
+    summary.conflictFiles.includes(`${file}${CONFLICT_SUFFIXES.base}`)
+  );
+  logFiles(
+    `Conflicts: kept your version; compare with ${CONFLICT_SUFFIXES.base} (previous) and ${CONFLICT_SUFFIXES.bundled} (bundled)`,
+    withBase,
+    console.warn
+  );
+  logFiles(
+    `Conflicts: kept your version; no previous version is stored, compare with ${CONFLICT_SUFFIXES.bundled} (bundled)`,
+    summary.conflicted.filter(file => !withBase.includes(file)),
+    console.warn
+  );
+  logFiles(
+    'Skipped files not installed by this plugin (delete them to receive the bundled version)',
+    summary.unmanaged,
+    console.warn
+  );
+}
+
+/**
+ * Remove installed content recorded in the install ledger, reporting what was kept
+ */
+async function uninstallContent(projectDir) {
+  const summary = await removeInstalledContent(projectDir);
+
+  if (!summary.ledger) {
+    console.warn(`[${PLUGIN_NAME}] Warning: no ${LEDGER_FILE} in .opencode/; nothing was removed`);
+    return;
+  }
+
+  console.log(`[${PLUGIN_NAME}] Removed ${summary.removed.length} installed files`);
+  logFiles('Kept locally customized files', summary.customized, console.warn);
+}
+
+/**
+ * Read the report of the last install or update from the ledger
+ * @param {string} projectDir - Project directory
+ * @returns {Object|null} Versions plus customized, updated and conflicted files
+ */
+function readLastUpdate(projectDir) {
+  try {
+    const ledger = JSON.parse(
+      fs.readFileSync(path.join(projectDir, '.opencode', LEDGER_FILE), 'utf8')
+    );
+    return ledger.lastUpdate || null;
+  } catch {
+    // Not installed yet, or the ledger is unreadable; install reports the latter
+    return null;
+  }
+}
+
+/**
+ * Create the catalog tools with OpenCode's tool() helper
+ * @returns {Promise<Object>} Tools by name; none if the bundle has no catalog or the
+ *   helper can't be loaded
+ */
+async function loadTools() {
+  if (!BUNDLE_CATALOG) return {};
+  try {
+    const { tool } = await import('@opencode-ai/plugin/tool');
+    return createTools(getBundledDir(), BUNDLE_CATALOG, tool);
+  } catch (e) {
+    console.error(`[${PLUGIN_NAME}] Catalog tools unavailable: ${e.message}`);
+    return {};
+  }
+}
+
+/**
+ * Run a hook, logging failures instead of throwing into OpenCode
+ * @returns {Promise<boolean>} Whether the hook succeeded
+ */
+async function runHook(action, fn) {
+  try {
+    await fn();
+    return true;
+  } catch (e) {
+    console.error(`[${PLUGIN_NAME}] ${action} failed: ${e.message}`);
+    return false;
   }
 }
 
@@ -110,13 +223,11 @@ async function installBundledContent(projectDir) {
  *
  * @param {Object} context - OpenCode plugin context
  * @param {Object} [context.project] - Project information
- * @param {Object} [context.client] - OpenCode client
- * @param {Object} [context.$] - Shell utilities
  * @param {string} [context.directory] - Project directory
  * @param {string} [context.worktree] - Git worktree
- * @returns {Object} Plugin hooks
+ * @returns {Promise<Object>} Plugin hooks
  */
-module.exports = function dotnetHarnessPlugin(context) {
+module.exports = async function dotnetHarnessPlugin(context) {
   if (!context || typeof context !== 'object') {
     console.error(`[${PLUGIN_NAME}] Invalid plugin context provided`);
     return {};
@@ -127,33 +238,47 @@ module.exports = function dotnetHarnessPlugin(context) {
   console.log(`[${PLUGIN_NAME}] Plugin loaded (v${PLUGIN_VERSION})`);
 
   return {
+    // Catalog tools; none until the bundle is built
+    tool: await loadTools(),
+
     // Install bundled content when plugin is initialized
     'plugin.install': async () => {
       console.log(`[${PLUGIN_NAME}] Installing bundled content...`);
-      await installBundledContent(directory);
-      console.log(`[${PLUGIN_NAME}] Installation complete`);
+      if (await runHook('Installation', () => installContent(directory))) {
+        console.log(`[${PLUGIN_NAME}] Installation complete`);
+      }
     },
 
     // Clean up installed content when plugin is uninstalled
     'plugin.uninstall': async () => {
       console.log(`[${PLUGIN_NAME}] Uninstalling bundled content...`);
-      await removeInstalledContent(directory);
-      console.log(`[${PLUGIN_NAME}] Uninstall complete`);
+      if (await runHook('Uninstall', () => uninstallContent(directory))) {
+        console.log(`[${PLUGIN_NAME}] Uninstall complete`);
+      }
     },
 
     // Re-install on project updates
     'installation.updated': async () => {
       console.log(`[${PLUGIN_NAME}] Re-installing bundled content...`);
-      await installBundledContent(directory);
+      await runHook('Update', () => installContent(directory));
     },
 
     // Provide info about the plugin
-    'plugin.info': () => ({
-      name: PLUGIN_NAME,
-      version: PLUGIN_VERSION,
-      description: '.NET Harness - 14 specialist agents, 131 skills, commands, and rules',
-      agents: 14,
-      skills: 131,
-    }),
+    'plugin.info': () => {
+      const counts = BUNDLE_METADATA ? BUNDLE_METADATA.counts : {};
+      return {
+        name: PLUGIN_NAME,
+        version: PLUGIN_VERSION,
+        description: describeBundle(BUNDLE_METADATA),
+        agents: counts.agents || 0,
+        skills: counts.skills || 0,
+        commands: counts.commands || 0,
+        rules: counts.rules || 0,
+        plugins: counts.plugins || 0,
+        builtAt: BUNDLE_METADATA ? BUNDLE_METADATA.builtAt : null,
+        digest: BUNDLE_METADATA ? BUNDLE_METADATA.digest : null,
+        lastUpdate: readLastUpdate(directory),
+      };
+    },
   };
 };
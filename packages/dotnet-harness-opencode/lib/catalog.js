@@ -0,0 +1,182 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Bundled skill and subagent catalog
+ *
+ * scripts/build.js writes bundled/catalog.json from the skill manifest and
+ * subagent frontmatter:
+ *
+ * {
+ *   "version": 1,
+ *   "skills": {
+ *     "dotnet-xunit": {
+ *       "description": "...",
+ *       "tags": ["dotnet/testing"],
+ *       "depends_on": ["dotnet-testing-strategy"],
+ *       "path": "skill/dotnet-xunit/SKILL.md"
+ *     }
+ *   },
+ *   "subagents": {
+ *     "dotnet-testing-specialist": {
+ *       "description": "...",
+ *       "domains": ["dotnet/testing", "dotnet/ui"],
+ *       "skills": ["dotnet-xunit"],
+ *       "path": "agent/dotnet-testing-specialist.md"
+ *     }
+ *   }
+ * }
+ *
+ * A subagent's domains are the hierarchical tags of the skills it references,
+ * most referenced first. Paths are relative to bundled/ (and so to .opencode/).
+ */
+
+const CATALOG_FILE = 'catalog.json';
+const CATALOG_VERSION = 1;
+const DEFAULT_SEARCH_LIMIT = 10;
+
+// Relative weight of each searchable field
+const FIELD_WEIGHTS = {
+  name: 3,
+  tags: 2,
+  description: 2,
+};
+
+/**
+ * Read the bundled catalog
+ * @param {string} bundledDir - bundled/ directory
+ * @returns {Object|null} Catalog, or null if the bundle hasn't been built
+ */
+function readCatalog(bundledDir) {
+  try {
+    const catalog = JSON.parse(fs.readFileSync(path.join(bundledDir, CATALOG_FILE), 'utf8'));
+    return catalog.version === CATALOG_VERSION ? catalog : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Split text into lowercase search terms
+ * @param {string} text - Text to tokenize
+ * @returns {string[]}
+ */
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/c#/g, 'csharp')
+    .replace(/\.net\b/g, 'dotnet')
+    .split(/[^a-z0-9]+/)
+    .filter(term => term.length > 1);
+}
+
+/**
+ * Check whether a name or any hierarchical tag contains a term as a segment
+ * @param {string[]} values - Names ("dotnet-blazor-specialist") or tags ("dotnet/ui")
+ * @param {string} term - Term to match, or a full tag
+ * @returns {boolean}
+ */
+function matchesSegment(values, term) {
+  const wanted = term.toLowerCase();
+  return values.some(value => {
+    const lower = value.toLowerCase();
+    return lower === wanted || lower.split(/[/-]/).includes(wanted);
+  });
+}
+
+/**
+ * Search catalog skills by name, tags and description
+ * @param {Object} catalog - Result of readCatalog
+ * @param {string} query - Search text
+ * @param {Object} [options]
+ * @param {string} [options.tag] - Only skills with this tag or one of its descendants
+ * @param {number} [options.limit] - Maximum number of results
+ * @returns {{name: string, description: string, tags: string[], score: number}[]}
+ *   Best matches first, ties broken by name
+ */
+function searchSkills(catalog, query, { tag, limit = DEFAULT_SEARCH_LIMIT } = {}) {
+  const terms = [...new Set(tokenize(query))];
+  const results = [];
+
+  for (const [name, skill] of Object.entries(catalog.skills)) {
+    if (tag && !skill.tags.some(t => t === tag || t.startsWith(`${tag}/`))) continue;
+
+    const fields = {
+      name: tokenize(name.replace(/-/g, ' ')),
+      tags: tokenize(skill.tags.join(' ')),
+      description: tokenize(skill.description),
+    };
+    let score = 0;
+    for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+      score += weight * terms.filter(term => fields[field].includes(term)).length;
+    }
+    // With only a tag filter, list every skill under the tag
+    if (score > 0 || terms.length === 0) {
+      results.push({ name, description: skill.description, tags: skill.tags, score });
+    }
+  }
+
+  return results.sort((a, b) => b.score - a.score || a.name.localeCompare(b.name)).slice(0, limit);
+}
+
+/**
+ * Resolve a skill and its depends_on closure
+ * @param {Object} catalog - Result of readCatalog
+ * @param {string} name - Skill name
+ * @returns {{order: string[], missing: {name: string, required_by: string}[]}|null}
+ *   Skills in load order (dependencies first, the skill last), or null if the skill is unknown
+ */
+function resolveSkill(catalog, name) {
+  if (!catalog.skills[name]) return null;
+
+  const order = [];
+  const missing = [];
+  const visited = new Set();
+
+  function visit(current) {
+    // Also stops at cycles, which the manifest build already reports
+    if (visited.has(current)) return;
+    visited.add(current);
+    for (const dep of catalog.skills[current].depends_on) {
+      if (catalog.skills[dep]) {
+        visit(dep);
+      } else {
+        missing.push({ name: dep, required_by: current });
+      }
+    }
+    order.push(current);
+  }
+
+  visit(name);
+  return { order, missing };
+}
+
+/**
+ * List subagents, optionally only those covering a domain
+ * @param {Object} catalog - Result of readCatalog
+ * @param {string} [domain] - Domain tag ("dotnet/testing") or term ("testing", "blazor"),
+ *   matched against each subagent's domains and name
+ * @returns {{name: string, description: string, domains: string[]}[]} Sorted by name
+ */
+function listSubagents(catalog, domain) {
+  return Object.entries(catalog.subagents)
+    .filter(
+      ([name, subagent]) =>
+        !domain || matchesSegment(subagent.domains, domain) || matchesSegment([name], domain)
+    )
+    .map(([name, subagent]) => ({
+      name,
+      description: subagent.description,
+      domains: subagent.domains,
+    }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+module.exports = {
+  CATALOG_FILE,
+  CATALOG_VERSION,
+  readCatalog,
+  searchSkills,
+  resolveSkill,
+  listSubagents,
+};
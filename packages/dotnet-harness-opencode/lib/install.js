@@ -0,0 +1,389 @@
+const fsp = require('fs/promises');
+const path = require('path');
+const {
+  createLedger,
+  hashContent,
+  hashFile,
+  readBase,
+  readLedger,
+  removeBase,
+  removeLedger,
+  removeState,
+  writeBase,
+  writeLedger,
+} = require('./ledger');
+const { mergeText } = require('./merge');
+
+/**
+ * Non-destructive install, update and uninstall of bundled content
+ *
+ * Only files recorded in the install ledger are ever overwritten or deleted,
+ * and only while they still match the hash they were installed with. Local
+ * edits are merged into new bundle versions; files the plugin never installed
+ * are left alone.
+ *
+ * Versions before the ledger copied the whole bundle over .opencode/ on every
+ * install and recorded nothing. The first install without a ledger therefore
+ * adopts files already at bundled paths: they are replaced by the bundled
+ * version and recorded, and the replaced copy is kept as <file>.bak.
+ */
+
+// Suffixes for the two sides of a conflicting update, written next to the file
+const CONFLICT_SUFFIXES = { base: '.orig', bundled: '.new' };
+
+// Suffix for the copy of a file replaced when adopting a pre-ledger install
+const ADOPTED_SUFFIX = '.bak';
+
+// Content directories to install (same names in bundled/ and .opencode/)
+const CONTENT_DIRS = ['agent', 'command', 'skill', 'memories', 'plugins'];
+
+/**
+ * List the files under a directory recursively
+ * @param {string} dir - Directory
+ * @param {string} [prefix] - Relative path of dir, using "/" separators
+ * @returns {Promise<string[]>} Relative file paths
+ */
+async function listFiles(dir, prefix = '') {
+  let entries;
+  try {
+    entries = await fsp.readdir(dir, { withFileTypes: true });
+  } catch (e) {
+    if (e.code === 'ENOENT') return [];
+    throw e;
+  }
+
+  const files = [];
+  for (const entry of entries) {
+    const relPath = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      files.push(...(await listFiles(path.join(dir, entry.name), relPath)));
+    } else if (entry.isFile()) {
+      files.push(relPath);
+    }
+  }
+  return files;
+}
+
+/**
+ * List bundled files, relative to bundled/ (and so to .opencode/)
+ * @param {string} bundledDir - bundled/ directory
+ * @returns {Promise<string[]>} Sorted relative paths such as "skill/dotnet-xunit/SKILL.md"
+ */
+async function listBundledFiles(bundledDir) {
+  const files = [];
+  for (const dirName of CONTENT_DIRS) {
+    files.push(...(await listFiles(path.join(bundledDir, dirName), dirName)));
+  }
+  return files.sort();
+}
+
+/**
+ * Copy a file, creating its directory
+ * @param {string} src - Source file
+ * @param {string} dest - Destination file
+ * @returns {Promise<void>}
+ */
+async function copyFile(src, dest) {
+  await fsp.mkdir(path.dirname(dest), { recursive: true });
+  await fsp.copyFile(src, dest);
+}
+
+/**
+ * Resolve a ledger path inside .opencode/
+ * @param {string} opencodeDir - .opencode directory
+ * @param {string} relPath - Path from the ledger
+ * @returns {string|null} Absolute path, or null if it points outside .opencode/
+ */
+function resolveLedgerPath(opencodeDir, relPath) {
+  const resolved = path.resolve(opencodeDir, relPath);
+  return resolved.startsWith(opencodeDir + path.sep) ? resolved : null;
+}
+
+/**
+ * Remove directories left empty after deleting a file, up to (not including) root
+ * @param {string} root - Directory to stop at
+ * @param {string} file - Deleted file
+ * @returns {Promise<void>}
+ */
+async function pruneEmptyDirs(root, file) {
+  let dir = path.dirname(file);
+  while (dir.startsWith(root + path.sep)) {
+    try {
+      await fsp.rmdir(dir);
+    } catch {
+      // Not empty (or already gone); everything above it is kept too
+      return;
+    }
+    dir = path.dirname(dir);
+  }
+}
+
+/**
+ * Merge local edits to an installed file with its new bundled version
+ *
+ * A clean merge is written over the local file. On conflict the local file
+ * is left as it is, and the new bundled version (.new) and, when its pristine
+ * copy is available, the previously installed version (.orig) are written
+ * next to it for manual merging.
+ *
+ * @param {string} opencodeDir - .opencode directory
+ * @param {string} relPath - Ledger path
+ * @param {Object} entry - Ledger entry of the installed version
+ * @param {Buffer} bundled - New bundled content
+ * @returns {Promise<{merged: boolean, written: {relPath: string, content: Buffer}[]}>}
+ *   Whether the merge was clean, and the conflict files written
+ */
+async function mergeUpdate(opencodeDir, relPath, entry, bundled) {
+  const dest = path.join(opencodeDir, relPath);
+  const base = await readBase(opencodeDir, relPath, entry.hash);
+  const local = await fsp.readFile(dest);
+  const binary = [base, local, bundled].some(content => content && content.includes(0));
+
+  if (base && !binary) {
+    const { text, conflicts } = mergeText(base.toString(), local.toString(), bundled.toString());
+    if (conflicts === 0) {
+      await fsp.writeFile(dest, text);
+      return { merged: true, written: [] };
+    }
+  }
+
+  const written = [];
+  if (base) written.push({ relPath: `${relPath}${CONFLICT_SUFFIXES.base}`, content: base });
+  written.push({ relPath: `${relPath}${CONFLICT_SUFFIXES.bundled}`, content: bundled });
+  for (const file of written) {
+    await fsp.writeFile(path.join(opencodeDir, file.relPath), file.content);
+  }
+  return { merged: false, written };
+}
+
+/**
+ * Delete conflict files from an earlier update that are still as written
+ * @param {string} opencodeDir - .opencode directory
+ * @param {Object} conflictFiles - Ledger conflictFiles
+ * @param {Object} summary - Receives removed and customized paths
+ * @returns {Promise<void>}
+ */
+async function removeConflictFiles(opencodeDir, conflictFiles, summary) {
+  for (const [relPath, entry] of Object.entries(conflictFiles || {})) {
+    const dest = resolveLedgerPath(opencodeDir, relPath);
+    const currentHash = dest ? await hashFile(dest) : null;
+    if (currentHash === entry.hash) {
+      await fsp.rm(dest, { force: true });
+      summary.removed.push(relPath);
+    } else if (currentHash !== null) {
+      summary.customized.push(relPath);
+    }
+  }
+}
+
+/**
+ * Install or update bundled content in a project's .opencode/ directory
+ *
+ * - New files are copied and recorded in the ledger
+ * - Files still matching their ledger hash are updated to the bundled version
+ * - Files edited since they were installed keep their edits: when the bundled
+ *   version changed too, the two are merged three-way against the previously
+ *   installed version, and conflicts are written as .orig/.new pairs
+ * - A conflict stays open, with its .orig/.new files left as they are, until
+ *   the local file changes or its .new file is deleted; the bundled version
+ *   then becomes the installed version the local edits are measured against
+ * - Files the ledger doesn't know are never overwritten, except once when
+ *   adopting an install made before the ledger existed (no ledger yet)
+ * - Ledger files no longer bundled, or no longer selected, are deleted unless
+ *   they were edited
+ *
+ * @param {string} projectDir - Project directory
+ * @param {Object} options
+ * @param {string} options.bundledDir - bundled/ directory
+ * @param {string} options.pluginName - Plugin name, recorded in the ledger
+ * @param {string} options.pluginVersion - Plugin version, recorded in the ledger
+ * @param {Function} [options.select] - Whether to install a bundled file, given its relative
+ *   path (see lib/selection.js); everything by default
+ * @returns {Promise<Object>} Summary: from/to versions and relative paths per outcome
+ *   (installed, updated, unchanged, customized, merged, conflicted, resolved, adopted,
+ *   unmanaged, removed, excluded), plus the .orig/.new files of open conflicts (conflictFiles)
+ */
+async function installBundledContent(
+  projectDir,
+  { bundledDir, pluginName, pluginVersion, select = () => true }
+) {
+  const opencodeDir = path.resolve(projectDir, '.opencode');
+  const previous = await readLedger(opencodeDir);
+  const previousFiles = previous ? previous.files : {};
+  const ledger = createLedger(pluginName, pluginVersion);
+  const summary = {
+    from: previous ? previous.pluginVersion : null,
+    to: pluginVersion,
+    installed: [],
+    updated: [],
+    unchanged: [],
+    customized: [],
+    merged: [],
+    conflicted: [],
+    resolved: [],
+    adopted: [],
+    unmanaged: [],
+    removed: [],
+    excluded: [],
+    conflictFiles: [],
+  };
+  ledger.conflictFiles = {};
+
+  const bundled = [];
+  for (const relPath of await listBundledFiles(bundledDir)) {
+    (select(relPath) ? bundled : summary.excluded).push(relPath);
+  }
+  for (const relPath of bundled) {
+    const dest = path.join(opencodeDir, relPath);
+    const content = await fsp.readFile(path.join(bundledDir, relPath));
+    const bundledHash = hashContent(content);
+    const currentHash = await hashFile(dest);
+    const entry = previousFiles[relPath];
+
+    if (!entry && currentHash !== null && currentHash !== bundledHash) {
+      if (previous) {
+        summary.unmanaged.push(relPath);
+        continue;
+      }
+      await fsp.copyFile(dest, `${dest}${ADOPTED_SUFFIX}`);
+      await copyFile(path.join(bundledDir, relPath), dest);
+      summary.adopted.push(relPath);
+    } else if (currentHash === null) {
+      await copyFile(path.join(bundledDir, relPath), dest);
+      summary.installed.push(relPath);
+    } else if (currentHash === bundledHash) {
+      summary.unchanged.push(relPath);
+    } else if (currentHash === entry.hash) {
+      await copyFile(path.join(bundledDir, relPath), dest);
+      summary.updated.push(relPath);
+    } else if (bundledHash === entry.hash) {
+      summary.customized.push(relPath);
+    } else if (entry.conflict && entry.conflict.bundled === bundledHash) {
+      const newFile = `${dest}${CONFLICT_SUFFIXES.bundled}`;
+      if (currentHash === entry.conflict.local && (await hashFile(newFile)) !== null) {
+        // Not resolved yet; keep the conflict files as they are, edits included
+        ledger.files[relPath] = entry;
+        summary.conflicted.push(relPath);
+        for (const suffix of Object.values(CONFLICT_SUFFIXES)) {
+          const conflictFile = `${relPath}${suffix}`;
+          if (previous.conflictFiles && previous.conflictFiles[conflictFile]) {
+            ledger.conflictFiles[conflictFile] = previous.conflictFiles[conflictFile];
+            summary.conflictFiles.push(conflictFile);
+          }
+        }
+        continue;
+      }
+      // Resolved by hand: the local file is now a customization of this bundled version
+      summary.resolved.push(relPath);
+    } else {
+      const { merged, written } = await mergeUpdate(opencodeDir, relPath, entry, content);
+      if (merged) {
+        summary.merged.push(relPath);
+      } else {
+        // Stay on the installed version, so the next update merges from the right base,
+        // and remember both sides to tell when the conflict has been resolved
+        ledger.files[relPath] = {
+          hash: entry.hash,
+          conflict: { local: currentHash, bundled: bundledHash },
+        };
+        summary.conflicted.push(relPath);
+        for (const file of written) {
+          ledger.conflictFiles[file.relPath] = { hash: hashContent(file.content) };
+          summary.conflictFiles.push(file.relPath);
+        }
+        continue;
+      }
+    }
+
+    ledger.files[relPath] = { hash: bundledHash };
+    if ((await readBase(opencodeDir, relPath, bundledHash)) === null) {
+      await writeBase(opencodeDir, relPath, content);
+    }
+  }
+
+  // Conflict files from an earlier update that this one didn't write again
+  const staleConflictFiles = Object.fromEntries(
+    Object.entries((previous && previous.conflictFiles) || {}).filter(
+      ([relPath]) => !ledger.conflictFiles[relPath]
+    )
+  );
+  await removeConflictFiles(opencodeDir, staleConflictFiles, summary);
+
+  const stillSelected = new Set(bundled);
+  for (const [relPath, entry] of Object.entries(previousFiles)) {
+    const dest = resolveLedgerPath(opencodeDir, relPath);
+    if (stillSelected.has(relPath) || !dest) continue;
+
+    const currentHash = await hashFile(dest);
+    if (currentHash === entry.hash) {
+      await fsp.rm(dest, { force: true });
+      await pruneEmptyDirs(opencodeDir, dest);
+      summary.removed.push(relPath);
+    } else if (currentHash !== null) {
+      // No longer ours to update; the edited copy now belongs to the user
+      summary.customized.push(relPath);
+    }
+    await removeBase(opencodeDir, relPath);
+  }
+
+  ledger.lastUpdate = {
+    at: ledger.installedAt,
+    from: summary.from,
+    to: summary.to,
+    updated: [...summary.updated, ...summary.merged].sort(),
+    customized: [...summary.customized, ...summary.merged, ...summary.resolved].sort(),
+    conflicted: summary.conflicted,
+    adopted: summary.adopted,
+  };
+  await writeLedger(opencodeDir, ledger);
+  return summary;
+}
+
+/**
+ * Remove installed content recorded in the ledger
+ *
+ * Files still matching their ledger hash are deleted, as are .orig/.new
+ * conflict files still as the plugin wrote them; locally edited files are
+ * kept. Content the plugin did not install is never touched.
+ *
+ * @param {string} projectDir - Project directory
+ * @returns {Promise<{removed: string[], customized: string[], missing: string[], ledger: boolean}>}
+ *   Relative paths per outcome; ledger is false when there was nothing recorded to remove
+ */
+async function removeInstalledContent(projectDir) {
+  const opencodeDir = path.resolve(projectDir, '.opencode');
+  const summary = { removed: [], customized: [], missing: [], ledger: false };
+
+  const ledger = await readLedger(opencodeDir);
+  if (!ledger) return summary;
+  summary.ledger = true;
+
+  await removeConflictFiles(opencodeDir, ledger.conflictFiles, summary);
+  for (const [relPath, entry] of Object.entries(ledger.files)) {
+    const dest = resolveLedgerPath(opencodeDir, relPath);
+    const currentHash = dest ? await hashFile(dest) : null;
+
+    if (currentHash === null) {
+      summary.missing.push(relPath);
+    } else if (currentHash === entry.hash) {
+      await fsp.rm(dest, { force: true });
+      await pruneEmptyDirs(opencodeDir, dest);
+      summary.removed.push(relPath);
+    } else {
+      summary.customized.push(relPath);
+    }
+  }
+
+  await removeState(opencodeDir);
+  await removeLedger(opencodeDir);
+  return summary;
+}
+
+module.exports = {
+  CONTENT_DIRS,
+  CONFLICT_SUFFIXES,
+  ADOPTED_SUFFIX,
+  listBundledFiles,
+  installBundledContent,
+  removeInstalledContent,
+};
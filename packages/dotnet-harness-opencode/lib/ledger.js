@@ -0,0 +1,195 @@
+const crypto = require('crypto');
+const fsp = require('fs/promises');
+const path = require('path');
+
+/**
+ * Install ledger
+ *
+ * .opencode/.dotnet-harness.lock.json records every file the plugin installed
+ * and the hash it had when installed. A file whose current hash differs from
+ * its ledger hash was edited locally and belongs to the user from then on;
+ * files missing from the ledger were never ours.
+ *
+ * {
+ *   "version": 1,
+ *   "plugin": "dotnet-harness",
+ *   "pluginVersion": "0.0.1",
+ *   "installedAt": "2026-01-01T00:00:00.000Z",
+ *   "files": { "skill/dotnet-xunit/SKILL.md": { "hash": "sha256:..." } },
+ *   "conflictFiles": { "skill/dotnet-xunit/SKILL.md.new": { "hash": "sha256:..." } },
+ *   "lastUpdate": { "from": "0.0.1", "to": "0.0.2", "customized": [], ... }
+ * }
+ *
+ * conflictFiles records the .orig/.new files an update wrote next to a file
+ * it could not merge, so the next update and uninstall can clean them up.
+ * The file's entry keeps the previously installed hash plus a conflict field,
+ * { "local": "sha256:...", "bundled": "sha256:..." }, holding the local and
+ * bundled hashes at the time, until the user resolves the conflict.
+ *
+ * The bundled version each ledger hash describes is kept under
+ * .opencode/.dotnet-harness/base/, as the common ancestor for merging local
+ * edits into the next bundle version.
+ */
+
+const LEDGER_FILE = '.dotnet-harness.lock.json';
+const LEDGER_VERSION = 1;
+const STATE_DIR = '.dotnet-harness';
+const BASE_DIR = path.join(STATE_DIR, 'base');
+
+/**
+ * Hash file content
+ * @param {Buffer|string} content - Content
+ * @returns {string} sha256:<hex>
+ */
+function hashContent(content) {
+  return `sha256:${crypto.createHash('sha256').update(content).digest('hex')}`;
+}
+
+/**
+ * Hash a file
+ * @param {string} file - File path
+ * @returns {Promise<string|null>} Hash, or null if the file does not exist
+ */
+async function hashFile(file) {
+  try {
+    return hashContent(await fsp.readFile(file));
+  } catch (e) {
+    if (e.code === 'ENOENT') return null;
+    throw e;
+  }
+}
+
+/**
+ * Create an empty ledger
+ * @param {string} pluginName - Plugin name
+ * @param {string} pluginVersion - Plugin version
+ * @returns {Object} Ledger
+ */
+function createLedger(pluginName, pluginVersion) {
+  return {
+    version: LEDGER_VERSION,
+    plugin: pluginName,
+    pluginVersion,
+    installedAt: new Date().toISOString(),
+    files: {},
+  };
+}
+
+/**
+ * Read the ledger from an .opencode directory
+ * @param {string} opencodeDir - .opencode directory
+ * @returns {Promise<Object|null>} Ledger, or null if there is none
+ */
+async function readLedger(opencodeDir) {
+  const file = path.join(opencodeDir, LEDGER_FILE);
+  let text;
+  try {
+    text = await fsp.readFile(file, 'utf8');
+  } catch (e) {
+    if (e.code === 'ENOENT') return null;
+    throw e;
+  }
+
+  let ledger;
+  try {
+    ledger = JSON.parse(text);
+  } catch (e) {
+    throw new Error(`Invalid ${file}: ${e.message}`, { cause: e });
+  }
+  if (ledger.version !== LEDGER_VERSION || typeof ledger.files !== 'object') {
+    throw new Error(`Unsupported ${file} (expected version ${LEDGER_VERSION})`);
+  }
+  return ledger;
+}
+
+/**
+ * Write the ledger, replacing the previous one atomically
+ * @param {string} opencodeDir - .opencode directory
+ * @param {Object} ledger - Ledger
+ * @returns {Promise<void>}
+ */
+async function writeLedger(opencodeDir, ledger) {
+  const file = path.join(opencodeDir, LEDGER_FILE);
+  const sorted = Object.fromEntries(
+    Object.keys(ledger.files)
+      .sort()
+      .map(key => [key, ledger.files[key]])
+  );
+  await fsp.mkdir(opencodeDir, { recursive: true });
+  await fsp.writeFile(`${file}.tmp`, `${JSON.stringify({ ...ledger, files: sorted }, null, 2)}\n`);
+  await fsp.rename(`${file}.tmp`, file);
+}
+
+/**
+ * Delete the ledger
+ * @param {string} opencodeDir - .opencode directory
+ * @returns {Promise<void>}
+ */
+async function removeLedger(opencodeDir) {
+  await fsp.rm(path.join(opencodeDir, LEDGER_FILE), { force: true });
+}
+
+/**
+ * Read the pristine copy of an installed file
+ * @param {string} opencodeDir - .opencode directory
+ * @param {string} relPath - Ledger path
+ * @param {string} hash - Ledger hash the copy must have
+ * @returns {Promise<Buffer|null>} Content, or null if missing or not the recorded version
+ */
+async function readBase(opencodeDir, relPath, hash) {
+  try {
+    const content = await fsp.readFile(path.join(opencodeDir, BASE_DIR, relPath));
+    return hashContent(content) === hash ? content : null;
+  } catch (e) {
+    if (e.code === 'ENOENT') return null;
+    throw e;
+  }
+}
+
+/**
+ * Store the pristine copy of an installed file
+ * @param {string} opencodeDir - .opencode directory
+ * @param {string} relPath - Ledger path
+ * @param {Buffer|string} content - Bundled content
+ * @returns {Promise<void>}
+ */
+async function writeBase(opencodeDir, relPath, content) {
+  const file = path.join(opencodeDir, BASE_DIR, relPath);
+  await fsp.mkdir(path.dirname(file), { recursive: true });
+  await fsp.writeFile(file, content);
+}
+
+/**
+ * Delete the pristine copy of a file that is no longer installed
+ * @param {string} opencodeDir - .opencode directory
+ * @param {string} relPath - Ledger path
+ * @returns {Promise<void>}
+ */
+async function removeBase(opencodeDir, relPath) {
+  await fsp.rm(path.join(opencodeDir, BASE_DIR, relPath), { force: true });
+}
+
+/**
+ * Delete the plugin's state directory (pristine copies)
+ * @param {string} opencodeDir - .opencode directory
+ * @returns {Promise<void>}
+ */
+async function removeState(opencodeDir) {
+  await fsp.rm(path.join(opencodeDir, STATE_DIR), { recursive: true, force: true });
+}
+
+module.exports = {
+  LEDGER_FILE,
+  LEDGER_VERSION,
+  STATE_DIR,
+  hashContent,
+  hashFile,
+  createLedger,
+  readLedger,
+  writeLedger,
+  removeLedger,
+  readBase,
+  writeBase,
+  removeBase,
+  removeState,
+};
@@ -0,0 +1,136 @@
+/**
+ * Line-based three-way merge
+ *
+ * Merges local edits to an installed file (ours) with a new bundled version
+ * (theirs), using the previously installed bundled version as the common
+ * ancestor (base). Lines kept by both sides anchor the merge; between anchors
+ * a side that left the base untouched takes the other side's change, and two
+ * different changes to the same region are a conflict.
+ */
+
+/**
+ * Split text into lines, each keeping its line ending
+ * @param {string} text - Text
+ * @returns {string[]}
+ */
+function splitLines(text) {
+  return text === '' ? [] : text.split(/(?<=\n)/);
+}
+
+/**
+ * Match lines of a against b using their longest common subsequence
+ * @param {string[]} a - Lines
+ * @param {string[]} b - Lines
+ * @returns {number[]} For each line of a, the index of its match in b, or -1
+ */
+function matchLines(a, b) {
+  // Common prefix and suffix are matched directly; only the middle needs the table
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const matches = new Array(a.length).fill(-1);
+  for (let i = 0; i < start; i++) matches[i] = i;
+  for (let i = endA; i < a.length; i++) matches[i] = i - endA + endB;
+
+  const rows = endA - start;
+  const cols = endB - start;
+  // lengths[i][j]: LCS length of a[start + i..endA) and b[start + j..endB)
+  const lengths = Array.from({ length: rows + 1 }, () => new Uint32Array(cols + 1));
+  for (let i = rows - 1; i >= 0; i--) {
+    for (let j = cols - 1; j >= 0; j--) {
+      lengths[i][j] =
+        a[start + i] === b[start + j]
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < rows && j < cols) {
+    if (a[start + i] === b[start + j]) {
+      matches[start + i] = start + j;
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+
+  return matches;
+}
+
+/**
+ * Compare two line arrays
+ * @param {string[]} a - Lines
+ * @param {string[]} b - Lines
+ * @returns {boolean}
+ */
+function sameLines(a, b) {
+  return a.length === b.length && a.every((line, i) => line === b[i]);
+}
+
+/**
+ * Three-way merge two edited versions of a text
+ * @param {string} base - Common ancestor
+ * @param {string} ours - Local version
+ * @param {string} theirs - New upstream version
+ * @returns {{text: string, conflicts: number}} Merged text (ours where regions conflict)
+ *   and the number of conflicting regions
+ */
+function mergeText(base, ours, theirs) {
+  const baseLines = splitLines(base);
+  const ourLines = splitLines(ours);
+  const theirLines = splitLines(theirs);
+  const ourMatches = matchLines(baseLines, ourLines);
+  const theirMatches = matchLines(baseLines, theirLines);
+
+  const output = [];
+  let conflicts = 0;
+  let b = 0;
+  let o = 0;
+  let t = 0;
+
+  for (;;) {
+    // Next base line both sides kept
+    let anchor = b;
+    while (
+      anchor < baseLines.length &&
+      (ourMatches[anchor] === -1 || theirMatches[anchor] === -1)
+    ) {
+      anchor++;
+    }
+
+    const end = anchor === baseLines.length;
+    const baseChunk = baseLines.slice(b, anchor);
+    const ourChunk = ourLines.slice(o, end ? ourLines.length : ourMatches[anchor]);
+    const theirChunk = theirLines.slice(t, end ? theirLines.length : theirMatches[anchor]);
+
+    if (sameLines(ourChunk, baseChunk) || sameLines(ourChunk, theirChunk)) {
+      output.push(...theirChunk);
+    } else if (sameLines(theirChunk, baseChunk)) {
+      output.push(...ourChunk);
+    } else {
+      output.push(...ourChunk);
+      conflicts++;
+    }
+
+    if (end) break;
+    output.push(baseLines[anchor]);
+    b = anchor + 1;
+    o = ourMatches[anchor] + 1;
+    t = theirMatches[anchor] + 1;
+  }
+
+  return { text: output.join(''), conflicts };
+}
+
+module.exports = { splitLines, matchLines, mergeText };
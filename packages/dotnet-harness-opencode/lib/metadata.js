@@ -0,0 +1,40 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Bundle metadata
+ *
+ * scripts/build.js writes bundled/metadata.json with the plugin version, the
+ * number of agents, skills, commands, rules and hook plugins in the bundle, a
+ * digest of its content and the build time. plugin.info reports it.
+ */
+
+const METADATA_FILE = 'metadata.json';
+
+/**
+ * Read bundle metadata
+ * @param {string} bundledDir - bundled/ directory
+ * @returns {Object|null} Metadata, or null if the bundle hasn't been built
+ */
+function readMetadata(bundledDir) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(bundledDir, METADATA_FILE), 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Describe the bundle in one line
+ * @param {Object|null} metadata - Result of readMetadata
+ * @returns {string}
+ */
+function describeBundle(metadata) {
+  if (!metadata) {
+    return '.NET Harness - bundle not built';
+  }
+  const { agents, skills, commands, rules } = metadata.counts;
+  return `.NET Harness - ${agents} specialist agents, ${skills} skills, ${commands} commands, and ${rules} rules`;
+}
+
+module.exports = { METADATA_FILE, readMetadata, describeBundle };
@@ -0,0 +1,175 @@
+const fsp = require('fs/promises');
+const path = require('path');
+const { resolveSkill } = require('./catalog');
+const { CONTENT_DIRS } = require('./install');
+
+/**
+ * Selective install configuration
+ *
+ * A project can limit what gets installed with .dotnet-harness.json, or with a
+ * "dotnet-harness" key in opencode.json (the dedicated file wins):
+ *
+ * {
+ *   "include": { "types": ["agent", "skill"], "tags": ["dotnet/testing"], "skills": ["dotnet-xunit"] },
+ *   "exclude": { "types": ["plugins"], "tags": ["dotnet/ui"], "skills": ["dotnet-blazor-testing"] }
+ * }
+ *
+ * - types are content directories (agent, command, skill, memories, plugins)
+ * - tags and skills only narrow the skill directory; a tag also matches the
+ *   tags below it ("dotnet" matches "dotnet/testing")
+ * - Without include tags or skills every skill is included, then exclusions apply
+ * - An empty list counts as unset, so "include": {"tags": []} installs everything
+ * - Skills in the depends_on closure of an included skill are always installed,
+ *   even when excluded, so no installed skill is missing a dependency
+ */
+
+const CONFIG_FILE = '.dotnet-harness.json';
+const OPENCODE_CONFIG_FILE = 'opencode.json';
+const OPENCODE_CONFIG_KEY = 'dotnet-harness';
+const SECTIONS = ['include', 'exclude'];
+const FILTERS = ['types', 'tags', 'skills'];
+
+/**
+ * Read a JSON file
+ * @param {string} file - File path
+ * @returns {Promise<Object|null>} Parsed content, or null if the file does not exist
+ */
+async function readJson(file) {
+  let text;
+  try {
+    text = await fsp.readFile(file, 'utf8');
+  } catch (e) {
+    if (e.code === 'ENOENT') return null;
+    throw e;
+  }
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    throw new Error(`Invalid ${file}: ${e.message}`, { cause: e });
+  }
+}
+
+/**
+ * Check a configuration's shape
+ * @param {Object} config - Configuration
+ * @param {string} source - Where it was read from, for error messages
+ */
+function validateConfig(config, source) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`Invalid ${source}: expected an object with "include" and/or "exclude"`);
+  }
+  for (const [section, filters] of Object.entries(config)) {
+    if (!SECTIONS.includes(section)) {
+      throw new Error(
+        `Invalid ${source}: unknown key "${section}" (expected ${SECTIONS.join(', ')})`
+      );
+    }
+    if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+      throw new Error(`Invalid ${source}: "${section}" must be an object`);
+    }
+    for (const [filter, values] of Object.entries(filters)) {
+      if (!FILTERS.includes(filter)) {
+        throw new Error(
+          `Invalid ${source}: unknown key "${section}.${filter}" (expected ${FILTERS.join(', ')})`
+        );
+      }
+      if (!Array.isArray(values) || !values.every(value => typeof value === 'string')) {
+        throw new Error(`Invalid ${source}: "${section}.${filter}" must be a list of strings`);
+      }
+    }
+  }
+  for (const type of [...(config.include?.types || []), ...(config.exclude?.types || [])]) {
+    if (!CONTENT_DIRS.includes(type)) {
+      throw new Error(
+        `Invalid ${source}: unknown content type "${type}" (expected ${CONTENT_DIRS.join(', ')})`
+      );
+    }
+  }
+}
+
+/**
+ * Read the project's install configuration
+ * @param {string} projectDir - Project directory
+ * @returns {Promise<{config: Object, source: string}|null>} Configuration and the file it
+ *   came from, or null to install everything
+ */
+async function readInstallConfig(projectDir) {
+  const dedicated = await readJson(path.join(projectDir, CONFIG_FILE));
+  if (dedicated !== null) {
+    validateConfig(dedicated, CONFIG_FILE);
+    return { config: dedicated, source: CONFIG_FILE };
+  }
+
+  const opencode = await readJson(path.join(projectDir, OPENCODE_CONFIG_FILE));
+  if (opencode && opencode[OPENCODE_CONFIG_KEY] !== undefined) {
+    const source = `${OPENCODE_CONFIG_FILE} ("${OPENCODE_CONFIG_KEY}")`;
+    validateConfig(opencode[OPENCODE_CONFIG_KEY], source);
+    return { config: opencode[OPENCODE_CONFIG_KEY], source };
+  }
+  return null;
+}
+
+/**
+ * Check whether any tag is, or is below, one of the wanted tags
+ * @param {string[]} tags - Skill tags
+ * @param {string[]} wanted - Configured tags
+ * @returns {boolean}
+ */
+function hasTag(tags, wanted) {
+  return tags.some(tag => wanted.some(w => tag === w || tag.startsWith(`${w}/`)));
+}
+
+/**
+ * Work out which bundled files a configuration selects
+ * @param {Object} config - Configuration (see readInstallConfig)
+ * @param {Object} catalog - Bundled catalog (see lib/catalog.js)
+ * @returns {{includes: Function, dependencies: string[], unknown: string[]}} includes(relPath)
+ *   tells whether a bundled file is selected; dependencies lists excluded or unlisted skills
+ *   kept for an included skill's depends_on; unknown lists configured skills not in the bundle
+ */
+function createSelection(config, catalog) {
+  const include = config.include || {};
+  const exclude = config.exclude || {};
+  const types = (include.types?.length ? include.types : CONTENT_DIRS).filter(
+    type => !(exclude.types || []).includes(type)
+  );
+
+  const names = Object.keys(catalog.skills);
+  const unknown = [...(include.skills || []), ...(exclude.skills || [])].filter(
+    name => !catalog.skills[name]
+  );
+  const includeAll = !include.tags?.length && !include.skills?.length;
+
+  const chosen = names.filter(name => {
+    const { tags } = catalog.skills[name];
+    const included =
+      includeAll || hasTag(tags, include.tags || []) || (include.skills || []).includes(name);
+    const excluded = hasTag(tags, exclude.tags || []) || (exclude.skills || []).includes(name);
+    return included && !excluded;
+  });
+
+  const skills = new Set();
+  for (const name of chosen) {
+    for (const dep of resolveSkill(catalog, name).order) skills.add(dep);
+  }
+  const dependencies = [...skills].filter(name => !chosen.includes(name)).sort();
+
+  return {
+    includes(relPath) {
+      const [type, skill] = relPath.split('/');
+      if (!types.includes(type)) return false;
+      // Files in skill/ that aren't a catalog skill (templates) follow the type alone
+      return type !== 'skill' || !catalog.skills[skill] || skills.has(skill);
+    },
+    dependencies,
+    unknown,
+  };
+}
+
+module.exports = {
+  CONFIG_FILE,
+  OPENCODE_CONFIG_FILE,
+  OPENCODE_CONFIG_KEY,
+  readInstallConfig,
+  createSelection,
+};
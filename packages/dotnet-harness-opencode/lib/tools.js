@@ -0,0 +1,108 @@
+const fsp = require('fs/promises');
+const path = require('path');
+const { listSubagents, resolveSkill, searchSkills } = require('./catalog');
+
+/**
+ * Runtime tools over the bundled catalog
+ *
+ * Tools are defined with OpenCode's tool() helper (@opencode-ai/plugin/tool),
+ * so their arguments are tool.schema (zod) schemas that OpenCode validates and
+ * exports to the model. execute returns text for the agent.
+ */
+
+const SUGGESTION_LIMIT = 3;
+
+/**
+ * Format skills or subagents as one line each
+ * @param {{name: string, description: string}[]} entries - Entries
+ * @param {Function} detail - Extra text per entry, shown in brackets
+ * @returns {string}
+ */
+function formatList(entries, detail) {
+  return entries
+    .map(entry => `- ${entry.name} [${detail(entry)}]: ${entry.description.replace(/\s+/g, ' ')}`)
+    .join('\n');
+}
+
+/**
+ * Create the plugin's tools
+ * @param {string} bundledDir - bundled/ directory
+ * @param {Object} catalog - Result of readCatalog
+ * @param {Function} tool - OpenCode's tool() helper, with tool.schema
+ * @returns {Object} Tools by name
+ */
+function createTools(bundledDir, catalog, tool) {
+  const { schema } = tool;
+  return {
+    dotnet_harness_search_skills: tool({
+      description:
+        'Search the bundled .NET skills by name, tags and description. ' +
+        'Returns matching skill names to load with dotnet_harness_get_skill.',
+      args: {
+        query: schema.string().describe('Search text, e.g. "xunit integration tests"'),
+        tag: schema
+          .string()
+          .optional()
+          .describe('Only skills with this tag or a tag below it, e.g. "dotnet/testing"'),
+        limit: schema.number().int().positive().optional().describe('Maximum number of results'),
+      },
+      execute: async ({ query, tag, limit }) => {
+        const results = searchSkills(catalog, query, { tag, limit });
+        if (results.length === 0) return `No skills match "${query}".`;
+        return formatList(results, skill => skill.tags.join(', '));
+      },
+    }),
+
+    dotnet_harness_get_skill: tool({
+      description:
+        'Load a bundled .NET skill together with the skills it depends on, ' +
+        'dependencies first.',
+      args: {
+        name: schema.string().describe('Skill name, e.g. "dotnet-xunit"'),
+      },
+      execute: async ({ name }) => {
+        const resolution = resolveSkill(catalog, name);
+        if (!resolution) {
+          const suggestions = searchSkills(catalog, name, { limit: SUGGESTION_LIMIT });
+          const hint = suggestions.length
+            ? ` Did you mean: ${suggestions.map(s => s.name).join(', ')}?`
+            : '';
+          throw new Error(`Unknown skill "${name}".${hint}`);
+        }
+
+        const sections = [];
+        for (const skillName of resolution.order) {
+          const content = await fsp.readFile(
+            path.join(bundledDir, catalog.skills[skillName].path),
+            'utf8'
+          );
+          const role = skillName === name ? 'requested' : `dependency of ${name}`;
+          sections.push(`<!-- skill: ${skillName} (${role}) -->\n${content.trim()}`);
+        }
+        for (const dep of resolution.missing) {
+          sections.push(`<!-- missing: ${dep.name} (required by ${dep.required_by}) -->`);
+        }
+        return sections.join('\n\n');
+      },
+    }),
+
+    dotnet_harness_list_subagents: tool({
+      description:
+        'List the bundled .NET subagents, optionally only those covering a domain. ' +
+        'Domains are skill tags such as "dotnet/testing"; terms such as "blazor" also match names.',
+      args: {
+        domain: schema
+          .string()
+          .optional()
+          .describe('Domain tag or term, e.g. "dotnet/ui" or "testing"'),
+      },
+      execute: async ({ domain }) => {
+        const subagents = listSubagents(catalog, domain);
+        if (subagents.length === 0) return `No subagents cover "${domain}".`;
+        return formatList(subagents, subagent => subagent.domains.join(', '));
+      },
+    }),
+  };
+}
+
+module.exports = { createTools };
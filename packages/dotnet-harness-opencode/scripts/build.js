@@ -1,6 +1,11 @@
 /**
  * Plugin build script
- * Copies generated OpenCode content into the plugin's bundled/ directory
+ * Copies generated OpenCode content into the plugin's bundled/ directory and
+ * writes bundled/metadata.json (version, content counts, digest, build time),
+ * which the plugin reports through plugin.info, and bundled/catalog.json
+ * (skills and subagents), which backs the plugin's tools
+ *
+ * Set SOURCE_DATE_EPOCH to pin the build time for reproducible builds.
  *
  * OpenCode directory layout (generated by rulesync):
  *   .opencode/agent/      -> agents (singular)
@@ -12,9 +17,15 @@
 
 const fs = require('fs');
 const path = require('path');
+const { pathToFileURL } = require('url');
+const { CATALOG_FILE, CATALOG_VERSION } = require('../lib/catalog');
+const { listBundledFiles } = require('../lib/install');
+const { hashContent } = require('../lib/ledger');
+const { METADATA_FILE } = require('../lib/metadata');
 
-const PROJECT_ROOT = path.join(__dirname, '..', '..', '..');
-const BUNDLED_DIR = path.join(__dirname, '..', 'bundled');
+const PACKAGE_DIR = path.join(__dirname, '..');
+const PROJECT_ROOT = path.join(PACKAGE_DIR, '..', '..');
+const BUNDLED_DIR = path.join(PACKAGE_DIR, 'bundled');
 
 // Map from generated opencode dir name -> bundled dir name
 const CONTENT_DIRS = [
@@ -58,9 +69,134 @@ async function build() {
     }
   }
 
+  const catalog = await writeCatalog();
+  console.log(
+    `Wrote ${CATALOG_FILE}: ${Object.keys(catalog.skills).length} skills, ` +
+      `${Object.keys(catalog.subagents).length} subagents`
+  );
+
+  const metadata = await writeMetadata();
+  const { counts } = metadata;
+  console.log(
+    `Wrote ${METADATA_FILE}: ${counts.agents} agents, ${counts.skills} skills, ` +
+      `${counts.commands} commands, ${counts.rules} rules (${metadata.digest})`
+  );
+
   console.log('Build complete!');
 }
 
+/**
+ * Build time, pinned to SOURCE_DATE_EPOCH when set
+ * @returns {string} ISO 8601 timestamp
+ */
+function buildTime() {
+  if (process.env.SOURCE_DATE_EPOCH === undefined) {
+    return new Date().toISOString();
+  }
+  const epoch = Number(process.env.SOURCE_DATE_EPOCH);
+  if (!Number.isFinite(epoch)) {
+    throw new Error(`Invalid SOURCE_DATE_EPOCH: ${process.env.SOURCE_DATE_EPOCH}`);
+  }
+  return new Date(epoch * 1000).toISOString();
+}
+
+/**
+ * Count bundled content and write bundled/metadata.json
+ * @returns {Promise<Object>} Metadata
+ */
+async function writeMetadata() {
+  const files = await listBundledFiles(BUNDLED_DIR);
+  const count = pattern => files.filter(file => pattern.test(file)).length;
+
+  // Digest over every bundled path and its content, so any change shows up
+  const digestInput = files
+    .map(file => `${file} ${hashContent(fs.readFileSync(path.join(BUNDLED_DIR, file)))}`)
+    .join('\n');
+
+  const pkg = JSON.parse(fs.readFileSync(path.join(PACKAGE_DIR, 'package.json'), 'utf8'));
+  const metadata = {
+    version: pkg.version,
+    builtAt: buildTime(),
+    digest: hashContent(digestInput),
+    counts: {
+      agents: count(/^agent\/[^/]+\.md$/),
+      skills: count(/^skill\/[^/]+\/SKILL\.md$/),
+      commands: count(/^command\/[^/]+\.md$/),
+      rules: count(/^memories\/.+\.md$/),
+      plugins: count(/^plugins\//),
+    },
+  };
+
+  fs.writeFileSync(path.join(BUNDLED_DIR, METADATA_FILE), `${JSON.stringify(metadata, null, 2)}\n`);
+  return metadata;
+}
+
+/**
+ * Rank the hierarchical tags of the skills a subagent references
+ * @param {string[]} skillNames - Referenced skills
+ * @param {Object} skills - Catalog skills
+ * @returns {string[]} Tags such as "dotnet/testing", most referenced first
+ */
+function subagentDomains(skillNames, skills) {
+  const counts = new Map();
+  for (const name of skillNames) {
+    for (const tag of skills[name] ? skills[name].tags : []) {
+      if (tag.includes('/')) counts.set(tag, (counts.get(tag) || 0) + 1);
+    }
+  }
+  return [...counts.keys()].sort((a, b) => counts.get(b) - counts.get(a) || a.localeCompare(b));
+}
+
+/**
+ * Write bundled/catalog.json from skill and subagent frontmatter
+ *
+ * Uses the same parsing as the repository's skill manifest (scripts/lib/skills.js),
+ * limited to the skills and subagents that made it into the bundle.
+ *
+ * @returns {Promise<Object>} Catalog
+ */
+async function writeCatalog() {
+  const { loadSubagents } = await import(
+    pathToFileURL(path.join(PROJECT_ROOT, 'scripts', 'lib', 'skills.js')).href
+  );
+  const { collectSkills } = await import(
+    pathToFileURL(path.join(PROJECT_ROOT, '.rulesync', 'scripts', 'build-manifest.js')).href
+  );
+  const bundled = new Set(await listBundledFiles(BUNDLED_DIR));
+
+  const { skills: manifestSkills } = await collectSkills(
+    path.join(PROJECT_ROOT, '.rulesync', 'skills')
+  );
+  const skills = {};
+  for (const [name, skill] of Object.entries(manifestSkills)) {
+    const relPath = `skill/${name}/SKILL.md`;
+    if (!bundled.has(relPath)) continue;
+    skills[name] = {
+      description: skill.description,
+      tags: skill.tags,
+      depends_on: skill.depends_on,
+      path: relPath,
+    };
+  }
+
+  const subagents = {};
+  for (const subagent of await loadSubagents({ rootDir: PROJECT_ROOT })) {
+    const relPath = `agent/${subagent.name}.md`;
+    if (!bundled.has(relPath)) continue;
+    const skillNames = subagent.skill_references.filter(name => skills[name]);
+    subagents[subagent.name] = {
+      description: subagent.description,
+      domains: subagentDomains(skillNames, skills),
+      skills: skillNames,
+      path: relPath,
+    };
+  }
+
+  const catalog = { version: CATALOG_VERSION, skills, subagents };
+  fs.writeFileSync(path.join(BUNDLED_DIR, CATALOG_FILE), `${JSON.stringify(catalog, null, 2)}\n`);
+  return catalog;
+}
+
 function copyDir(src, dest) {
   const entries = fs.readdirSync(src, { withFileTypes: true });
 
@@ -0,0 +1,303 @@
+const assert = require('assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+const {
+  ADOPTED_SUFFIX,
+  CONFLICT_SUFFIXES,
+  installBundledContent,
+  removeInstalledContent,
+} = require('../lib/install');
+const { LEDGER_FILE, STATE_DIR, hashContent } = require('../lib/ledger');
+
+const SKILL = 'skill/dotnet-xunit/SKILL.md';
+const AGENT = 'agent/dotnet-architect.md';
+const V1 = 'title\nintro\nbody\nmore\nend\n';
+
+let root;
+let bundledDir;
+let projectDir;
+let opencodeDir;
+
+/**
+ * Replace the bundle with the given files
+ * @param {Object<string, string>} files - Content by path relative to bundled/
+ */
+function setBundle(files) {
+  fs.rmSync(bundledDir, { recursive: true, force: true });
+  for (const [relPath, content] of Object.entries(files)) writeFile(bundledDir, relPath, content);
+}
+
+/**
+ * Write a file, creating its directory
+ * @param {string} dir - Root directory
+ * @param {string} relPath - Path relative to dir
+ * @param {string} content - Content
+ */
+function writeFile(dir, relPath, content) {
+  fs.mkdirSync(path.dirname(path.join(dir, relPath)), { recursive: true });
+  fs.writeFileSync(path.join(dir, relPath), content);
+}
+
+/**
+ * Read a file under .opencode/
+ * @param {string} relPath - Path relative to .opencode/
+ * @returns {string}
+ */
+function readInstalled(relPath) {
+  return fs.readFileSync(path.join(opencodeDir, relPath), 'utf8');
+}
+
+/**
+ * Check whether a file or directory exists under .opencode/
+ * @param {string} relPath - Path relative to .opencode/
+ * @returns {boolean}
+ */
+function installed(relPath) {
+  return fs.existsSync(path.join(opencodeDir, relPath));
+}
+
+/**
+ * Read the install ledger
+ * @returns {Object}
+ */
+function readLedger() {
+  return JSON.parse(fs.readFileSync(path.join(opencodeDir, LEDGER_FILE), 'utf8'));
+}
+
+/**
+ * Install or update the bundle into the project
+ * @param {string} [version] - Plugin version to record
+ * @returns {Promise<Object>} Install summary
+ */
+function install(version = '1.0.0') {
+  return installBundledContent(projectDir, {
+    bundledDir,
+    pluginName: 'dotnet-harness',
+    pluginVersion: version,
+  });
+}
+
+beforeEach(() => {
+  root = fs.mkdtempSync(path.join(os.tmpdir(), 'dotnet-harness-'));
+  bundledDir = path.join(root, 'bundled');
+  projectDir = path.join(root, 'project');
+  opencodeDir = path.join(projectDir, '.opencode');
+  fs.mkdirSync(projectDir);
+  setBundle({ [SKILL]: V1, [AGENT]: 'agent v1\n' });
+});
+
+afterEach(() => {
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+describe('installBundledContent', () => {
+  it('installs the bundle and records it in the ledger', async () => {
+    const summary = await install();
+
+    assert.deepEqual(summary.installed, [AGENT, SKILL]);
+    assert.equal(summary.from, null);
+    assert.equal(readInstalled(SKILL), V1);
+    const ledger = readLedger();
+    assert.equal(ledger.pluginVersion, '1.0.0');
+    assert.deepEqual(ledger.files[SKILL], { hash: hashContent(V1) });
+    assert.equal(fs.readFileSync(path.join(opencodeDir, STATE_DIR, 'base', SKILL), 'utf8'), V1);
+  });
+
+  it('updates files without local edits', async () => {
+    await install();
+    setBundle({ [SKILL]: 'title\nintro\nbody v2\nmore\nend\n', [AGENT]: 'agent v1\n' });
+
+    const summary = await install('2.0.0');
+
+    assert.deepEqual(summary.updated, [SKILL]);
+    assert.deepEqual(summary.unchanged, [AGENT]);
+    assert.equal(summary.from, '1.0.0');
+    assert.equal(readInstalled(SKILL), 'title\nintro\nbody v2\nmore\nend\n');
+  });
+
+  it('keeps customized files when the bundle did not change them', async () => {
+    await install();
+    writeFile(opencodeDir, SKILL, 'my own skill\n');
+
+    const summary = await install();
+
+    assert.deepEqual(summary.customized, [SKILL]);
+    assert.equal(readInstalled(SKILL), 'my own skill\n');
+  });
+
+  it('merges local edits with bundled changes to other lines', async () => {
+    await install();
+    writeFile(opencodeDir, SKILL, 'title\nintro (edited)\nbody\nmore\nend\n');
+    setBundle({ [SKILL]: 'title\nintro\nbody\nmore\nend v2\n', [AGENT]: 'agent v1\n' });
+
+    const summary = await install('2.0.0');
+
+    assert.deepEqual(summary.merged, [SKILL]);
+    assert.equal(readInstalled(SKILL), 'title\nintro (edited)\nbody\nmore\nend v2\n');
+    assert.deepEqual(readLedger().lastUpdate.customized, [SKILL]);
+  });
+
+  it('writes .orig and .new next to a file whose edits conflict', async () => {
+    await install();
+    writeFile(opencodeDir, SKILL, 'title\nintro\nmy body\nmore\nend\n');
+    const v2 = 'title\nintro\nbundled body\nmore\nend\n';
+    setBundle({ [SKILL]: v2, [AGENT]: 'agent v1\n' });
+
+    const summary = await install('2.0.0');
+
+    assert.deepEqual(summary.conflicted, [SKILL]);
+    assert.equal(readInstalled(SKILL), 'title\nintro\nmy body\nmore\nend\n');
+    assert.equal(readInstalled(`${SKILL}${CONFLICT_SUFFIXES.base}`), V1);
+    assert.equal(readInstalled(`${SKILL}${CONFLICT_SUFFIXES.bundled}`), v2);
+    assert.deepEqual(summary.conflictFiles.sort(), [
+      `${SKILL}${CONFLICT_SUFFIXES.bundled}`,
+      `${SKILL}${CONFLICT_SUFFIXES.base}`,
+    ]);
+  });
+
+  describe('after a conflict', () => {
+    const mine = 'title\nintro\nmy body\nmore\nend\n';
+    const v2 = 'title\nintro\nbundled body\nmore\nend\n';
+
+    beforeEach(async () => {
+      await install();
+      writeFile(opencodeDir, SKILL, mine);
+      setBundle({ [SKILL]: v2, [AGENT]: 'agent v1\n' });
+      await install('2.0.0');
+    });
+
+    it('keeps an unresolved conflict open without rewriting its files', async () => {
+      writeFile(opencodeDir, `${SKILL}${CONFLICT_SUFFIXES.bundled}`, 'notes while merging\n');
+
+      const summary = await install('2.0.0');
+
+      assert.deepEqual(summary.conflicted, [SKILL]);
+      assert.deepEqual(summary.removed, []);
+      assert.equal(readInstalled(`${SKILL}${CONFLICT_SUFFIXES.bundled}`), 'notes while merging\n');
+      assert.equal(readInstalled(`${SKILL}${CONFLICT_SUFFIXES.base}`), V1);
+    });
+
+    it('accepts a file resolved by hand and cleans up the conflict files', async () => {
+      const resolved = 'title\nintro\nmy body, merged with bundled body\nmore\nend\n';
+      writeFile(opencodeDir, SKILL, resolved);
+
+      const summary = await install('2.0.0');
+
+      assert.deepEqual(summary.conflicted, []);
+      assert.deepEqual(summary.resolved, [SKILL]);
+      assert.equal(readInstalled(SKILL), resolved);
+      assert.ok(!installed(`${SKILL}${CONFLICT_SUFFIXES.base}`));
+      assert.ok(!installed(`${SKILL}${CONFLICT_SUFFIXES.bundled}`));
+      assert.deepEqual(readLedger().files[SKILL], { hash: hashContent(v2) });
+
+      // Re-running the same version leaves the resolved file alone
+      const again = await install('2.0.0');
+      assert.deepEqual(again.customized, [SKILL]);
+      assert.deepEqual(again.conflicted, []);
+    });
+
+    it('treats deleting .new as keeping the local version', async () => {
+      fs.rmSync(path.join(opencodeDir, `${SKILL}${CONFLICT_SUFFIXES.bundled}`));
+
+      const summary = await install('2.0.0');
+
+      assert.deepEqual(summary.resolved, [SKILL]);
+      assert.equal(readInstalled(SKILL), mine);
+      assert.ok(!installed(`${SKILL}${CONFLICT_SUFFIXES.base}`));
+    });
+
+    it('merges the next bundle version from the last installed one', async () => {
+      setBundle({ [SKILL]: 'title\nintro\nbundled body\nmore\nend v3\n', [AGENT]: 'agent v1\n' });
+
+      const summary = await install('3.0.0');
+
+      assert.deepEqual(summary.conflicted, [SKILL]);
+      assert.equal(readInstalled(`${SKILL}${CONFLICT_SUFFIXES.base}`), V1);
+      assert.equal(
+        readInstalled(`${SKILL}${CONFLICT_SUFFIXES.bundled}`),
+        'title\nintro\nbundled body\nmore\nend v3\n'
+      );
+    });
+  });
+
+  it('leaves files it did not install alone', async () => {
+    await install();
+    const userFile = 'agent/dotnet-tester.md';
+    writeFile(opencodeDir, userFile, 'my agent\n');
+    setBundle({ [SKILL]: V1, [AGENT]: 'agent v1\n', [userFile]: 'bundled agent\n' });
+
+    const summary = await install('2.0.0');
+
+    assert.deepEqual(summary.unmanaged, [userFile]);
+    assert.equal(readInstalled(userFile), 'my agent\n');
+    assert.equal(readLedger().files[userFile], undefined);
+  });
+
+  it('removes files dropped from the bundle unless they were edited', async () => {
+    await install();
+    writeFile(opencodeDir, AGENT, 'agent v1, edited\n');
+    setBundle({ [SKILL]: V1 });
+    await install('2.0.0');
+    setBundle({});
+
+    const summary = await install('3.0.0');
+
+    assert.deepEqual(summary.removed, [SKILL]);
+    assert.ok(!installed('skill'));
+    assert.equal(readInstalled(AGENT), 'agent v1, edited\n');
+  });
+
+  it('adopts files from an install made before the ledger', async () => {
+    writeFile(opencodeDir, SKILL, 'older bundled skill\n');
+    writeFile(opencodeDir, AGENT, 'agent v1\n');
+
+    const summary = await install();
+
+    assert.deepEqual(summary.adopted, [SKILL]);
+    assert.deepEqual(summary.unchanged, [AGENT]);
+    assert.deepEqual(summary.unmanaged, []);
+    assert.equal(readInstalled(SKILL), V1);
+    assert.equal(readInstalled(`${SKILL}${ADOPTED_SUFFIX}`), 'older bundled skill\n');
+    assert.deepEqual(readLedger().files[SKILL], { hash: hashContent(V1) });
+
+    // Later bundle versions update adopted files like any other
+    setBundle({ [SKILL]: 'skill v2\n', [AGENT]: 'agent v1\n' });
+    assert.deepEqual((await install('2.0.0')).updated, [SKILL]);
+  });
+});
+
+describe('removeInstalledContent', () => {
+  it('removes unedited files and conflict files, and keeps edited ones', async () => {
+    await install();
+    writeFile(opencodeDir, SKILL, 'title\nintro\nmy body\nmore\nend\n');
+    writeFile(opencodeDir, 'agent/mine.md', 'my agent\n');
+    setBundle({ [SKILL]: 'title\nintro\nbundled body\nmore\nend\n', [AGENT]: 'agent v1\n' });
+    await install('2.0.0');
+
+    const summary = await removeInstalledContent(projectDir);
+
+    assert.equal(summary.ledger, true);
+    assert.deepEqual(summary.customized, [SKILL]);
+    assert.deepEqual(summary.removed.sort(), [
+      AGENT,
+      `${SKILL}${CONFLICT_SUFFIXES.bundled}`,
+      `${SKILL}${CONFLICT_SUFFIXES.base}`,
+    ]);
+    assert.ok(installed(SKILL));
+    assert.ok(installed('agent/mine.md'));
+    assert.ok(!installed(AGENT));
+    assert.ok(!installed(LEDGER_FILE));
+    assert.ok(!installed(STATE_DIR));
+  });
+
+  it('does nothing without a ledger', async () => {
+    writeFile(opencodeDir, AGENT, 'agent v1\n');
+
+    const summary = await removeInstalledContent(projectDir);
+
+    assert.equal(summary.ledger, false);
+    assert.ok(installed(AGENT));
+  });
+});
@@ -0,0 +1,52 @@
+const assert = require('assert/strict');
+const { describe, it } = require('node:test');
+const { mergeText, splitLines } = require('../lib/merge');
+
+describe('splitLines', () => {
+  it('keeps line endings', () => {
+    assert.deepEqual(splitLines('a\nb\r\nc'), ['a\n', 'b\r\n', 'c']);
+    assert.deepEqual(splitLines(''), []);
+  });
+});
+
+describe('mergeText', () => {
+  const base = 'one\ntwo\nthree\nfour\nfive\n';
+
+  it('takes the side that changed', () => {
+    assert.deepEqual(mergeText(base, base, 'one\ntwo\nTHREE\nfour\nfive\n'), {
+      text: 'one\ntwo\nTHREE\nfour\nfive\n',
+      conflicts: 0,
+    });
+    assert.deepEqual(mergeText(base, 'one\ntwo\nTHREE\nfour\nfive\n', base), {
+      text: 'one\ntwo\nTHREE\nfour\nfive\n',
+      conflicts: 0,
+    });
+  });
+
+  it('combines changes to different regions', () => {
+    const ours = 'ONE\ntwo\nthree\nfour\nfive\n';
+    const theirs = 'one\ntwo\nthree\nfour\nFIVE\nsix\n';
+    assert.deepEqual(mergeText(base, ours, theirs), {
+      text: 'ONE\ntwo\nthree\nfour\nFIVE\nsix\n',
+      conflicts: 0,
+    });
+  });
+
+  it('accepts the same change on both sides', () => {
+    const both = 'one\ntwo\n3\nfour\nfive\n';
+    assert.deepEqual(mergeText(base, both, both), { text: both, conflicts: 0 });
+  });
+
+  it('keeps ours and counts a conflict when both sides change a region', () => {
+    const ours = 'one\ntwo\nmine\nfour\nfive\n';
+    const theirs = 'one\ntwo\nyours\nfour\nfive\n';
+    assert.deepEqual(mergeText(base, ours, theirs), { text: ours, conflicts: 1 });
+  });
+
+  it('applies deletions from either side', () => {
+    assert.deepEqual(mergeText(base, 'one\ntwo\nthree\nfour\nfive\nlocal\n', 'one\nfive\n'), {
+      text: 'one\nfive\nlocal\n',
+      conflicts: 0,
+    });
+  });
+});
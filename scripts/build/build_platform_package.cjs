@@ -1,50 +1,221 @@
 const fs = require('fs');
 const path = require('path');
 const process = require('node:process');
+const console = require('node:console');
 const { execSync } = require('child_process');
+const YAML = require('yaml');
 
-function copyDir(src, dest) {
+// Named profiles live next to this script: profiles/<name>.json
+const PROFILES_DIR = path.join(path.dirname(module.filename), 'profiles');
+const CONTENT_TYPES = ['skills', 'subagents', 'commands'];
+// Root files rulesync reads besides .rulesync/
+const RULESYNC_ROOT_FILES = ['rulesync.jsonc', 'rulesync.json', '.aiignore', '.rulesyncignore'];
+
+function copyDir(src, dest, filter = () => true) {
   fs.mkdirSync(dest, { recursive: true });
   const entries = fs.readdirSync(src, { withFileTypes: true });
 
   for (const entry of entries) {
     const srcPath = path.join(src, entry.name);
     const destPath = path.join(dest, entry.name);
+    if (!filter(srcPath, entry)) {
+      continue;
+    }
     if (entry.isDirectory()) {
-      copyDir(srcPath, destPath);
+      copyDir(srcPath, destPath, filter);
     } else {
       fs.copyFileSync(srcPath, destPath);
     }
   }
 }
 
-async function buildPlatformPackage(config) {
-  const {
-    target,
-    generatedDir,
-    copyPaths = [],
-    rootFiles = [],
-    packageDir = process.cwd(),
-  } = config;
+// Read --profile <name> or --profile=<name> from command-line arguments
+function getProfileArg(argv = process.argv) {
+  const index = argv.indexOf('--profile');
+  if (index !== -1) {
+    return argv[index + 1];
+  }
+  const inline = argv.find(arg => arg.startsWith('--profile='));
+  return inline ? inline.slice('--profile='.length) : undefined;
+}
 
-  if (!target) {
-    throw new Error('target is required');
+// Accepts a profile object, a profile name from profiles/, or a path to a JSON file
+function loadProfile(profile) {
+  if (!profile) {
+    return null;
+  }
+  if (typeof profile === 'object') {
+    return { name: 'custom', ...profile };
   }
 
-  const projectRoot = path.join(packageDir, '..', '..');
-  const bundledDir = path.join(packageDir, 'bundled');
+  const file = profile.endsWith('.json')
+    ? path.resolve(profile)
+    : path.join(PROFILES_DIR, `${profile}.json`);
+  if (!fs.existsSync(file)) {
+    throw new Error(`Profile not found: ${profile}`);
+  }
+  return { name: path.basename(file, '.json'), ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+}
 
-  fs.rmSync(bundledDir, { recursive: true, force: true });
-  fs.mkdirSync(bundledDir, { recursive: true });
+function readFrontmatter(file) {
+  const match = fs.readFileSync(file, 'utf8').match(/^---\s*\n([\s\S]*?)\n---/);
+  return match ? YAML.parse(match[1]) || {} : {};
+}
+
+// List skills, subagents and commands under .rulesync with the metadata profiles match on
+function listContent(rulesyncDir) {
+  const content = { skills: [], subagents: [], commands: [] };
 
-  execSync(`npx rulesync generate --targets ${target} --features "*"`, {
-    cwd: projectRoot,
-    stdio: 'inherit',
+  const skillsDir = path.join(rulesyncDir, 'skills');
+  if (fs.existsSync(skillsDir)) {
+    for (const entry of fs.readdirSync(skillsDir, { withFileTypes: true })) {
+      const file = path.join(skillsDir, entry.name, 'SKILL.md');
+      if (!entry.isDirectory() || !fs.existsSync(file)) {
+        continue;
+      }
+      const frontmatter = readFrontmatter(file);
+      content.skills.push({
+        name: entry.name,
+        tags: frontmatter.tags || [],
+        dependsOn: frontmatter.depends_on || [],
+        path: path.join(skillsDir, entry.name),
+        file,
+      });
+    }
+  }
+
+  for (const type of ['subagents', 'commands']) {
+    const dir = path.join(rulesyncDir, type);
+    if (!fs.existsSync(dir)) {
+      continue;
+    }
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      if (!entry.isFile() || !entry.name.endsWith('.md')) {
+        continue;
+      }
+      const file = path.join(dir, entry.name);
+      content[type].push({
+        name: entry.name.replace(/\.md$/, ''),
+        tags: readFrontmatter(file).tags || [],
+        path: file,
+        file,
+      });
+    }
+  }
+
+  return content;
+}
+
+// Patterns match a name or tag exactly, a tag segment (ui matches dotnet/ui), or a * glob
+function matchesAny(item, patterns) {
+  return patterns.some(pattern => {
+    const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+    const regex = new RegExp(`^${escaped}$`, 'i');
+    return (
+      regex.test(item.name) ||
+      item.tags.some(tag => regex.test(tag) || tag.split('/').some(segment => regex.test(segment)))
+    );
   });
+}
+
+// Apply profile include/exclude rules, then pull in transitive depends_on skills
+function selectContent(content, profile) {
+  const selected = {};
+  const pulledIn = [];
+  const warnings = [];
+
+  for (const type of CONTENT_TYPES) {
+    const include = [...(profile.include || []), ...((profile[type] || {}).include || [])];
+    const exclude = [...(profile.exclude || []), ...((profile[type] || {}).exclude || [])];
+    selected[type] = new Set(
+      content[type]
+        .filter(item => include.length === 0 || matchesAny(item, include))
+        .filter(item => !matchesAny(item, exclude))
+        .map(item => item.name)
+    );
+  }
+
+  const skills = new Map(content.skills.map(skill => [skill.name, skill]));
+  const queue = [...selected.skills];
+  while (queue.length > 0) {
+    const skill = skills.get(queue.shift());
+    for (const dep of skill.dependsOn) {
+      if (selected.skills.has(dep)) {
+        continue;
+      }
+      if (!skills.has(dep)) {
+        warnings.push(`${skill.name} depends on missing skill ${dep}`);
+        continue;
+      }
+      selected.skills.add(dep);
+      pulledIn.push({ name: dep, requiredBy: skill.name });
+      queue.push(dep);
+    }
+  }
+
+  // [skill:] references into skills or subagents left out of the bundle
+  const available = new Set([...selected.skills, ...selected.subagents]);
+  const known = new Set([...skills.keys(), ...content.subagents.map(s => s.name)]);
+  let dangling = 0;
+  for (const type of CONTENT_TYPES) {
+    for (const item of content[type].filter(i => selected[type].has(i.name))) {
+      const body = fs.readFileSync(item.file, 'utf8');
+      for (const match of body.matchAll(/\[skill:([a-z0-9-]+)\]/g)) {
+        if (known.has(match[1]) && !available.has(match[1])) {
+          dangling++;
+        }
+      }
+    }
+  }
+  if (dangling > 0) {
+    warnings.push(`${dangling} [skill:] reference(s) point at content outside the profile`);
+  }
+
+  return { selected, pulledIn, warnings };
+}
+
+// Copy rulesync sources into stagingRoot, leaving out content the profile does not select
+function stageProfileSources(projectRoot, stagingRoot, profile) {
+  const rulesyncDir = path.join(projectRoot, '.rulesync');
+  const content = listContent(rulesyncDir);
+  const selection = selectContent(content, profile);
+
+  const skipped = new Set();
+  for (const type of CONTENT_TYPES) {
+    for (const item of content[type]) {
+      if (!selection.selected[type].has(item.name)) {
+        skipped.add(item.path);
+      }
+    }
+  }
+
+  fs.rmSync(stagingRoot, { recursive: true, force: true });
+  copyDir(rulesyncDir, path.join(stagingRoot, '.rulesync'), srcPath => !skipped.has(srcPath));
+  for (const file of RULESYNC_ROOT_FILES) {
+    const srcPath = path.join(projectRoot, file);
+    if (fs.existsSync(srcPath)) {
+      fs.copyFileSync(srcPath, path.join(stagingRoot, file));
+    }
+  }
+
+  const counts = CONTENT_TYPES.map(
+    type => `${selection.selected[type].size}/${content[type].length} ${type}`
+  );
+  console.log(`Profile "${profile.name}": ${counts.join(', ')}`);
+  for (const { name, requiredBy } of selection.pulledIn) {
+    console.log(`  + ${name} (depends_on of ${requiredBy})`);
+  }
+  for (const warning of selection.warnings) {
+    console.warn(`  ⚠ ${warning}`);
+  }
+
+  return selection;
+}
 
+function copyGeneratedOutput(sourceRoot, bundledDir, { generatedDir, copyPaths, rootFiles }) {
   if (copyPaths.length > 0) {
     for (const relPath of copyPaths) {
-      const srcPath = path.join(projectRoot, relPath);
+      const srcPath = path.join(sourceRoot, relPath);
       if (!fs.existsSync(srcPath)) {
         continue;
       }
@@ -59,7 +230,7 @@ async function buildPlatformPackage(config) {
       }
     }
   } else if (generatedDir) {
-    const srcDir = path.join(projectRoot, generatedDir);
+    const srcDir = path.join(sourceRoot, generatedDir);
     if (!fs.existsSync(srcDir)) {
       throw new Error(`Generated directory not found: ${generatedDir}`);
     }
@@ -67,7 +238,7 @@ async function buildPlatformPackage(config) {
   }
 
   for (const rootFile of rootFiles) {
-    const srcPath = path.join(projectRoot, rootFile);
+    const srcPath = path.join(sourceRoot, rootFile);
     if (!fs.existsSync(srcPath)) {
       continue;
     }
@@ -77,4 +248,44 @@ async function buildPlatformPackage(config) {
   }
 }
 
-module.exports = { buildPlatformPackage };
+async function buildPlatformPackage(config) {
+  const {
+    target,
+    generatedDir,
+    copyPaths = [],
+    rootFiles = [],
+    packageDir = process.cwd(),
+  } = config;
+
+  if (!target) {
+    throw new Error('target is required');
+  }
+
+  const projectRoot = path.join(packageDir, '..', '..');
+  const bundledDir = path.join(packageDir, 'bundled');
+  const profile = loadProfile(config.profile || getProfileArg());
+
+  fs.rmSync(bundledDir, { recursive: true, force: true });
+  fs.mkdirSync(bundledDir, { recursive: true });
+
+  // With a profile, generate from a filtered copy of the sources instead of the project root
+  let sourceRoot = projectRoot;
+  if (profile) {
+    sourceRoot = path.join(projectRoot, '.tmp', `bundle-${target}`);
+    stageProfileSources(projectRoot, sourceRoot, profile);
+  }
+
+  try {
+    execSync(`npx rulesync generate --targets ${target} --features "*"`, {
+      cwd: sourceRoot,
+      stdio: 'inherit',
+    });
+    copyGeneratedOutput(sourceRoot, bundledDir, { generatedDir, copyPaths, rootFiles });
+  } finally {
+    if (profile) {
+      fs.rmSync(sourceRoot, { recursive: true, force: true });
+    }
+  }
+}
+
+module.exports = { buildPlatformPackage, loadProfile, listContent, selectContent };
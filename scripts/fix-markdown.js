@@ -2,17 +2,34 @@
 /**
  * Auto-fix common markdown issues in .rulesync/ files
  * Fixes:
- * - MD040: Code blocks without language specifiers
+ * - MD040: Code blocks without language specifiers (guessed from the block body)
  * - MD060: Table column formatting
  * - MD029: Ordered list numbering
  * - MD031: Missing blank lines around fences
+ *
+ * List, table and fence fixes work on a block token stream (lib/markdown.js),
+ * so ```, ~~~ and longer fences are recognized and code samples are never edited.
+ *
+ * Usage: node scripts/fix-markdown.js [paths...] [--dry-run] [--check]
+ *
+ * --dry-run prints a unified diff of every pending fix instead of writing.
+ * --check writes nothing and exits non-zero when any file needs fixing (for CI).
  */
 
-import { readFileSync, writeFileSync, readdirSync, existsSync } from 'fs';
+import { readFileSync, writeFileSync, readdirSync, existsSync, statSync } from 'fs';
 import { join } from 'path';
+import { parseArgs } from 'util';
+import YAML from 'yaml';
+import { unifiedDiff } from './lib/diff.js';
+import { parseJsonc } from './lib/jsonc.js';
+import { tokenizeMarkdown } from './lib/markdown.js';
 
 const RULESYNC_DIR = '.rulesync';
 
+// Exit codes
+const EXIT_SUCCESS = 0;
+const EXIT_ERROR = 1;
+
 function findMarkdownFiles(dir, files = []) {
   if (!existsSync(dir)) return files;
   const entries = readdirSync(dir, { withFileTypes: true });
@@ -27,149 +44,348 @@ function findMarkdownFiles(dir, files = []) {
   return files;
 }
 
-function detectLanguage(content, index) {
-  // Look at preceding context to determine language
-  const before = content.slice(0, index);
-  const lines = before.split('\n');
-  const context = lines.slice(-5).join('\n').toLowerCase();
-
-  if (context.includes('bash') || context.includes('shell') || context.includes('command'))
-    return 'bash';
-  if (context.includes('csharp') || context.includes('.cs') || context.includes('c#'))
-    return 'csharp';
-  if (context.includes('json')) return 'json';
-  if (context.includes('xml') || context.includes('.csproj') || context.includes('.props'))
-    return 'xml';
-  if (context.includes('yaml') || context.includes('yml')) return 'yaml';
-  if (context.includes('dockerfile')) return 'dockerfile';
-  if (context.includes('powershell') || context.includes('ps1')) return 'powershell';
-  if (context.includes('markdown') || context.includes('.md')) return 'markdown';
-  if (context.includes('javascript') || context.includes('.js')) return 'javascript';
-  if (context.includes('typescript') || context.includes('.ts')) return 'typescript';
-
-  // Check if it looks like a terminal/output block
-  if (context.includes('output') || context.includes('result') || context.includes('console'))
-    return 'text';
-
-  return 'text';
+const DOCKER_INSTRUCTION = /^(RUN|COPY|ADD|WORKDIR|ENTRYPOINT|CMD|ENV|EXPOSE|ARG|USER)\s/;
+const CSHARP_PATTERN =
+  /^\s*(using [\w.]+;|namespace [\w.]+|(public|private|protected|internal|static|sealed|abstract|partial)\s|(var|await|return) |(class|record|interface|struct|enum) \w|\[[A-Z]\w*(\(.*\))?\]$|(builder|app|services)\.\w+)/m;
+const POWERSHELL_PATTERN =
+  /^\s*(\$\w+\s*=|(Get|Set|New|Remove|Install|Invoke|Import|Write|Test|Start|Stop|Add|Update)-[A-Z]\w+)/m;
+const YAML_KEY = /^(- )?[\w.-]+:(\s|$)/;
+const SHELL_COMMAND =
+  /^(\$ )?(dotnet|npm|npx|node|yarn|pnpm|git|gh|cd|mkdir|curl|wget|docker|kubectl|helm|az|export|sudo|brew|apt(-get)?|winget|choco|chmod|ls|cat|echo|rm|cp|mv|pwsh|rulesync)\b/;
+
+// Body classifiers for unlabeled fences, in priority order. Each gets the
+// trimmed body and its non-blank lines; the first match wins.
+const LANGUAGE_DETECTORS = [
+  [
+    'xml',
+    (body, lines) => /^<(\?xml|[A-Za-z][\w.:-]*)[\s/>]/.test(lines[0]) && /<\/|\/>/.test(body),
+  ],
+  ['json', body => /^[{[]/.test(body) && parses(() => JSON.parse(body))],
+  ['jsonc', body => /^[{[]/.test(body) && parses(() => parseJsonc(body))],
+  [
+    'dockerfile',
+    (body, lines) => /^FROM\s+\S+/i.test(lines[0]) && lines.some(l => DOCKER_INSTRUCTION.test(l)),
+  ],
+  ['bash', (body, lines) => /^(#!.*\b(ba|z)?sh\b|\$ )/.test(lines[0])],
+  ['razor', body => /^@(page|using|inject|model|code)\b/m.test(body)],
+  ['csharp', body => CSHARP_PATTERN.test(body)],
+  ['powershell', body => POWERSHELL_PATTERN.test(body)],
+  [
+    'yaml',
+    (body, lines) =>
+      YAML_KEY.test(lines.find(l => !l.startsWith('#')) || '') && parses(() => YAML.parse(body)),
+  ],
+  [
+    'bash',
+    (body, lines) => lines.filter(l => !l.startsWith('#')).every(l => SHELL_COMMAND.test(l)),
+  ],
+  [
+    'diff',
+    (body, lines) => lines.some(l => l.startsWith('@@')) && lines.some(l => /^[+-]/.test(l)),
+  ],
+  [
+    'ini',
+    (body, lines) => /^\[[^\]]+\]$/.test(lines[0]) && lines.slice(1).every(l => /^[#;]|=/.test(l)),
+  ],
+];
+
+/**
+ * Check whether a parser accepts its input
+ * @param {function} parse - Parser call
+ * @returns {boolean}
+ */
+function parses(parse) {
+  try {
+    parse();
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Guess the language of an unlabeled fence from its body
+ * @param {string} code - Fence body
+ * @returns {string} Language for the info string ('text' when nothing matches)
+ */
+function detectLanguage(code) {
+  const body = code.trim();
+  const lines = body
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean);
+  if (lines.length === 0) return 'text';
+
+  const match = LANGUAGE_DETECTORS.find(([, detect]) => detect(body, lines));
+  return match ? match[0] : 'text';
 }
 
+/**
+ * Fix MD040: label fences that have no language, based on what they contain
+ * Only opening fences get a label; closing fences are left alone.
+ * @param {string} content - Markdown content
+ * @returns {string}
+ */
 function fixCodeBlocks(content) {
-  // Fix MD040: Add language specifiers to code blocks
-  // Match ``` followed by whitespace or newline (no language)
-  const codeBlockRegex = /^```\s*$/gm;
-
-  let result = content;
-  const matches = [];
-  let matchResult;
-
-  while (true) {
-    matchResult = codeBlockRegex.exec(content);
-    if (matchResult === null) break;
-    matches.push(matchResult.index);
+  const tokens = tokenizeMarkdown(content);
+  const lines = content.split('\n');
+
+  tokens.forEach((token, i) => {
+    if (token.type !== 'fence-open' || token.fence.info !== '') return;
+
+    const body = [];
+    let end = i + 1;
+    for (; end < tokens.length && tokens[end].type === 'code'; end++) body.push(lines[end]);
+    // An unclosed fence swallows the rest of the file; there is nothing to classify
+    if (tokens[end]?.type !== 'fence-close') return;
+
+    lines[i] = `${lines[i].trimEnd()}${detectLanguage(body.join('\n'))}`;
+  });
+
+  return lines.join('\n');
+}
+
+// Emoji plus East Asian wide ranges (Hangul Jamo, CJK, Hangul, compatibility, fullwidth)
+const WIDE_CHAR_REGEX =
+  /[\p{Extended_Pictographic}\u1100-\u115f\u2e80-\ua4cf\uac00-\ud7a3\uf900-\ufaff\uff00-\uff60\uffe0-\uffe6]/u;
+
+// GFM table delimiter row: | --- | :-: | ---: |
+const TABLE_DELIMITER_REGEX = /^\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?$/;
+
+/**
+ * Split a table row into trimmed cells, honouring escaped pipes
+ * @param {string} row - Table row
+ * @returns {string[]}
+ */
+function splitTableRow(row) {
+  let text = row.trim();
+  if (text.startsWith('|')) text = text.slice(1);
+  if (text.endsWith('|') && !text.endsWith('\\|')) text = text.slice(0, -1);
+  return text.split(/(?<!\\)\|/).map(cell => cell.trim());
+}
+
+/**
+ * Measure the display width of text (wide characters and emoji take two columns)
+ * @param {string} text - Cell text
+ * @returns {number}
+ */
+function displayWidth(text) {
+  let width = 0;
+  for (const char of text) {
+    if (/\p{Mn}/u.test(char) || char === '\u200d' || char === '\ufe0f') continue;
+    width += WIDE_CHAR_REGEX.test(char) ? 2 : 1;
   }
+  return width;
+}
 
-  // Process from end to start to preserve indices
-  for (let i = matches.length - 1; i >= 0; i--) {
-    const index = matches[i];
-    const lang = detectLanguage(content, index);
-    result = result.slice(0, index + 3) + lang + result.slice(index + 3);
+/**
+ * Pad a cell to a column width according to its alignment
+ * @param {string} text - Cell text
+ * @param {number} width - Column width
+ * @param {string} align - left, right, center or none
+ * @returns {string}
+ */
+function padCell(text, width, align) {
+  const pad = width - displayWidth(text);
+  if (align === 'right') return ' '.repeat(pad) + text;
+  if (align === 'center') {
+    const left = Math.floor(pad / 2);
+    return ' '.repeat(left) + text + ' '.repeat(pad - left);
   }
+  return text + ' '.repeat(pad);
+}
 
-  return result;
+/**
+ * Format one table with aligned columns, the way prettier prints markdown tables
+ * @param {string[]} rows - Header, delimiter and body rows
+ * @returns {string[]} Formatted rows
+ */
+function formatTable(rows) {
+  const indent = rows[0].match(/^\s*/)[0];
+  const cells = rows.map(splitTableRow);
+  const aligns = cells[1].map(cell => {
+    if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+    if (cell.endsWith(':')) return 'right';
+    return cell.startsWith(':') ? 'left' : 'none';
+  });
+  const columns = Math.max(...cells.map(row => row.length));
+  const widths = Array.from({ length: columns }, (_, column) =>
+    Math.max(3, ...cells.filter((_, i) => i !== 1).map(row => displayWidth(row[column] || '')))
+  );
+
+  return cells.map((row, i) => {
+    const formatted = widths.map((width, column) => {
+      const align = aligns[column] || 'none';
+      if (i !== 1) return padCell(row[column] || '', width, align);
+      if (align === 'center') return `:${'-'.repeat(width - 2)}:`;
+      if (align === 'right') return `${'-'.repeat(width - 1)}:`;
+      if (align === 'left') return `:${'-'.repeat(width - 1)}`;
+      return '-'.repeat(width);
+    });
+    return `${indent}| ${formatted.join(' | ')} |`;
+  });
 }
 
+/**
+ * Fix MD060: align table columns so every pipe lines up
+ * Tables inside code blocks are left alone.
+ * @param {string} content - Markdown content
+ * @returns {string}
+ */
 function fixTables(content) {
-  // Fix MD060: Ensure table pipes have proper spacing
-  // This is a simplified fix - proper table formatting is complex
-  return content;
+  const tokens = tokenizeMarkdown(content);
+  const lines = content.split('\n');
+  const isRow = i => tokens[i]?.type === 'paragraph' && tokens[i].text.includes('|');
+
+  for (let i = 0; i < tokens.length - 1; i++) {
+    if (!isRow(i) || !isRow(i + 1) || !TABLE_DELIMITER_REGEX.test(lines[i + 1].trim())) continue;
+    // GFM requires the delimiter row to match the header's column count
+    if (splitTableRow(lines[i]).length !== splitTableRow(lines[i + 1]).length) continue;
+
+    let end = i + 2;
+    while (isRow(end)) end++;
+    lines.splice(i, end - i, ...formatTable(lines.slice(i, end)));
+    i = end - 1;
+  }
+
+  return lines.join('\n');
 }
 
+/**
+ * Fix MD029: renumber ordered lists the way markdownlint's one_or_ordered style expects
+ * Lists that number every item 1. keep doing so; any other list counts up from
+ * 1 (or 0). Nested lists are numbered independently, and lines inside code
+ * blocks are never touched.
+ * @param {string} content - Markdown content
+ * @returns {string}
+ */
 function fixOrderedLists(content) {
-  // Fix MD029: Reset ordered list numbering to 1/2/3 pattern
+  const tokens = tokenizeMarkdown(content);
   const lines = content.split('\n');
-  let expectedNum = 1;
-  const result = [];
-
-  for (const line of lines) {
-    const match = line.match(/^(\s*)(\d+)\.\s/);
-    if (match) {
-      const indent = match[1];
-      const num = parseInt(match[2], 10);
-      const rest = line.slice(match[0].length);
-
-      if (num !== expectedNum) {
-        result.push(`${indent}${expectedNum}. ${rest}`);
-      } else {
-        result.push(line);
-      }
-      expectedNum++;
-    } else {
-      if (line.trim() === '') {
-        expectedNum = 1;
-      }
-      result.push(line);
+  const lists = new Map();
+
+  tokens.forEach((token, i) => {
+    if (token.type !== 'list-item' || !token.ordered) return;
+    if (!lists.has(token.list)) lists.set(token.list, []);
+    lists.get(token.list).push(i);
+  });
+
+  for (const items of lists.values()) {
+    const numbers = items.map(i => tokens[i].number);
+    const incrementing = numbers.length >= 2 && (numbers[1] !== 1 || numbers[0] === 0);
+    let expected = incrementing && numbers[0] === 0 ? 0 : 1;
+
+    for (const i of items) {
+      lines[i] = lines[i].replace(/^(\s*)\d+/, `$1${expected}`);
+      if (incrementing) expected++;
     }
   }
 
-  return result.join('\n');
+  return lines.join('\n');
 }
 
+/**
+ * Fix MD031: surround fenced code blocks with blank lines
+ * Only real fence lines count, so ``` inside a ```` block or a ~~~ block is
+ * left alone and nothing is ever inserted inside a code block.
+ * @param {string} content - Markdown content
+ * @returns {string}
+ */
 function fixBlankLinesAroundFences(content) {
-  // Fix MD031: Add blank lines around fenced code blocks
-  const lines = content.split('\n');
+  const tokens = tokenizeMarkdown(content);
   const result = [];
 
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
-    const isFence = line.trim().startsWith('```');
-    const prevLine = i > 0 ? lines[i - 1] : '';
-    const nextLine = i < lines.length - 1 ? lines[i + 1] : '';
+  tokens.forEach((token, i) => {
+    const previous = tokens[i - 1];
+    const next = tokens[i + 1];
 
-    if (isFence && !prevLine.match(/^\s*$/)) {
+    if (
+      token.type === 'fence-open' &&
+      previous &&
+      !['blank', 'frontmatter'].includes(previous.type)
+    ) {
       result.push('');
     }
-
-    result.push(line);
-
-    if (isFence && !nextLine.match(/^\s*$/)) {
+    result.push(token.text);
+    if (token.type === 'fence-close' && next && next.type !== 'blank') {
       result.push('');
     }
-  }
+  });
 
   return result.join('\n');
 }
 
-function processFile(filePath) {
-  let content = readFileSync(filePath, 'utf-8');
-  const original = content;
+/**
+ * Apply every fix to markdown content
+ * @param {string} content - Markdown content
+ * @returns {string} Fixed content
+ */
+function fixMarkdown(content) {
+  let result = fixCodeBlocks(content);
+  result = fixTables(result);
+  result = fixOrderedLists(result);
+  result = fixBlankLinesAroundFences(result);
+  return result;
+}
 
-  // Apply fixes
-  content = fixCodeBlocks(content);
-  content = fixTables(content);
-  content = fixOrderedLists(content);
-  content = fixBlankLinesAroundFences(content);
+/**
+ * Fix one file
+ * @param {string} filePath - Markdown file
+ * @param {Object} [options]
+ * @param {boolean} [options.write] - Write the fixed content back
+ * @returns {{changed: boolean, diff: string}}
+ */
+function processFile(filePath, { write = true } = {}) {
+  const original = readFileSync(filePath, 'utf-8');
+  const content = fixMarkdown(original);
 
-  if (content !== original) {
+  if (content === original) {
+    return { changed: false, diff: '' };
+  }
+  if (write) {
     writeFileSync(filePath, content, 'utf-8');
-    return true;
   }
-
-  return false;
+  return {
+    changed: true,
+    diff: unifiedDiff(original, content, { fromLabel: `a/${filePath}`, toLabel: `b/${filePath}` }),
+  };
 }
 
+/**
+ * Main CLI function
+ * @returns {number} Exit code
+ */
 function main() {
-  console.log('Fixing markdown issues...\n');
-
-  const files = findMarkdownFiles(RULESYNC_DIR);
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      'dry-run': { type: 'boolean', default: false },
+      check: { type: 'boolean', default: false },
+    },
+  });
+  const write = !values['dry-run'] && !values.check;
+  // Keep stdout a clean patch in dry-run mode
+  const log = values['dry-run'] ? console.error : console.log;
+
+  log(write ? 'Fixing markdown issues...\n' : 'Checking markdown issues...\n');
+
+  const paths = positionals.length > 0 ? positionals : [RULESYNC_DIR];
+  const files = paths.flatMap(path =>
+    existsSync(path) && statSync(path).isFile() ? [path] : findMarkdownFiles(path)
+  );
   let fixed = 0;
   const errors = [];
 
   for (const file of files) {
     try {
-      if (processFile(file)) {
-        console.log(`✅ Fixed: ${file}`);
-        fixed++;
+      const { changed, diff } = processFile(file, { write });
+      if (!changed) continue;
+
+      fixed++;
+      if (values['dry-run']) {
+        process.stdout.write(diff);
+      } else {
+        log(write ? `✅ Fixed: ${file}` : `❌ Needs fixing: ${file}`);
       }
     } catch (e) {
       console.error(`❌ Error in ${file}: ${e.message}`);
@@ -177,14 +393,27 @@ function main() {
     }
   }
 
-  console.log(`\n${'='.repeat(50)}`);
-  console.log(`Files fixed: ${fixed}`);
-  console.log(`Errors: ${errors.length}`);
-  console.log(`${'='.repeat(50)}\n`);
+  log(`\n${'='.repeat(50)}`);
+  log(`Files ${write ? 'fixed' : 'to fix'}: ${fixed}`);
+  log(`Errors: ${errors.length}`);
+  log(`${'='.repeat(50)}\n`);
 
-  if (errors.length > 0) {
-    process.exit(1);
+  if (values.check && fixed > 0) {
+    log('Run node scripts/fix-markdown.js to apply the fixes');
   }
+  return errors.length > 0 || (values.check && fixed > 0) ? EXIT_ERROR : EXIT_SUCCESS;
+}
+
+// Run if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  process.exitCode = main();
 }
 
-main();
+export {
+  detectLanguage,
+  fixCodeBlocks,
+  fixTables,
+  fixOrderedLists,
+  fixBlankLinesAroundFences,
+  fixMarkdown,
+};
@@ -0,0 +1,508 @@
+#!/usr/bin/env node
+/**
+ * dotnet-harness compare
+ * Implements /dotnet-harness:compare as a semantic diff of SKILL.md files
+ *
+ * Usage: node scripts/harness/compare.js <skill-a> <skill-b> [options]
+ *        node scripts/harness/compare.js <skill> --version <rev> [--to <rev>] [options]
+ *
+ * Options:
+ *   --focus content|structure|effectiveness|all   Limit the report (default: all)
+ *   --format text|json|diff|html                  Output format (default: text)
+ *   --output <file>                               Write the report to a file
+ *
+ * Skills are given by name (resolved under .rulesync/skills/) or by path.
+ * Revisions are read with `git show <rev>:<path>`; --to defaults to the working tree.
+ */
+
+import { execFileSync } from 'child_process';
+import { existsSync, readFileSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { parseArgs } from 'util';
+import {
+  extractSkillReferences,
+  extractSubagentReferences,
+  parseFrontmatter,
+} from '../../.rulesync/scripts/build-manifest.js';
+import { extractCodeFences } from '../lib/code-fences.js';
+import { unifiedDiff } from '../lib/diff.js';
+import { escapeHtml, htmlPage, htmlTable } from '../lib/html.js';
+import { SKILLS_DIR, stripFrontmatter } from '../lib/skills.js';
+import { estimateTokens } from '../lib/tokens.js';
+
+const EXIT_ERROR = 1;
+
+const FOCUS_AREAS = ['content', 'structure', 'effectiveness', 'all'];
+const FORMATS = ['text', 'json', 'diff', 'html'];
+
+const PREAMBLE = '(preamble)';
+
+const DIFF_CSS = '.add { color: #1a7f37; } .del { color: #cf222e; } .hunk { color: #8250df; }';
+
+/**
+ * Parse a SKILL.md into frontmatter, sections, code blocks and references
+ * @param {string} content - File content
+ * @returns {Object} Parsed document
+ */
+function parseSkillDocument(content) {
+  const frontmatter = parseFrontmatter(content) || {};
+  const body = stripFrontmatter(content);
+  const lineOffset = content.split('\n').length - body.split('\n').length;
+  const codeBlocks = extractCodeFences(body);
+
+  // Headings inside code fences are sample content, not sections
+  const fencedLines = new Set();
+  for (const block of codeBlocks) {
+    for (let line = block.startLine; line <= block.endLine; line++) fencedLines.add(line);
+  }
+
+  const sections = [];
+  const stack = [];
+  let current = {
+    path: PREAMBLE,
+    heading: PREAMBLE,
+    level: 0,
+    startLine: lineOffset + 1,
+    lines: [],
+  };
+
+  body.split('\n').forEach((line, i) => {
+    const heading = fencedLines.has(i + 1) ? null : line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+    if (!heading) {
+      current.lines.push(line);
+      return;
+    }
+
+    sections.push(current);
+    const level = heading[1].length;
+    while (stack.length > 0 && stack[stack.length - 1].level >= level) stack.pop();
+    stack.push({ level, text: heading[2] });
+
+    current = {
+      path: stack.map(h => h.text).join(' > '),
+      heading: heading[2],
+      level,
+      startLine: lineOffset + i + 1,
+      lines: [],
+    };
+  });
+  sections.push(current);
+
+  return {
+    content,
+    frontmatter,
+    sections: sections
+      .filter(s => s.path !== PREAMBLE || s.lines.some(l => l.trim() !== ''))
+      .map(s => ({ ...s, text: s.lines.join('\n').trim() })),
+    codeBlocks,
+    references: {
+      skills: extractSkillReferences(content),
+      subagents: extractSubagentReferences(content),
+    },
+  };
+}
+
+/**
+ * Flatten nested frontmatter into dot-separated field paths
+ * @param {Object} value - Frontmatter object
+ * @param {string} [prefix] - Current path
+ * @param {Object} [out] - Accumulator
+ * @returns {Object} Field path to leaf value
+ */
+function flattenFrontmatter(value, prefix = '', out = {}) {
+  for (const [key, child] of Object.entries(value || {})) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (child && typeof child === 'object' && !Array.isArray(child)) {
+      flattenFrontmatter(child, path, out);
+    } else {
+      out[path] = child;
+    }
+  }
+  return out;
+}
+
+/**
+ * Compare two lists as sets
+ * @param {Array} before - Original items
+ * @param {Array} after - Updated items
+ * @returns {{added: Array, removed: Array}}
+ */
+function diffSets(before = [], after = []) {
+  return {
+    added: after.filter(item => !before.includes(item)),
+    removed: before.filter(item => !after.includes(item)),
+  };
+}
+
+/**
+ * Count code blocks per language
+ * @param {Object[]} blocks - Code blocks
+ * @returns {Object} Language to count
+ */
+function countByLanguage(blocks) {
+  const counts = {};
+  for (const block of blocks) {
+    const language = block.language || '(none)';
+    counts[language] = (counts[language] || 0) + 1;
+  }
+  return counts;
+}
+
+/**
+ * Compute static size metrics for a document
+ * @param {Object} doc - Parsed document
+ * @returns {Object}
+ */
+function documentMetrics(doc) {
+  return {
+    lines: doc.content.split('\n').length,
+    characters: doc.content.length,
+    estimated_tokens: estimateTokens(doc.content),
+    sections: doc.sections.length,
+    code_blocks: doc.codeBlocks.length,
+    skill_references: doc.references.skills.length,
+  };
+}
+
+/**
+ * Compare two parsed skill documents
+ * @param {Object} a - Original document
+ * @param {Object} b - Updated document
+ * @param {Object} [options]
+ * @param {string} [options.focus] - content, structure, effectiveness or all
+ * @returns {Object} Comparison report
+ */
+function compareDocuments(a, b, { focus = 'all' } = {}) {
+  const report = {};
+  const wants = area => focus === 'all' || focus === area;
+
+  const sectionsA = new Map(a.sections.map(s => [s.path, s]));
+  const sectionsB = new Map(b.sections.map(s => [s.path, s]));
+  const added = b.sections.filter(s => !sectionsA.has(s.path)).map(s => s.path);
+  const removed = a.sections.filter(s => !sectionsB.has(s.path)).map(s => s.path);
+
+  if (wants('structure')) {
+    const fieldsA = flattenFrontmatter(a.frontmatter);
+    const fieldsB = flattenFrontmatter(b.frontmatter);
+    const fields = [...new Set([...Object.keys(fieldsA), ...Object.keys(fieldsB)])].sort();
+
+    report.frontmatter = fields
+      .filter(field => JSON.stringify(fieldsA[field]) !== JSON.stringify(fieldsB[field]))
+      .map(field => {
+        const change = { field, before: fieldsA[field], after: fieldsB[field] };
+        if (Array.isArray(fieldsA[field]) || Array.isArray(fieldsB[field])) {
+          Object.assign(
+            change,
+            diffSets([].concat(fieldsA[field] ?? []), [].concat(fieldsB[field] ?? []))
+          );
+        }
+        return change;
+      });
+
+    report.sections = { added, removed };
+  }
+
+  if (wants('content')) {
+    const changed = b.sections
+      .filter(s => sectionsA.has(s.path) && sectionsA.get(s.path).text !== s.text)
+      .map(s => ({
+        path: s.path,
+        lines_before: sectionsA.get(s.path).lines.length,
+        lines_after: s.lines.length,
+        line: s.startLine,
+      }));
+
+    report.sections = { added, removed, changed };
+    report.code_blocks = {
+      before: countByLanguage(a.codeBlocks),
+      after: countByLanguage(b.codeBlocks),
+    };
+    report.references = {
+      skills: diffSets(a.references.skills, b.references.skills),
+      subagents: diffSets(a.references.subagents, b.references.subagents),
+    };
+  }
+
+  if (wants('effectiveness')) {
+    report.metrics = { before: documentMetrics(a), after: documentMetrics(b) };
+  }
+
+  return report;
+}
+
+/**
+ * Render a comparison as human-readable text
+ * @param {Object} report - Comparison report
+ * @param {string} fromLabel - Original label
+ * @param {string} toLabel - Updated label
+ * @returns {string}
+ */
+function formatText(report, fromLabel, toLabel) {
+  const lines = [`Comparing ${fromLabel} → ${toLabel}`];
+
+  if (report.frontmatter) {
+    lines.push('', 'Frontmatter');
+    if (report.frontmatter.length === 0) lines.push('  (no changes)');
+    for (const change of report.frontmatter) {
+      if (change.added || change.removed) {
+        for (const item of change.added) lines.push(`  + ${change.field}: ${JSON.stringify(item)}`);
+        for (const item of change.removed)
+          lines.push(`  - ${change.field}: ${JSON.stringify(item)}`);
+      } else if (change.before === undefined) {
+        lines.push(`  + ${change.field}: ${JSON.stringify(change.after)}`);
+      } else if (change.after === undefined) {
+        lines.push(`  - ${change.field}: ${JSON.stringify(change.before)}`);
+      } else {
+        lines.push(
+          `  ~ ${change.field}: ${JSON.stringify(change.before)} → ${JSON.stringify(change.after)}`
+        );
+      }
+    }
+  }
+
+  if (report.sections) {
+    const { added, removed, changed = [] } = report.sections;
+    lines.push('', 'Sections');
+    if (added.length + removed.length + changed.length === 0) lines.push('  (no changes)');
+    for (const path of added) lines.push(`  + ${path}`);
+    for (const path of removed) lines.push(`  - ${path}`);
+    for (const section of changed) {
+      lines.push(`  ~ ${section.path} (${section.lines_before} → ${section.lines_after} lines)`);
+    }
+  }
+
+  if (report.code_blocks) {
+    const { before, after } = report.code_blocks;
+    const languages = [...new Set([...Object.keys(before), ...Object.keys(after)])].sort();
+    lines.push('', 'Code blocks');
+    for (const language of languages) {
+      const mark = (before[language] || 0) === (after[language] || 0) ? ' ' : '~';
+      lines.push(`  ${mark} ${language}: ${before[language] || 0} → ${after[language] || 0}`);
+    }
+  }
+
+  if (report.references) {
+    const { skills, subagents } = report.references;
+    lines.push('', 'References');
+    if (
+      skills.added.length +
+        skills.removed.length +
+        subagents.added.length +
+        subagents.removed.length ===
+      0
+    ) {
+      lines.push('  (no changes)');
+    }
+    for (const name of skills.added) lines.push(`  + [skill:${name}]`);
+    for (const name of skills.removed) lines.push(`  - [skill:${name}]`);
+    for (const name of subagents.added) lines.push(`  + [subagent:${name}]`);
+    for (const name of subagents.removed) lines.push(`  - [subagent:${name}]`);
+  }
+
+  if (report.metrics) {
+    const { before, after } = report.metrics;
+    lines.push('', 'Metrics');
+    for (const key of Object.keys(before)) {
+      lines.push(`  ${key.replace(/_/g, ' ')}: ${before[key]} → ${after[key]}`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Render a comparison as a standalone HTML report
+ * @param {Object} report - Comparison report
+ * @param {string} diff - Unified diff of the two files
+ * @param {string} fromLabel - Original label
+ * @param {string} toLabel - Updated label
+ * @returns {string}
+ */
+function formatHtml(report, diff, fromLabel, toLabel) {
+  const parts = [];
+
+  if (report.frontmatter) {
+    parts.push('<h2>Frontmatter</h2>');
+    parts.push(
+      htmlTable(
+        ['Field', 'Before', 'After'],
+        report.frontmatter.map(c => [c.field, JSON.stringify(c.before), JSON.stringify(c.after)])
+      )
+    );
+  }
+
+  if (report.sections) {
+    const { added, removed, changed = [] } = report.sections;
+    parts.push('<h2>Sections</h2>');
+    parts.push(
+      htmlTable(
+        ['Change', 'Section'],
+        [
+          ...added.map(p => ['added', p]),
+          ...removed.map(p => ['removed', p]),
+          ...changed.map(s => [
+            'changed',
+            `${s.path} (${s.lines_before} → ${s.lines_after} lines)`,
+          ]),
+        ]
+      )
+    );
+  }
+
+  if (report.references) {
+    const { skills, subagents } = report.references;
+    parts.push('<h2>References</h2>');
+    parts.push(
+      htmlTable(
+        ['Change', 'Reference'],
+        [
+          ...skills.added.map(n => ['added', `[skill:${n}]`]),
+          ...skills.removed.map(n => ['removed', `[skill:${n}]`]),
+          ...subagents.added.map(n => ['added', `[subagent:${n}]`]),
+          ...subagents.removed.map(n => ['removed', `[subagent:${n}]`]),
+        ]
+      )
+    );
+  }
+
+  if (report.metrics) {
+    const { before, after } = report.metrics;
+    parts.push('<h2>Metrics</h2>');
+    parts.push(
+      htmlTable(
+        ['Metric', 'Before', 'After'],
+        Object.keys(before).map(k => [k, before[k], after[k]])
+      )
+    );
+  }
+
+  const diffHtml = diff
+    .split('\n')
+    .map(line => {
+      const cls = line.startsWith('+')
+        ? 'add'
+        : line.startsWith('-')
+          ? 'del'
+          : line.startsWith('@@')
+            ? 'hunk'
+            : '';
+      return cls ? `<span class="${cls}">${escapeHtml(line)}</span>` : escapeHtml(line);
+    })
+    .join('\n');
+
+  const body = `${parts.join('\n')}\n<h2>Diff</h2>\n<pre>${diffHtml}</pre>`;
+  return htmlPage(`${fromLabel} → ${toLabel}`, body, { css: DIFF_CSS });
+}
+
+/**
+ * Resolve a skill name or path to a SKILL.md path
+ * @param {string} arg - Skill name or file path
+ * @returns {string}
+ */
+function resolveSkillPath(arg) {
+  if (arg.endsWith('.md') || arg.includes('/')) return arg;
+  return join(SKILLS_DIR, arg, 'SKILL.md');
+}
+
+/**
+ * Read a skill file from the working tree or a git revision
+ * @param {string} filePath - Repository-relative path
+ * @param {string} [rev] - Git revision
+ * @returns {string}
+ */
+function readSkill(filePath, rev) {
+  if (!rev) {
+    if (!existsSync(filePath)) throw new Error(`Skill file not found: ${filePath}`);
+    return readFileSync(filePath, 'utf-8');
+  }
+
+  try {
+    return execFileSync('git', ['show', `${rev}:./${filePath}`], {
+      encoding: 'utf-8',
+      stdio: ['ignore', 'pipe', 'pipe'],
+    });
+  } catch (e) {
+    throw new Error(`Cannot read ${filePath} at ${rev}: ${String(e.stderr || e.message).trim()}`, {
+      cause: e,
+    });
+  }
+}
+
+/**
+ * Main CLI function
+ */
+function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      version: { type: 'string' },
+      to: { type: 'string' },
+      focus: { type: 'string', default: 'all' },
+      format: { type: 'string', default: 'text' },
+      output: { type: 'string' },
+    },
+  });
+
+  if (!FOCUS_AREAS.includes(values.focus)) {
+    throw new Error(`Unknown --focus "${values.focus}" (expected ${FOCUS_AREAS.join(', ')})`);
+  }
+  if (!FORMATS.includes(values.format)) {
+    throw new Error(`Unknown --format "${values.format}" (expected ${FORMATS.join(', ')})`);
+  }
+
+  let from;
+  let to;
+  if (positionals.length === 2 && !values.version) {
+    from = { path: resolveSkillPath(positionals[0]) };
+    to = { path: resolveSkillPath(positionals[1]) };
+  } else if (positionals.length === 1 && values.version) {
+    const path = resolveSkillPath(positionals[0]);
+    from = { path, rev: values.version };
+    to = { path, rev: values.to };
+  } else {
+    throw new Error(
+      'Usage: compare <skill-a> <skill-b> | compare <skill> --version <rev> [--to <rev>]'
+    );
+  }
+
+  const label = side => `${side.path}${side.rev ? `@${side.rev}` : ''}`;
+  const fromLabel = label(from);
+  const toLabel = label(to);
+  const before = readSkill(from.path, from.rev);
+  const after = readSkill(to.path, to.rev);
+
+  const report = compareDocuments(parseSkillDocument(before), parseSkillDocument(after), {
+    focus: values.focus,
+  });
+  const diff = unifiedDiff(before, after, { fromLabel, toLabel });
+
+  let output;
+  if (values.format === 'json') {
+    output = `${JSON.stringify({ from: fromLabel, to: toLabel, ...report }, null, 2)}\n`;
+  } else if (values.format === 'diff') {
+    output = diff;
+  } else if (values.format === 'html') {
+    output = formatHtml(report, diff, fromLabel, toLabel);
+  } else {
+    output = `${formatText(report, fromLabel, toLabel)}\n`;
+  }
+
+  if (values.output) {
+    writeFileSync(values.output, output, 'utf-8');
+    console.log(`✓ Wrote comparison to ${values.output}`);
+  } else {
+    process.stdout.write(output);
+  }
+}
+
+// Run if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  try {
+    main();
+  } catch (e) {
+    console.error(`✗ Compare failed: ${e.message}`);
+    process.exit(EXIT_ERROR);
+  }
+}
+
+export { parseSkillDocument, flattenFrontmatter, compareDocuments, formatText, formatHtml };
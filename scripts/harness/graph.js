@@ -0,0 +1,345 @@
+#!/usr/bin/env node
+/**
+ * dotnet-harness graph
+ * Implements /dotnet-harness:graph over the skill manifest
+ *
+ * Usage: node scripts/harness/graph.js [--skill <name>]... [--category <name>] [--tag <tag>]
+ *                                      [--depth <n>] [--format mermaid|dot|json]
+ *                                      [--declared-only] [--output <file>]
+ *
+ * Edges:
+ * - depends_on / optional / conflicts_with from skill frontmatter
+ * - inferred: [skill:] references in skill and subagent bodies
+ * - subagent: [subagent:] references, or [skill:] references that name a subagent
+ *
+ * Output is sorted by node and edge so regenerated diagrams diff cleanly.
+ */
+
+import { writeFileSync } from 'fs';
+import { extname } from 'path';
+import { parseArgs } from 'util';
+import { loadManifest, loadSubagents, matchesCategory, matchesTag } from '../lib/skills.js';
+
+const EXIT_ERROR = 1;
+
+const DEFAULT_DEPTH = 3;
+const FORMATS = ['mermaid', 'dot', 'json'];
+
+// Edge kinds in render order
+const EDGE_KINDS = ['depends_on', 'optional', 'inferred', 'subagent', 'conflicts_with'];
+
+// Mermaid arrow per edge kind
+const MERMAID_ARROWS = {
+  depends_on: '-->',
+  optional: '-.->|optional|',
+  inferred: '-.->',
+  subagent: '==>',
+  conflicts_with: 'x--x',
+};
+
+// Graphviz attributes per edge kind
+const DOT_EDGE_ATTRS = {
+  depends_on: '',
+  optional: ' [style=dotted, label="optional"]',
+  inferred: ' [style=dashed]',
+  subagent: ' [style=bold]',
+  conflicts_with: ' [dir=none, color=red, style=bold]',
+};
+
+/**
+ * Build the full skill/subagent graph
+ * @param {Object} manifest - Skill manifest
+ * @param {Object[]} [subagents] - Subagents from loadSubagents
+ * @param {Object} [options]
+ * @param {boolean} [options.declaredOnly] - Skip edges inferred from [skill:] references
+ * @returns {{nodes: Map<string, Object>, edges: Object[]}}
+ */
+function buildGraph(manifest, subagents = [], { declaredOnly = false } = {}) {
+  const nodes = new Map();
+  const edges = [];
+  const edgeKeys = new Set();
+  const subagentNames = new Set(subagents.map(s => s.name));
+
+  for (const [name, skill] of Object.entries(manifest.skills)) {
+    nodes.set(name, { id: name, type: 'skill', tags: skill.tags || [] });
+  }
+  for (const subagent of subagents) {
+    nodes.set(subagent.name, { id: subagent.name, type: 'subagent', tags: subagent.tags });
+  }
+
+  function addEdge(from, to, kind) {
+    const key = `${from}\0${to}\0${kind}`;
+    if (from === to || edgeKeys.has(key)) return;
+    edgeKeys.add(key);
+
+    if (!nodes.has(to)) {
+      nodes.set(to, { id: to, type: 'missing', tags: [] });
+    }
+    edges.push({ from, to, kind });
+  }
+
+  function referenceKind(target) {
+    return subagentNames.has(target) ? 'subagent' : 'inferred';
+  }
+
+  for (const [name, skill] of Object.entries(manifest.skills)) {
+    for (const dep of skill.depends_on || []) addEdge(name, dep, 'depends_on');
+    for (const dep of skill.optional || []) addEdge(name, dep, 'optional');
+    for (const dep of skill.conflicts_with || []) addEdge(name, dep, 'conflicts_with');
+    for (const ref of skill.subagent_references || []) addEdge(name, ref, 'subagent');
+
+    for (const ref of skill.inferred_dependencies || []) {
+      const kind = referenceKind(ref);
+      if (kind === 'inferred' && declaredOnly) continue;
+      addEdge(name, ref, kind);
+    }
+  }
+
+  for (const subagent of subagents) {
+    for (const ref of subagent.subagent_references) addEdge(subagent.name, ref, 'subagent');
+
+    for (const ref of subagent.skill_references) {
+      const kind = referenceKind(ref);
+      if (kind === 'inferred' && declaredOnly) continue;
+      addEdge(subagent.name, ref, kind);
+    }
+  }
+
+  return { nodes, edges };
+}
+
+/**
+ * Extract the subgraph reachable from seed skills or tags
+ * @param {Object} graph - Graph from buildGraph
+ * @param {Object} [options]
+ * @param {string[]} [options.skills] - Seed skill or subagent names
+ * @param {string} [options.category] - Seed every node with a matching tag segment
+ * @param {string} [options.tag] - Seed every node with this tag, a tag below it or a tag
+ *   ending with it (see matchesTag)
+ * @param {number} [options.depth] - Maximum traversal depth from the seeds
+ * @returns {{nodes: Map<string, Object>, edges: Object[]}}
+ */
+function extractSubgraph(graph, { skills = [], category, tag, depth = DEFAULT_DEPTH } = {}) {
+  const seeds = new Set();
+
+  for (const name of skills) {
+    if (!graph.nodes.has(name)) {
+      throw new Error(`Unknown skill or subagent: "${name}"`);
+    }
+    seeds.add(name);
+  }
+
+  for (const node of graph.nodes.values()) {
+    if (category && matchesCategory(node.tags, category)) seeds.add(node.id);
+    if (tag && matchesTag(node.tags, tag)) seeds.add(node.id);
+  }
+
+  if (skills.length === 0 && !category && !tag) {
+    return graph;
+  }
+
+  const outgoing = new Map();
+  for (const edge of graph.edges) {
+    if (!outgoing.has(edge.from)) outgoing.set(edge.from, []);
+    outgoing.get(edge.from).push(edge);
+  }
+
+  // Breadth-first so each node is reached at its shallowest depth
+  const included = new Set(seeds);
+  let frontier = [...seeds];
+  for (let level = 0; level < depth && frontier.length > 0; level++) {
+    const next = [];
+    for (const name of frontier) {
+      for (const edge of outgoing.get(name) || []) {
+        if (included.has(edge.to)) continue;
+        included.add(edge.to);
+        // Conflicting skills are shown but never expanded
+        if (edge.kind !== 'conflicts_with') next.push(edge.to);
+      }
+    }
+    frontier = next;
+  }
+
+  const nodes = new Map([...graph.nodes].filter(([name]) => included.has(name)));
+  const edges = graph.edges.filter(e => included.has(e.from) && included.has(e.to));
+
+  return { nodes, edges };
+}
+
+/**
+ * Sort nodes and edges for deterministic output
+ * @param {Object} graph - Graph
+ * @returns {{nodes: Object[], edges: Object[]}}
+ */
+function sortGraph(graph) {
+  const nodes = [...graph.nodes.values()].sort((a, b) => a.id.localeCompare(b.id));
+  const edges = [...graph.edges].sort(
+    (a, b) =>
+      a.from.localeCompare(b.from) ||
+      EDGE_KINDS.indexOf(a.kind) - EDGE_KINDS.indexOf(b.kind) ||
+      a.to.localeCompare(b.to)
+  );
+  return { nodes, edges };
+}
+
+/**
+ * Make a node name safe to use as a Mermaid node id
+ * @param {string} name - Node name
+ * @returns {string}
+ */
+function mermaidId(name) {
+  return name.replace(/[^A-Za-z0-9_]/g, '_');
+}
+
+/**
+ * Render graph as a Mermaid flowchart
+ * @param {Object} graph - Graph
+ * @returns {string}
+ */
+function toMermaid(graph) {
+  const { nodes, edges } = sortGraph(graph);
+  const lines = ['graph TD'];
+
+  for (const node of nodes) {
+    const shape = node.type === 'subagent' ? `[["${node.id}"]]` : `["${node.id}"]`;
+    lines.push(`  ${mermaidId(node.id)}${shape}`);
+  }
+  for (const edge of edges) {
+    lines.push(`  ${mermaidId(edge.from)} ${MERMAID_ARROWS[edge.kind]} ${mermaidId(edge.to)}`);
+  }
+
+  const subagents = nodes.filter(n => n.type === 'subagent').map(n => mermaidId(n.id));
+  const missing = nodes.filter(n => n.type === 'missing').map(n => mermaidId(n.id));
+  if (subagents.length > 0) {
+    lines.push('  classDef subagent fill:#e8f0fe,stroke:#1a73e8');
+    lines.push(`  class ${subagents.join(',')} subagent`);
+  }
+  if (missing.length > 0) {
+    lines.push('  classDef missing stroke:#d93025,stroke-dasharray:4 4');
+    lines.push(`  class ${missing.join(',')} missing`);
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Render graph as Graphviz DOT
+ * @param {Object} graph - Graph
+ * @returns {string}
+ */
+function toDot(graph) {
+  const { nodes, edges } = sortGraph(graph);
+  const lines = ['digraph skills {', '  rankdir=LR;', '  node [shape=box];'];
+
+  for (const node of nodes) {
+    if (node.type === 'subagent') {
+      lines.push(`  "${node.id}" [shape=ellipse];`);
+    } else if (node.type === 'missing') {
+      lines.push(`  "${node.id}" [style=dashed, color=red];`);
+    } else {
+      lines.push(`  "${node.id}";`);
+    }
+  }
+  for (const edge of edges) {
+    lines.push(`  "${edge.from}" -> "${edge.to}"${DOT_EDGE_ATTRS[edge.kind]};`);
+  }
+
+  lines.push('}');
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Render graph as a JSON adjacency list
+ * @param {Object} graph - Graph
+ * @returns {string}
+ */
+function toJson(graph) {
+  const { nodes, edges } = sortGraph(graph);
+  const adjacency = Object.fromEntries(nodes.map(n => [n.id, []]));
+
+  for (const edge of edges) {
+    adjacency[edge.from].push({ to: edge.to, kind: edge.kind });
+  }
+
+  const data = {
+    nodes: nodes.map(({ id, type, tags }) => ({ id, type, tags })),
+    adjacency,
+  };
+  return `${JSON.stringify(data, null, 2)}\n`;
+}
+
+/**
+ * Render graph in the requested format
+ * @param {Object} graph - Graph
+ * @param {string} format - mermaid, dot or json
+ * @returns {string}
+ */
+function renderGraph(graph, format) {
+  switch (format) {
+    case 'mermaid':
+      return toMermaid(graph);
+    case 'dot':
+      return toDot(graph);
+    case 'json':
+      return toJson(graph);
+    default:
+      throw new Error(`Unknown --format "${format}" (expected ${FORMATS.join(', ')})`);
+  }
+}
+
+/**
+ * Main CLI function
+ */
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      skill: { type: 'string', multiple: true, default: [] },
+      category: { type: 'string' },
+      tag: { type: 'string' },
+      depth: { type: 'string', default: String(DEFAULT_DEPTH) },
+      format: { type: 'string', default: 'mermaid' },
+      'declared-only': { type: 'boolean', default: false },
+      output: { type: 'string' },
+    },
+  });
+
+  const depth = Number.parseInt(values.depth, 10);
+  if (!Number.isInteger(depth) || depth < 0) {
+    throw new Error(`--depth must be a non-negative integer, got "${values.depth}"`);
+  }
+
+  const manifest = await loadManifest();
+  const subagents = await loadSubagents();
+  const graph = buildGraph(manifest, subagents, { declaredOnly: values['declared-only'] });
+  const subgraph = extractSubgraph(graph, {
+    skills: values.skill,
+    category: values.category,
+    tag: values.tag,
+    depth,
+  });
+
+  let output = renderGraph(subgraph, values.format);
+
+  if (values.output) {
+    // Markdown files get a fenced block so the diagram renders in docs
+    if (extname(values.output) === '.md' && values.format === 'mermaid') {
+      output = `\`\`\`mermaid\n${output}\`\`\`\n`;
+    }
+    writeFileSync(values.output, output, 'utf-8');
+    console.log(
+      `✓ Wrote ${subgraph.nodes.size} nodes and ${subgraph.edges.length} edges to ${values.output}`
+    );
+  } else {
+    process.stdout.write(output);
+  }
+}
+
+// Run if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main().catch(e => {
+    console.error(`✗ Graph failed: ${e.message}`);
+    process.exit(EXIT_ERROR);
+  });
+}
+
+export { buildGraph, extractSubgraph, toMermaid, toDot, toJson, renderGraph };
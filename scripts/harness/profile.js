@@ -0,0 +1,468 @@
+#!/usr/bin/env node
+/**
+ * dotnet-harness profile
+ * Implements /dotnet-harness:profile with local-only skill metrics
+ *
+ * Usage: node scripts/harness/profile.js [skill-name] [--compare <skill>] [--session]
+ *                                        [--format text|json|html] [--export <file>]
+ *
+ * Static metrics (from the manifest and skill bodies):
+ * - Token estimate of the skill body
+ * - Reference fan-out/fan-in and unresolved references
+ * - Transitive closure size and its combined token estimate
+ *
+ * Session usage is read from .dotnet-harness/analytics/usage.jsonl, which the
+ * skill-usage postToolUse hook in .rulesync/hooks.json appends to whenever a
+ * SKILL.md is read. No data leaves the machine.
+ */
+
+import { readFile, writeFile } from 'fs/promises';
+import { join } from 'path';
+import { parseArgs } from 'util';
+import { htmlPage, htmlTable } from '../lib/html.js';
+import { loadCatalog, loadSubagents } from '../lib/skills.js';
+import { estimateTokens } from '../lib/tokens.js';
+
+const EXIT_ERROR = 1;
+
+const ANALYTICS_DIR = join('.dotnet-harness', 'analytics');
+const USAGE_LOG = join(ANALYTICS_DIR, 'usage.jsonl');
+
+const FORMATS = ['text', 'json', 'html'];
+const TOP_N = 10;
+
+// Thresholds for profile recommendations
+const LARGE_SKILL_TOKENS = 5000;
+const LARGE_CLOSURE_SIZE = 25;
+
+/**
+ * Compute static metrics for every skill in the catalog
+ * @param {Object[]} skills - Skills from loadCatalog
+ * @param {Object[]} [subagents] - Subagents from loadSubagents; references to them resolve
+ * @returns {Object} Skill name to metrics
+ */
+function computeStaticMetrics(skills, subagents = []) {
+  const byName = new Map(skills.map(s => [s.name, s]));
+  const subagentNames = new Set(subagents.map(s => s.name));
+  const references = new Map();
+  const fanIn = new Map(skills.map(s => [s.name, 0]));
+
+  for (const skill of skills) {
+    const refs = [
+      ...new Set([
+        ...(skill.depends_on || []),
+        ...(skill.optional || []),
+        ...(skill.inferred_dependencies || []),
+      ]),
+    ].filter(ref => ref !== skill.name);
+    references.set(skill.name, refs);
+    for (const ref of refs) {
+      if (fanIn.has(ref)) fanIn.set(ref, fanIn.get(ref) + 1);
+    }
+  }
+
+  const metrics = {};
+  for (const skill of skills) {
+    const refs = references.get(skill.name);
+    const closure = transitiveClosure(skill.name, references, byName);
+
+    metrics[skill.name] = {
+      tokens: estimateTokens(skill.body),
+      lines: skill.body.split('\n').length,
+      fan_out: refs.filter(ref => byName.has(ref)).length,
+      fan_in: fanIn.get(skill.name),
+      unresolved_references: refs.filter(ref => !byName.has(ref) && !subagentNames.has(ref)),
+      closure_size: closure.length,
+      closure_tokens: closure.reduce((sum, name) => sum + estimateTokens(byName.get(name).body), 0),
+    };
+  }
+
+  return metrics;
+}
+
+/**
+ * Collect every skill reachable from a skill, excluding the skill itself
+ * @param {string} start - Skill name
+ * @param {Map<string, string[]>} references - Skill name to referenced names
+ * @param {Map<string, Object>} byName - Known skills
+ * @returns {string[]} Reachable skill names
+ */
+function transitiveClosure(start, references, byName) {
+  const seen = new Set([start]);
+  const queue = [start];
+
+  while (queue.length > 0) {
+    for (const ref of references.get(queue.shift()) || []) {
+      if (seen.has(ref) || !byName.has(ref)) continue;
+      seen.add(ref);
+      queue.push(ref);
+    }
+  }
+
+  seen.delete(start);
+  return [...seen].sort();
+}
+
+/**
+ * Read the session usage log, skipping malformed lines
+ * @param {string} [file] - Path to usage.jsonl
+ * @returns {Promise<Object[]>} Usage events ({ts, session, skill})
+ */
+async function readUsageLog(file = USAGE_LOG) {
+  let content;
+  try {
+    content = await readFile(file, 'utf8');
+  } catch (e) {
+    if (e.code === 'ENOENT') return [];
+    throw new Error(`Failed to read ${file}: ${e.message}`, { cause: e });
+  }
+
+  const events = [];
+  for (const line of content.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const event = JSON.parse(line);
+      if (event && typeof event.skill === 'string') events.push(event);
+    } catch {
+      // A partially written line from an interrupted hook is not fatal
+    }
+  }
+  return events;
+}
+
+/**
+ * Aggregate usage events per skill and per session
+ * @param {Object[]} events - Usage events
+ * @param {Object} [options]
+ * @param {boolean} [options.latestSession] - Only count the most recent session
+ * @returns {Object} Usage summary
+ */
+function aggregateUsage(events, { latestSession = false } = {}) {
+  let selected = events;
+  if (latestSession && events.length > 0) {
+    const session = events[events.length - 1].session || '';
+    selected = events.filter(e => (e.session || '') === session);
+  }
+
+  const skills = {};
+  const sessions = new Map();
+  for (const event of selected) {
+    const entry = (skills[event.skill] ||= { reads: 0, sessions: 0, last_read: null });
+    entry.reads++;
+    if (!entry.last_read || (event.ts && event.ts > entry.last_read)) entry.last_read = event.ts;
+
+    const session = event.session || '';
+    if (!sessions.has(session)) sessions.set(session, new Set());
+    sessions.get(session).add(event.skill);
+  }
+
+  // Skills read together in the same session
+  const pairs = new Map();
+  for (const names of sessions.values()) {
+    const sorted = [...names].sort();
+    for (const name of sorted) skills[name].sessions++;
+    for (let i = 0; i < sorted.length; i++) {
+      for (let j = i + 1; j < sorted.length; j++) {
+        const key = `${sorted[i]}\0${sorted[j]}`;
+        pairs.set(key, (pairs.get(key) || 0) + 1);
+      }
+    }
+  }
+
+  return {
+    events: selected.length,
+    sessions: sessions.size,
+    skills,
+    together: [...pairs]
+      .map(([key, count]) => ({ skills: key.split('\0'), sessions: count }))
+      .sort((a, b) => b.sessions - a.sessions || a.skills.join().localeCompare(b.skills.join()))
+      .slice(0, TOP_N),
+  };
+}
+
+/**
+ * Suggest optimizations for a skill from its metrics
+ * @param {Object} metrics - Static metrics for one skill
+ * @returns {string[]}
+ */
+function recommend(metrics) {
+  const tips = [];
+  if (metrics.tokens > LARGE_SKILL_TOKENS) {
+    tips.push(
+      `Large skill (~${num(metrics.tokens)} tokens); consider splitting into focused skills`
+    );
+  }
+  if (metrics.closure_size > LARGE_CLOSURE_SIZE) {
+    tips.push(
+      `Reaches ${metrics.closure_size} skills transitively (~${num(metrics.closure_tokens)} tokens); ` +
+        'prefer routing to a few entry points'
+    );
+  }
+  if (metrics.unresolved_references.length > 0) {
+    tips.push(`Fix unresolved references: ${metrics.unresolved_references.join(', ')}`);
+  }
+  return tips;
+}
+
+/**
+ * Build the profile report
+ * @param {Object[]} skills - Skills from loadCatalog
+ * @param {Object[]} events - Usage events
+ * @param {Object} [options]
+ * @param {Object[]} [options.subagents] - Subagents from loadSubagents
+ * @param {string[]} [options.names] - Skills to profile (empty for a full report)
+ * @param {boolean} [options.session] - Only count the most recent session
+ * @returns {Object} Report
+ */
+function buildProfile(skills, events, { subagents = [], names = [], session = false } = {}) {
+  const metrics = computeStaticMetrics(skills, subagents);
+  const usage = aggregateUsage(events, { latestSession: session });
+
+  for (const name of names) {
+    if (!metrics[name]) throw new Error(`Unknown skill: "${name}"`);
+  }
+
+  const profileOf = name => ({
+    name,
+    ...metrics[name],
+    usage: usage.skills[name] || { reads: 0, sessions: 0, last_read: null },
+    recommendations: recommend(metrics[name]),
+  });
+
+  if (names.length > 0) {
+    return { scope: session ? 'session' : 'all', skills: names.map(profileOf) };
+  }
+
+  const all = Object.keys(metrics).sort();
+  const top = (key, list = all) =>
+    [...list]
+      .sort((a, b) => metrics[b][key] - metrics[a][key] || a.localeCompare(b))
+      .slice(0, TOP_N)
+      .map(name => ({ name, [key]: metrics[name][key] }));
+
+  return {
+    scope: session ? 'session' : 'all',
+    totals: {
+      skills: all.length,
+      tokens: all.reduce((sum, name) => sum + metrics[name].tokens, 0),
+      unresolved_references: all.reduce(
+        (sum, name) => sum + metrics[name].unresolved_references.length,
+        0
+      ),
+    },
+    largest: top('tokens'),
+    widest_closure: top('closure_size'),
+    most_referenced: top('fan_in'),
+    usage: {
+      events: usage.events,
+      sessions: usage.sessions,
+      most_used: Object.entries(usage.skills)
+        .map(([name, entry]) => ({ name, ...entry }))
+        .sort((a, b) => b.reads - a.reads || a.name.localeCompare(b.name))
+        .slice(0, TOP_N),
+      together: usage.together,
+    },
+  };
+}
+
+/**
+ * Format a number with thousands separators
+ * @param {number} n - Number
+ * @returns {string}
+ */
+function num(n) {
+  return n.toLocaleString('en-US');
+}
+
+/**
+ * Render a profile report as text
+ * @param {Object} report - Report from buildProfile
+ * @returns {string}
+ */
+function formatText(report) {
+  const lines = [];
+
+  if (report.skills) {
+    for (const skill of report.skills) {
+      const title = `Skill Profile: ${skill.name}`;
+      lines.push(title, '═'.repeat(title.length), '');
+      lines.push('Static Metrics:');
+      lines.push(`  Token estimate: ${num(skill.tokens)} tokens (${num(skill.lines)} lines)`);
+      lines.push(`  References: ${skill.fan_out} out, ${skill.fan_in} in`);
+      if (skill.unresolved_references.length > 0) {
+        lines.push(`  Unresolved: ${skill.unresolved_references.join(', ')}`);
+      }
+      lines.push(
+        `  Transitive closure: ${skill.closure_size} skills (~${num(skill.closure_tokens)} tokens)`
+      );
+      lines.push('', `Usage (${report.scope === 'session' ? 'latest session' : 'all sessions'}):`);
+      lines.push(`  Reads: ${skill.usage.reads} across ${skill.usage.sessions} session(s)`);
+      if (skill.usage.last_read) lines.push(`  Last read: ${skill.usage.last_read}`);
+      if (skill.recommendations.length > 0) {
+        lines.push('', 'Recommendations:');
+        for (const tip of skill.recommendations) lines.push(`  ⚠ ${tip}`);
+      }
+      lines.push('');
+    }
+    return lines.join('\n');
+  }
+
+  const { totals, usage } = report;
+  lines.push('Skill Profile Report', '════════════════════', '');
+  lines.push(`Skills: ${totals.skills}, ~${num(totals.tokens)} tokens in total`);
+  if (totals.unresolved_references > 0) {
+    lines.push(`⚠ ${totals.unresolved_references} unresolved reference(s)`);
+  }
+
+  const section = (title, rows, render) => {
+    lines.push('', `${title}:`);
+    if (rows.length === 0) lines.push('  (none)');
+    rows.forEach((row, i) => lines.push(`  ${String(i + 1).padStart(2)}. ${render(row)}`));
+  };
+
+  section('Largest skills', report.largest, r => `${r.name} (~${num(r.tokens)} tokens)`);
+  section('Widest transitive closure', report.widest_closure, r => `${r.name} (${r.closure_size})`);
+  section('Most referenced', report.most_referenced, r => `${r.name} (${r.fan_in})`);
+
+  lines.push('', `Usage: ${usage.events} read(s) across ${usage.sessions} session(s)`);
+  if (usage.events === 0) {
+    lines.push(`  No usage recorded yet in ${USAGE_LOG}`);
+  } else {
+    section('Most used', usage.most_used, r => `${r.name} (${r.reads} reads)`);
+    section('Used together', usage.together, r => `${r.skills.join(' + ')} (${r.sessions})`);
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Render a profile report as a standalone HTML page
+ * @param {Object} report - Report from buildProfile
+ * @returns {string}
+ */
+function formatHtml(report) {
+  const parts = [];
+
+  if (report.skills) {
+    parts.push('<h2>Skills</h2>');
+    parts.push(
+      htmlTable(
+        ['Skill', 'Tokens', 'Fan-out', 'Fan-in', 'Closure', 'Closure tokens', 'Reads', 'Notes'],
+        report.skills.map(s => [
+          s.name,
+          s.tokens,
+          s.fan_out,
+          s.fan_in,
+          s.closure_size,
+          s.closure_tokens,
+          s.usage.reads,
+          s.recommendations.join('; '),
+        ])
+      )
+    );
+    return htmlPage('Skill Profile', parts.join('\n'));
+  }
+
+  parts.push(
+    `<p>${report.totals.skills} skills, ~${num(report.totals.tokens)} tokens in total.</p>`
+  );
+  parts.push('<h2>Largest skills</h2>');
+  parts.push(
+    htmlTable(
+      ['Skill', 'Tokens'],
+      report.largest.map(r => [r.name, r.tokens])
+    )
+  );
+  parts.push('<h2>Widest transitive closure</h2>');
+  parts.push(
+    htmlTable(
+      ['Skill', 'Closure'],
+      report.widest_closure.map(r => [r.name, r.closure_size])
+    )
+  );
+  parts.push('<h2>Most referenced</h2>');
+  parts.push(
+    htmlTable(
+      ['Skill', 'Fan-in'],
+      report.most_referenced.map(r => [r.name, r.fan_in])
+    )
+  );
+  parts.push('<h2>Most used</h2>');
+  parts.push(
+    htmlTable(
+      ['Skill', 'Reads', 'Sessions', 'Last read'],
+      report.usage.most_used.map(r => [r.name, r.reads, r.sessions, r.last_read])
+    )
+  );
+  parts.push('<h2>Used together</h2>');
+  parts.push(
+    htmlTable(
+      ['Skills', 'Sessions'],
+      report.usage.together.map(r => [r.skills.join(' + '), r.sessions])
+    )
+  );
+
+  return htmlPage('Skill Profile Report', parts.join('\n'));
+}
+
+/**
+ * Main CLI function
+ */
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      compare: { type: 'string' },
+      session: { type: 'boolean', default: false },
+      format: { type: 'string', default: 'text' },
+      export: { type: 'string' },
+    },
+  });
+
+  if (!FORMATS.includes(values.format)) {
+    throw new Error(`Unknown --format "${values.format}" (expected ${FORMATS.join(', ')})`);
+  }
+
+  const names = [...positionals];
+  if (values.compare) names.push(values.compare);
+
+  const { skills } = await loadCatalog();
+  const subagents = await loadSubagents();
+  const events = await readUsageLog();
+  const report = buildProfile(skills, events, { subagents, names, session: values.session });
+
+  let output;
+  if (values.format === 'json') {
+    output = `${JSON.stringify(report, null, 2)}\n`;
+  } else if (values.format === 'html') {
+    output = formatHtml(report);
+  } else {
+    output = formatText(report);
+  }
+
+  if (values.export) {
+    await writeFile(values.export, output, 'utf8');
+    console.log(`✓ Wrote profile to ${values.export}`);
+  } else {
+    process.stdout.write(output);
+  }
+}
+
+// Run if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main().catch(e => {
+    console.error(`✗ Profile failed: ${e.message}`);
+    process.exit(EXIT_ERROR);
+  });
+}
+
+export {
+  ANALYTICS_DIR,
+  USAGE_LOG,
+  computeStaticMetrics,
+  readUsageLog,
+  aggregateUsage,
+  buildProfile,
+  formatText,
+  formatHtml,
+};
@@ -0,0 +1,128 @@
+#!/usr/bin/env node
+/**
+ * dotnet-harness resolve
+ * Implements /dotnet-harness:resolve: dependency-ordered skill load lists
+ *
+ * Usage: node scripts/harness/resolve.js <skill>... [--optional] [--inferred]
+ *                                        [--explain] [--format text|json]
+ *
+ * Exit codes:
+ * - 0: All dependencies satisfied
+ * - 1: Missing dependencies, conflicts or cycles (or a usage error)
+ */
+
+import { parseArgs } from 'util';
+import { explainSkill, resolveSkills } from '../lib/resolver.js';
+import { loadManifest } from '../lib/skills.js';
+
+// Exit codes
+const EXIT_SUCCESS = 0;
+const EXIT_FAILURE = 1;
+
+const FORMATS = ['text', 'json'];
+
+/**
+ * Describe the direct reasons a skill was selected
+ * @param {Object[]} reasons - Reasons recorded by resolveSkills
+ * @returns {string}
+ */
+function describeReasons(reasons) {
+  return reasons
+    .map(reason => (reason.kind === 'requested' ? 'requested' : `${reason.kind} of ${reason.from}`))
+    .join(', ');
+}
+
+/**
+ * Render a resolution as text
+ * @param {Object} resolution - Result of resolveSkills
+ * @param {Object} [options]
+ * @param {boolean} [options.explain] - Show the full chain back to a requested skill
+ * @returns {string}
+ */
+function formatText(resolution, { explain = false } = {}) {
+  const lines = [`Load order (${resolution.order.length} skill(s)):`];
+  const width = Math.max(0, ...resolution.order.map(name => name.length));
+
+  resolution.order.forEach((name, i) => {
+    const why = explain
+      ? explainSkill(resolution, name)
+          .map((step, j) => (j === 0 ? step.name : `${step.kind} ${step.name}`))
+          .join(' → ')
+      : describeReasons(resolution.reasons[name]);
+    lines.push(
+      `  ${String(i + 1).padStart(2)}. ${name.padEnd(width)}  ${explain ? '' : '← '}${why}`
+    );
+  });
+
+  for (const item of resolution.missing) {
+    const source = item.required_by ? ` (required by ${item.required_by})` : '';
+    lines.push(`✗ Missing skill: ${item.name}${source}`);
+  }
+  for (const item of resolution.skipped) {
+    lines.push(`⚠ Skipped ${item.kind} dependency: ${item.name} (from ${item.required_by})`);
+  }
+  for (const conflict of resolution.conflicts) {
+    lines.push(`✗ Conflict: ${conflict.skill} conflicts with ${conflict.conflicts_with}`);
+  }
+  for (const cycle of resolution.cycles) {
+    lines.push(`✗ Circular dependency: ${cycle.join(' → ')}`);
+  }
+
+  lines.push(resolution.ok ? '✓ All dependencies satisfied' : '✗ Dependencies not satisfiable');
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Main CLI function
+ * @returns {Promise<number>} Exit code
+ */
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      optional: { type: 'boolean', default: false },
+      inferred: { type: 'boolean', default: false },
+      explain: { type: 'boolean', default: false },
+      format: { type: 'string', default: 'text' },
+    },
+  });
+
+  if (positionals.length === 0) {
+    throw new Error('Usage: resolve <skill>... [--optional] [--inferred] [--explain]');
+  }
+  if (!FORMATS.includes(values.format)) {
+    throw new Error(`Unknown --format "${values.format}" (expected ${FORMATS.join(', ')})`);
+  }
+
+  const manifest = await loadManifest();
+  const resolution = resolveSkills(manifest, positionals, {
+    includeOptional: values.optional,
+    includeInferred: values.inferred,
+  });
+
+  if (values.format === 'json') {
+    const explanations = Object.fromEntries(
+      resolution.order.map(name => [name, explainSkill(resolution, name)])
+    );
+    const data = values.explain ? { ...resolution, explanations } : resolution;
+    process.stdout.write(`${JSON.stringify(data, null, 2)}\n`);
+  } else {
+    process.stdout.write(formatText(resolution, { explain: values.explain }));
+  }
+
+  return resolution.ok ? EXIT_SUCCESS : EXIT_FAILURE;
+}
+
+// Run if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main()
+    .then(code => {
+      process.exitCode = code;
+    })
+    .catch(e => {
+      console.error(`✗ Resolve failed: ${e.message}`);
+      process.exit(EXIT_FAILURE);
+    });
+}
+
+export { formatText };
@@ -0,0 +1,273 @@
+#!/usr/bin/env node
+/**
+ * dotnet-harness search
+ * Implements /dotnet-harness:search over the skill manifest
+ *
+ * Usage: node scripts/harness/search.js <query> [--category <name>] [--platform <name>]
+ *                                       [--tag <tag>] [--limit <n>] [--format text|json]
+ *
+ * Ranking:
+ * - BM25 per field (name, description, tags, body), summed with field weights
+ * - Name and tag matches weigh more than body matches
+ * - Ties are broken by skill name so results are stable across runs
+ */
+
+import { parseArgs } from 'util';
+import { loadCatalog, matchesCategory, matchesTag } from '../lib/skills.js';
+
+const EXIT_ERROR = 1;
+
+const DEFAULT_LIMIT = 20;
+
+// BM25 tuning
+const K1 = 1.2;
+const B = 0.75;
+
+// Relative weight of each searchable field
+const FIELD_WEIGHTS = {
+  name: 3,
+  tags: 2,
+  description: 2,
+  body: 1,
+};
+
+const STOP_WORDS = new Set([
+  'a',
+  'an',
+  'and',
+  'are',
+  'as',
+  'for',
+  'in',
+  'is',
+  'of',
+  'on',
+  'or',
+  'the',
+  'to',
+  'with',
+]);
+
+/**
+ * Split text into lowercase search terms
+ * @param {string} text - Text to tokenize
+ * @returns {string[]}
+ */
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/c#/g, 'csharp')
+    .replace(/\.net\b/g, 'dotnet')
+    .split(/[^a-z0-9]+/)
+    .filter(term => term.length > 1 && !STOP_WORDS.has(term));
+}
+
+/**
+ * Check whether a skill is generated for the given platform
+ * @param {Object} skill - Catalog skill
+ * @param {string} platform - Platform name (claudecode, opencode, ...)
+ * @returns {boolean}
+ */
+function matchesPlatform(skill, platform) {
+  const targets = skill.targets || ['*'];
+  const platforms = skill.platforms || ['*'];
+  return (
+    targets.includes('*') ||
+    targets.includes(platform) ||
+    platforms.includes('*') ||
+    platforms.includes(platform)
+  );
+}
+
+/**
+ * Apply --category, --platform and --tag filters
+ * @param {Object[]} skills - Catalog skills
+ * @param {Object} filters - Filter values
+ * @returns {Object[]}
+ */
+function filterSkills(skills, { category, platform, tag } = {}) {
+  return skills.filter(skill => {
+    const tags = skill.tags || [];
+    if (category && !matchesCategory(tags, category)) return false;
+    if (platform && !matchesPlatform(skill, platform)) return false;
+    if (tag && !matchesTag(tags, tag)) return false;
+    return true;
+  });
+}
+
+/**
+ * Build a BM25 index over catalog skills
+ * @param {Object[]} skills - Catalog skills
+ * @returns {Object} Index with per-document field term frequencies
+ */
+function buildIndex(skills) {
+  const fields = Object.keys(FIELD_WEIGHTS);
+  const totals = Object.fromEntries(fields.map(f => [f, 0]));
+  const documentFrequency = new Map();
+
+  const documents = skills.map(skill => {
+    const fieldText = {
+      name: skill.name.replace(/-/g, ' '),
+      tags: (skill.tags || []).join(' '),
+      description: skill.description,
+      body: skill.body,
+    };
+
+    const doc = { skill, lengths: {}, frequencies: {} };
+    const seen = new Set();
+
+    for (const field of fields) {
+      const terms = tokenize(fieldText[field]);
+      const frequencies = new Map();
+      for (const term of terms) {
+        frequencies.set(term, (frequencies.get(term) || 0) + 1);
+        seen.add(term);
+      }
+      doc.lengths[field] = terms.length;
+      doc.frequencies[field] = frequencies;
+      totals[field] += terms.length;
+    }
+
+    for (const term of seen) {
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    }
+
+    return doc;
+  });
+
+  const count = documents.length || 1;
+  const averageLengths = Object.fromEntries(fields.map(f => [f, totals[f] / count || 1]));
+
+  return { documents, documentFrequency, averageLengths };
+}
+
+/**
+ * Score one indexed document against query terms
+ * @param {Object} index - Index from buildIndex
+ * @param {Object} doc - Indexed document
+ * @param {string[]} terms - Query terms
+ * @returns {number}
+ */
+function scoreDocument(index, doc, terms) {
+  const total = index.documents.length;
+  let score = 0;
+
+  for (const term of terms) {
+    const df = index.documentFrequency.get(term) || 0;
+    if (df === 0) continue;
+
+    const idf = Math.log(1 + (total - df + 0.5) / (df + 0.5));
+
+    for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+      const frequency = doc.frequencies[field].get(term) || 0;
+      if (frequency === 0) continue;
+
+      const norm = 1 - B + B * (doc.lengths[field] / index.averageLengths[field]);
+      score += (weight * idf * frequency) / (K1 * norm + frequency);
+    }
+  }
+
+  return score;
+}
+
+/**
+ * Search catalog skills
+ * @param {Object[]} skills - Catalog skills (manifest entries with body)
+ * @param {string} query - Free-text query
+ * @param {Object} [options]
+ * @param {string} [options.category] - Category filter
+ * @param {string} [options.platform] - Platform filter
+ * @param {string} [options.tag] - Exact tag filter
+ * @param {number} [options.limit] - Maximum results
+ * @returns {Object[]} Ranked results
+ */
+function searchSkills(skills, query, { category, platform, tag, limit = DEFAULT_LIMIT } = {}) {
+  const candidates = filterSkills(skills, { category, platform, tag });
+  const index = buildIndex(candidates);
+  const terms = [...new Set(tokenize(query))];
+
+  const results = index.documents
+    .map(doc => ({
+      skill: doc.skill,
+      score: terms.length > 0 ? scoreDocument(index, doc, terms) : 0,
+    }))
+    .filter(result => terms.length === 0 || result.score > 0)
+    .sort((a, b) => b.score - a.score || a.skill.name.localeCompare(b.skill.name));
+
+  return results.slice(0, limit).map(({ skill, score }) => ({
+    name: skill.name,
+    score: Math.round(score * 10000) / 10000,
+    description: skill.description,
+    tags: skill.tags || [],
+    platforms: skill.platforms || ['*'],
+    file_path: skill.file_path,
+  }));
+}
+
+/**
+ * Render results as human-readable text
+ * @param {string} query - Original query
+ * @param {Object[]} results - Ranked results
+ * @returns {string}
+ */
+function formatText(query, results) {
+  if (results.length === 0) {
+    return `No skills found${query ? ` for "${query}"` : ''}`;
+  }
+
+  const lines = [`Found ${results.length} skill(s)${query ? ` for "${query}"` : ''}\n`];
+  results.forEach((result, i) => {
+    lines.push(`${String(i + 1).padStart(3)}. ${result.name} (score ${result.score.toFixed(2)})`);
+    lines.push(`     ${result.description}`);
+    lines.push(`     tags: ${result.tags.join(', ') || '(none)'}`);
+    lines.push(`     platforms: ${result.platforms.join(', ')}`);
+    lines.push(`     ${result.file_path}`);
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * Main CLI function
+ */
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      category: { type: 'string' },
+      platform: { type: 'string' },
+      tag: { type: 'string' },
+      limit: { type: 'string', default: String(DEFAULT_LIMIT) },
+      format: { type: 'string', default: 'text' },
+    },
+  });
+
+  const limit = Number.parseInt(values.limit, 10);
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new Error(`--limit must be a positive integer, got "${values.limit}"`);
+  }
+  if (!['text', 'json'].includes(values.format)) {
+    throw new Error(`Unknown --format "${values.format}" (expected text or json)`);
+  }
+
+  const query = positionals.join(' ');
+  const { skills } = await loadCatalog();
+  const filters = { category: values.category, platform: values.platform, tag: values.tag };
+  const results = searchSkills(skills, query, { ...filters, limit });
+
+  if (values.format === 'json') {
+    console.log(JSON.stringify({ query, filters, total: results.length, results }, null, 2));
+  } else {
+    console.log(formatText(query, results));
+  }
+}
+
+// Run if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main().catch(e => {
+    console.error(`✗ Search failed: ${e.message}`);
+    process.exit(EXIT_ERROR);
+  });
+}
+
+export { tokenize, filterSkills, buildIndex, searchSkills, formatText };
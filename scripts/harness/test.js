@@ -0,0 +1,440 @@
+#!/usr/bin/env node
+/**
+ * dotnet-harness skill test runner
+ * Implements /dotnet-harness:test over declarative tests.yaml files
+ *
+ * Usage: node scripts/harness/test.js [all|<skill-name>...] [--format text|json|junit]
+ *                                     [--fail-fast] [--verbose] [--output <file>]
+ *
+ * Each skill may keep a tests.yaml next to its SKILL.md:
+ *
+ *   tests:
+ *     - name: Routes to coding standards
+ *       type: body-contains
+ *       values: ['[skill:dotnet-csharp-coding-standards]']
+ *
+ * Case types:
+ * - body-contains: every entry in `values` appears in the body (`ignoreCase` optional)
+ * - body-matches: `pattern` regex (with optional `flags`) matches the body
+ * - sections-present: every heading in `sections` exists (case-insensitive)
+ * - references-resolve: every [skill:] and [subagent:] reference exists
+ * - code-fences-parse: every fence in `language` is well-formed (`min` blocks optional)
+ * - frontmatter: `field` exists, optionally `equals` a value or `contains` an item
+ */
+
+import { existsSync, readFileSync, readdirSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { performance } from 'perf_hooks';
+import { parseArgs } from 'util';
+import YAML from 'yaml';
+import { SKILLS_DIR, loadSubagents, stripFrontmatter } from '../lib/skills.js';
+import {
+  checkCode,
+  extractCodeFences,
+  isPseudoCode,
+  normalizeLanguage,
+} from '../lib/code-fences.js';
+import { parseFrontmatter } from '../../.rulesync/scripts/build-manifest.js';
+
+// Exit codes
+const EXIT_SUCCESS = 0;
+const EXIT_FAILURE = 1;
+const EXIT_CONFIG = 2;
+
+const TESTS_FILE = 'tests.yaml';
+const FORMATS = ['text', 'json', 'junit'];
+
+/**
+ * Create an error that maps to the configuration exit code
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+function configError(message) {
+  const error = new Error(message);
+  error.exitCode = EXIT_CONFIG;
+  return error;
+}
+
+/**
+ * Convert a character offset into a 1-based line number
+ * @param {string} content - Content
+ * @param {number} offset - Character offset
+ * @returns {number}
+ */
+function lineOf(content, offset) {
+  return content.substring(0, offset).split('\n').length;
+}
+
+// Case runners: (testCase, context) => { passed, message }
+const CASE_RUNNERS = {
+  'body-contains'(testCase, { body }) {
+    const values = [].concat(testCase.values ?? testCase.value ?? []);
+    if (values.length === 0) throw configError('body-contains requires "values"');
+
+    const haystack = testCase.ignoreCase ? body.toLowerCase() : body;
+    const missing = values.filter(
+      value => !haystack.includes(testCase.ignoreCase ? String(value).toLowerCase() : String(value))
+    );
+
+    return missing.length === 0
+      ? { passed: true, message: `Found ${values.length} value(s)` }
+      : { passed: false, message: `Missing: ${missing.map(v => `"${v}"`).join(', ')}` };
+  },
+
+  'body-matches'(testCase, { body }) {
+    if (!testCase.pattern) throw configError('body-matches requires "pattern"');
+
+    const regex = new RegExp(testCase.pattern, testCase.flags || '');
+    return regex.test(body)
+      ? { passed: true, message: `Matched /${testCase.pattern}/` }
+      : { passed: false, message: `No match for /${testCase.pattern}/${testCase.flags || ''}` };
+  },
+
+  'sections-present'(testCase, { body }) {
+    const sections = [].concat(testCase.sections ?? []);
+    if (sections.length === 0) throw configError('sections-present requires "sections"');
+
+    const headings = new Set(
+      [...body.matchAll(/^#{1,6}\s+(.+?)\s*#*\s*$/gm)].map(m => m[1].toLowerCase())
+    );
+    const missing = sections.filter(section => !headings.has(String(section).toLowerCase()));
+
+    return missing.length === 0
+      ? { passed: true, message: `Found ${sections.length} section(s)` }
+      : { passed: false, message: `Missing sections: ${missing.join(', ')}` };
+  },
+
+  'references-resolve'(_testCase, { content, skillNames, subagentNames }) {
+    const broken = [];
+
+    for (const match of content.matchAll(/\[skill:([^\]]+)\]/g)) {
+      if (!skillNames.has(match[1]) && !subagentNames.has(match[1])) {
+        broken.push(`[skill:${match[1]}] (line ${lineOf(content, match.index)})`);
+      }
+    }
+    for (const match of content.matchAll(/\[subagent:([^\]]+)\]/g)) {
+      if (!subagentNames.has(match[1])) {
+        broken.push(`[subagent:${match[1]}] (line ${lineOf(content, match.index)})`);
+      }
+    }
+
+    return broken.length === 0
+      ? { passed: true, message: 'All references resolve' }
+      : { passed: false, message: `Unresolved: ${broken.join(', ')}` };
+  },
+
+  'code-fences-parse'(testCase, { content }) {
+    if (!testCase.language) throw configError('code-fences-parse requires "language"');
+
+    const language = normalizeLanguage(testCase.language);
+    const blocks = extractCodeFences(content).filter(
+      block => normalizeLanguage(block.language) === language && !isPseudoCode(block)
+    );
+    const min = testCase.min ?? 0;
+
+    if (blocks.length < min) {
+      return {
+        passed: false,
+        message: `Expected at least ${min} ${testCase.language} block(s), found ${blocks.length}`,
+      };
+    }
+
+    const failures = [];
+    for (const block of blocks) {
+      if (block.unclosed) {
+        failures.push(`line ${block.startLine}: unclosed fence`);
+        continue;
+      }
+      const result = checkCode(language, block.content);
+      if (!result.ok) {
+        failures.push(`line ${block.startLine + (result.line ?? 0)}: ${result.error}`);
+      }
+    }
+
+    return failures.length === 0
+      ? { passed: true, message: `${blocks.length} ${testCase.language} block(s) parsed` }
+      : { passed: false, message: failures.join('; ') };
+  },
+
+  frontmatter(testCase, { frontmatter }) {
+    if (!testCase.field) throw configError('frontmatter requires "field"');
+
+    const value = testCase.field.split('.').reduce((obj, key) => obj?.[key], frontmatter);
+    if (value === undefined) {
+      return { passed: false, message: `Field "${testCase.field}" is missing` };
+    }
+    if ('equals' in testCase && JSON.stringify(value) !== JSON.stringify(testCase.equals)) {
+      return {
+        passed: false,
+        message: `Field "${testCase.field}" is ${JSON.stringify(value)}, expected ${JSON.stringify(testCase.equals)}`,
+      };
+    }
+    if ('contains' in testCase && !(Array.isArray(value) && value.includes(testCase.contains))) {
+      return {
+        passed: false,
+        message: `Field "${testCase.field}" does not contain ${JSON.stringify(testCase.contains)}`,
+      };
+    }
+
+    return { passed: true, message: `Field "${testCase.field}" ok` };
+  },
+};
+
+/**
+ * Load and validate a skill's tests.yaml
+ * @param {string} skillName - Skill directory name
+ * @returns {Object[]|null} Test cases, or null when the skill has no tests
+ */
+function loadTestSuite(skillName) {
+  const testsPath = join(SKILLS_DIR, skillName, TESTS_FILE);
+  if (!existsSync(testsPath)) return null;
+
+  let suite;
+  try {
+    suite = YAML.parse(readFileSync(testsPath, 'utf-8'));
+  } catch (e) {
+    throw configError(`${testsPath}: YAML parsing error: ${e.message}`);
+  }
+
+  if (!suite || !Array.isArray(suite.tests)) {
+    throw configError(`${testsPath}: expected a top-level "tests" list`);
+  }
+
+  suite.tests.forEach((testCase, i) => {
+    if (!testCase || !CASE_RUNNERS[testCase.type]) {
+      throw configError(
+        `${testsPath}: test ${i + 1} has unknown type "${testCase?.type}" (expected ${Object.keys(CASE_RUNNERS).join(', ')})`
+      );
+    }
+  });
+
+  return suite.tests;
+}
+
+/**
+ * Run one skill's test cases
+ * @param {string} skillName - Skill directory name
+ * @param {Object[]} tests - Test cases
+ * @param {Object} catalog - Known skill and subagent names
+ * @param {Object} [options]
+ * @param {boolean} [options.failFast] - Stop after the first failure
+ * @returns {Object} Suite result
+ */
+function runSkillTests(skillName, tests, catalog, { failFast = false } = {}) {
+  const skillPath = join(SKILLS_DIR, skillName, 'SKILL.md');
+  const content = readFileSync(skillPath, 'utf-8');
+  const context = {
+    ...catalog,
+    content,
+    body: stripFrontmatter(content),
+    frontmatter: parseFrontmatter(content) || {},
+  };
+
+  const results = [];
+  for (const [i, testCase] of tests.entries()) {
+    const start = performance.now();
+    let outcome;
+    try {
+      outcome = CASE_RUNNERS[testCase.type](testCase, context);
+    } catch (e) {
+      if (e.exitCode) throw configError(`${skillName}: ${e.message}`);
+      outcome = { passed: false, message: e.message };
+    }
+
+    results.push({
+      name: testCase.name || `${testCase.type} #${i + 1}`,
+      type: testCase.type,
+      passed: outcome.passed,
+      message: outcome.message,
+      duration_ms: Math.round((performance.now() - start) * 100) / 100,
+    });
+
+    if (failFast && !outcome.passed) break;
+  }
+
+  return {
+    skill: skillName,
+    file: skillPath,
+    passed: results.filter(r => r.passed).length,
+    failed: results.filter(r => !r.passed).length,
+    results,
+  };
+}
+
+/**
+ * Render suites as human-readable text
+ * @param {Object[]} suites - Suite results
+ * @param {boolean} verbose - Include passing case details
+ * @returns {string}
+ */
+function formatText(suites, verbose) {
+  const lines = [];
+
+  for (const suite of suites) {
+    lines.push(`Testing ${suite.skill}...`);
+    if (!suite.file) lines.push(`  (no ${TESTS_FILE})`);
+    for (const result of suite.results) {
+      lines.push(`${result.passed ? '✓' : '✗'} ${result.name}`);
+      if (!result.passed || verbose) {
+        lines.push(`    ${result.message}`);
+      }
+    }
+    lines.push('');
+  }
+
+  const passed = suites.reduce((sum, s) => sum + s.passed, 0);
+  const failed = suites.reduce((sum, s) => sum + s.failed, 0);
+  lines.push(`${passed} passed, ${failed} failed (${suites.length} skill(s))`);
+
+  return lines.join('\n');
+}
+
+/**
+ * Escape text for XML attributes and content
+ * @param {string} text - Text to escape
+ * @returns {string}
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Render suites as JUnit XML
+ * @param {Object[]} suites - Suite results
+ * @returns {string}
+ */
+function formatJUnit(suites) {
+  const seconds = ms => (ms / 1000).toFixed(3);
+  const suiteTime = suite => suite.results.reduce((sum, r) => sum + r.duration_ms, 0);
+
+  const total = suites.reduce((sum, s) => sum + s.results.length, 0);
+  const failures = suites.reduce((sum, s) => sum + s.failed, 0);
+  const time = suites.reduce((sum, s) => sum + suiteTime(s), 0);
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="dotnet-harness" tests="${total}" failures="${failures}" errors="0" time="${seconds(time)}">`,
+  ];
+
+  for (const suite of suites) {
+    lines.push(
+      `  <testsuite name="${escapeXml(suite.skill)}" tests="${suite.results.length}" failures="${suite.failed}" errors="0" time="${seconds(suiteTime(suite))}" file="${escapeXml(suite.file)}">`
+    );
+    for (const result of suite.results) {
+      const attrs = `classname="${escapeXml(suite.skill)}" name="${escapeXml(result.name)}" time="${seconds(result.duration_ms)}"`;
+      if (result.passed) {
+        lines.push(`    <testcase ${attrs} />`);
+      } else {
+        lines.push(`    <testcase ${attrs}>`);
+        lines.push(
+          `      <failure message="${escapeXml(result.message)}" type="${escapeXml(result.type)}">${escapeXml(result.message)}</failure>`
+        );
+        lines.push('    </testcase>');
+      }
+    }
+    lines.push('  </testsuite>');
+  }
+
+  lines.push('</testsuites>');
+  return lines.join('\n');
+}
+
+/**
+ * Resolve CLI positionals to skill names with test suites
+ * @param {string[]} positionals - Skill names or "all"
+ * @returns {string[]}
+ */
+function selectSkills(positionals) {
+  const available = readdirSync(SKILLS_DIR, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .map(entry => entry.name)
+    .sort();
+
+  if (positionals.length === 0 || positionals.includes('all')) {
+    return available.filter(name => existsSync(join(SKILLS_DIR, name, TESTS_FILE)));
+  }
+
+  for (const name of positionals) {
+    if (!available.includes(name)) {
+      throw configError(`Unknown skill: "${name}"`);
+    }
+  }
+  return positionals;
+}
+
+/**
+ * Main CLI function
+ * @returns {Promise<number>} Exit code
+ */
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      format: { type: 'string', default: 'text' },
+      'fail-fast': { type: 'boolean', default: false },
+      verbose: { type: 'boolean', default: false },
+      output: { type: 'string' },
+    },
+  });
+
+  if (!FORMATS.includes(values.format)) {
+    throw configError(`Unknown --format "${values.format}" (expected ${FORMATS.join(', ')})`);
+  }
+
+  const skillNames = new Set(
+    readdirSync(SKILLS_DIR, { withFileTypes: true })
+      .filter(entry => entry.isDirectory())
+      .map(entry => entry.name)
+  );
+  const subagentNames = new Set((await loadSubagents()).map(s => s.name));
+  const catalog = { skillNames, subagentNames };
+
+  const suites = [];
+  for (const skillName of selectSkills(positionals)) {
+    const tests = loadTestSuite(skillName);
+    if (!tests) {
+      suites.push({ skill: skillName, file: '', passed: 0, failed: 0, results: [] });
+      continue;
+    }
+
+    const suite = runSkillTests(skillName, tests, catalog, { failFast: values['fail-fast'] });
+    suites.push(suite);
+    if (values['fail-fast'] && suite.failed > 0) break;
+  }
+
+  let output;
+  if (values.format === 'json') {
+    output = JSON.stringify({ suites }, null, 2);
+  } else if (values.format === 'junit') {
+    output = formatJUnit(suites);
+  } else {
+    output = formatText(suites, values.verbose);
+  }
+
+  if (values.output) {
+    writeFileSync(values.output, `${output}\n`, 'utf-8');
+  } else {
+    console.log(output);
+  }
+
+  return suites.some(s => s.failed > 0) ? EXIT_FAILURE : EXIT_SUCCESS;
+}
+
+// Run if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main()
+    .then(code => {
+      process.exitCode = code;
+    })
+    .catch(e => {
+      console.error(`✗ ${e.message}`);
+      process.exitCode = e.exitCode || EXIT_FAILURE;
+    });
+}
+
+export { CASE_RUNNERS, loadTestSuite, runSkillTests, formatText, formatJUnit };
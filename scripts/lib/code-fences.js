@@ -0,0 +1,414 @@
+/**
+ * Fenced code block helpers
+ *
+ * Extracts ``` and ~~~ fences (including longer fences such as ````) from
+ * markdown, and performs lightweight well-formedness checks per language.
+ * Blocks marked as pseudo-code in their info string (```csharp pseudo) are
+ * illustrative and not checked.
+ */
+
+import YAML from 'yaml';
+import { stripJsonc } from './jsonc.js';
+
+// Info-string words that mark a block as intentional pseudo-code
+const PSEUDO_MARKERS = ['pseudo', 'pseudocode'];
+
+// Fence info-string aliases mapped to the checker that handles them
+const LANGUAGE_ALIASES = {
+  csharp: 'csharp',
+  cs: 'csharp',
+  'c#': 'csharp',
+  json: 'json',
+  jsonc: 'jsonc',
+  yaml: 'yaml',
+  yml: 'yaml',
+  xml: 'xml',
+  csproj: 'xml',
+  xaml: 'xml',
+};
+
+/**
+ * Normalize a fence language to the name its checker uses
+ * @param {string} language - Fence language
+ * @returns {string}
+ */
+function normalizeLanguage(language) {
+  const lower = String(language || '').toLowerCase();
+  return LANGUAGE_ALIASES[lower] || lower;
+}
+
+/**
+ * Check whether a block is marked as pseudo-code (```csharp pseudo, ```pseudocode)
+ * @param {Object} block - Block from extractCodeFences
+ * @returns {boolean}
+ */
+function isPseudoCode(block) {
+  return block.info
+    .toLowerCase()
+    .split(/\s+/)
+    .some(word => PSEUDO_MARKERS.includes(word));
+}
+
+/**
+ * Extract fenced code blocks from markdown content
+ * @param {string} content - Markdown content
+ * @returns {Object[]} Blocks with language, info, content, startLine and endLine (1-based)
+ */
+function extractCodeFences(content) {
+  const lines = content.split('\n');
+  const blocks = [];
+  let open = null;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    if (!open) {
+      const match = line.match(/^( {0,3})(`{3,}|~{3,})(.*)$/);
+      // Backtick fences may not have backticks in their info string
+      if (!match || (match[2][0] === '`' && match[3].includes('`'))) continue;
+
+      const info = match[3].trim();
+      open = {
+        indent: match[1].length,
+        marker: match[2][0],
+        length: match[2].length,
+        info,
+        language: info.split(/\s+/)[0] || '',
+        startLine: i + 1,
+        body: [],
+      };
+      continue;
+    }
+
+    const close = line.match(/^ {0,3}(`{3,}|~{3,})\s*$/);
+    if (close && close[1][0] === open.marker && close[1].length >= open.length) {
+      blocks.push(toBlock(open, i + 1));
+      open = null;
+      continue;
+    }
+
+    // Strip up to the opening fence's indentation from content lines
+    const strip = Math.min(open.indent, line.length - line.trimStart().length);
+    open.body.push(line.slice(strip));
+  }
+
+  // An unclosed fence runs to the end of the document
+  if (open) {
+    blocks.push({ ...toBlock(open, lines.length), unclosed: true });
+  }
+
+  return blocks;
+}
+
+/**
+ * Convert an open fence accumulator into a block
+ * @param {Object} open - Fence accumulator
+ * @param {number} endLine - Closing line (1-based)
+ * @returns {Object}
+ */
+function toBlock(open, endLine) {
+  return {
+    language: open.language,
+    info: open.info,
+    fence: open.marker.repeat(open.length),
+    content: open.body.join('\n'),
+    startLine: open.startLine,
+    endLine,
+  };
+}
+
+/**
+ * Convert a character offset into a 1-based line within a block
+ * @param {string} text - Block content
+ * @param {number} offset - Character offset
+ * @returns {number}
+ */
+function lineAt(text, offset) {
+  return text.slice(0, offset).split('\n').length;
+}
+
+/**
+ * Check JSON well-formedness
+ * @param {string} code - Block content
+ * @returns {{ok: boolean, error?: string, line?: number}}
+ */
+function checkJson(code) {
+  try {
+    JSON.parse(code);
+    return { ok: true };
+  } catch (e) {
+    const position = e.message.match(/position (\d+)/);
+    return {
+      ok: false,
+      error: e.message,
+      line: position ? lineAt(code, Number(position[1])) : undefined,
+    };
+  }
+}
+
+/**
+ * Check JSON with comments and trailing commas (appsettings.json, jsonc)
+ * @param {string} code - Block content
+ * @returns {{ok: boolean, error?: string, line?: number}}
+ */
+function checkJsonc(code) {
+  return checkJson(stripJsonc(code));
+}
+
+/**
+ * Check YAML well-formedness (multi-document streams allowed)
+ * @param {string} code - Block content
+ * @returns {{ok: boolean, error?: string, line?: number}}
+ */
+function checkYaml(code) {
+  const lineCounter = new YAML.LineCounter();
+  const documents = YAML.parseAllDocuments(code, { lineCounter });
+  const docs = Array.isArray(documents) ? documents : [documents];
+
+  for (const doc of docs) {
+    if (doc.errors.length > 0) {
+      const error = doc.errors[0];
+      return {
+        ok: false,
+        error: error.message.split('\n')[0],
+        line: error.pos ? lineCounter.linePos(error.pos[0]).line : undefined,
+      };
+    }
+  }
+
+  return { ok: true };
+}
+
+/**
+ * Check XML well-formedness
+ * Fragments with several top-level elements are allowed, since snippets often
+ * show a few <PropertyGroup>/<ItemGroup> siblings from a larger project file.
+ * @param {string} code - Block content
+ * @returns {{ok: boolean, error?: string, line?: number}}
+ */
+function checkXml(code) {
+  const stack = [];
+  const tokenRegex =
+    /<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<\/?(?:[^<>"']|"[^"<]*"|'[^'<]*')*>|<|&(?!(?:[a-zA-Z]+|#\d+|#x[0-9a-fA-F]+);)/g;
+
+  while (true) {
+    const match = tokenRegex.exec(code);
+    if (match === null) break;
+
+    const token = match[0];
+    const line = lineAt(code, match.index);
+
+    if (token.startsWith('<!--') || token.startsWith('<![CDATA[') || token.startsWith('<?')) {
+      continue;
+    }
+    if (token.startsWith('<!DOCTYPE')) continue;
+    if (token === '<') {
+      if (code.slice(match.index).startsWith('<!--')) {
+        return { ok: false, error: 'Unterminated comment', line };
+      }
+      return { ok: false, error: 'Unescaped "<" or unterminated tag', line };
+    }
+    if (token.startsWith('&')) {
+      return { ok: false, error: 'Unescaped "&" (use &amp;)', line };
+    }
+
+    const closing = token.match(/^<\/\s*([A-Za-z_][\w.:-]*)\s*>$/);
+    if (closing) {
+      const expected = stack.pop();
+      if (!expected) {
+        return { ok: false, error: `Unexpected closing tag </${closing[1]}>`, line };
+      }
+      if (expected.name !== closing[1]) {
+        return {
+          ok: false,
+          error: `Mismatched closing tag </${closing[1]}> (expected </${expected.name}>)`,
+          line,
+        };
+      }
+      continue;
+    }
+
+    const opening = token.match(
+      /^<([A-Za-z_][\w.:-]*)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>$/
+    );
+    if (!opening) {
+      return { ok: false, error: `Malformed tag ${token.split('\n')[0]}`, line };
+    }
+    if (!opening[3]) {
+      stack.push({ name: opening[1], line });
+    }
+  }
+
+  if (stack.length > 0) {
+    const unclosed = stack[stack.length - 1];
+    return { ok: false, error: `Unclosed element <${unclosed.name}>`, line: unclosed.line };
+  }
+
+  return { ok: true };
+}
+
+/**
+ * Check C# for balanced delimiters, skipping comments, strings and char literals
+ * @param {string} code - Block content
+ * @returns {{ok: boolean, error?: string, line?: number}}
+ */
+function checkCsharp(code) {
+  const pairs = { ')': '(', ']': '[', '}': '{' };
+  const stack = [];
+  let i = 0;
+
+  while (i < code.length) {
+    const ch = code[i];
+    const next = code[i + 1];
+
+    // Comments
+    if (ch === '/' && next === '/') {
+      while (i < code.length && code[i] !== '\n') i++;
+      continue;
+    }
+    if (ch === '/' && next === '*') {
+      const end = code.indexOf('*/', i + 2);
+      if (end === -1) {
+        return { ok: false, error: 'Unterminated block comment', line: lineAt(code, i) };
+      }
+      i = end + 2;
+      continue;
+    }
+
+    // Raw string literals: """ ... """ (optionally $-prefixed)
+    const raw = code.slice(i).match(/^\$*("{3,})/);
+    if (raw) {
+      const quotes = raw[1];
+      const end = code.indexOf(quotes, i + raw[0].length);
+      if (end === -1) {
+        return { ok: false, error: 'Unterminated raw string', line: lineAt(code, i) };
+      }
+      i = end + quotes.length;
+      continue;
+    }
+
+    // Verbatim strings: @"..." or $@"..." / @$"..."
+    const verbatim = code.slice(i).match(/^(?:\$@|@\$|@)"/);
+    if (verbatim) {
+      let j = i + verbatim[0].length;
+      while (j < code.length) {
+        if (code[j] === '"' && code[j + 1] === '"') j += 2;
+        else if (code[j] === '"') break;
+        else j++;
+      }
+      if (j >= code.length) {
+        return { ok: false, error: 'Unterminated verbatim string', line: lineAt(code, i) };
+      }
+      i = j + 1;
+      continue;
+    }
+
+    // Regular and interpolated strings, char literals
+    if (ch === '"' || ch === "'" || (ch === '$' && next === '"')) {
+      const quote = ch === '$' ? '"' : ch;
+      let j = ch === '$' ? i + 2 : i + 1;
+      while (j < code.length && code[j] !== quote && code[j] !== '\n') {
+        j += code[j] === '\\' ? 2 : 1;
+      }
+      if (code[j] !== quote) {
+        // A lone apostrophe in a comment-like line is more likely prose than code
+        if (quote === "'") {
+          i++;
+          continue;
+        }
+        return { ok: false, error: 'Unterminated string literal', line: lineAt(code, i) };
+      }
+      i = j + 1;
+      continue;
+    }
+
+    if (ch === '(' || ch === '[' || ch === '{') {
+      stack.push({ ch, line: lineAt(code, i) });
+    } else if (pairs[ch]) {
+      const top = stack.pop();
+      if (!top) return { ok: false, error: `Unmatched "${ch}"`, line: lineAt(code, i) };
+      if (top.ch !== pairs[ch]) {
+        return {
+          ok: false,
+          error: `Mismatched "${ch}" (opened with "${top.ch}" on line ${top.line})`,
+          line: lineAt(code, i),
+        };
+      }
+    }
+    i++;
+  }
+
+  if (stack.length > 0) {
+    const top = stack[stack.length - 1];
+    return { ok: false, error: `Unclosed "${top.ch}"`, line: top.line };
+  }
+
+  return checkCsharpEnding(code);
+}
+
+// Line endings that leave a statement unfinished: an assignment, lambda arrow,
+// argument list, member access or binary operator with nothing after it
+const UNFINISHED_ENDING = /(?:(?:^|[^=!<>])=|=>|,|\(|(?:^|[^.])\.|&&|\|\||\?\?)$/;
+const LONE_ATTRIBUTE = /^\[[A-Z][\w.]*(?:\(.*\))?\]$/;
+
+/**
+ * Check that a balanced C# block doesn't stop mid-statement
+ * Blocks that end on a comment (such as // ...) are deliberately elided and pass.
+ * @param {string} code - Block content
+ * @returns {{ok: boolean, error?: string, line?: number, truncated?: boolean}}
+ */
+function checkCsharpEnding(code) {
+  const lines = code.split('\n');
+  let last = lines.length - 1;
+  while (last >= 0 && lines[last].trim() === '') last--;
+  if (last < 0) return { ok: true };
+
+  const line = lines[last].trim();
+  if (/^(?:\/\/|\/\*|\*)/.test(line)) return { ok: true };
+
+  const statement = line.replace(/\s+\/\/.*$/, '').trimEnd();
+  if (UNFINISHED_ENDING.test(statement) || LONE_ATTRIBUTE.test(statement)) {
+    return {
+      ok: false,
+      error: `Snippet looks truncated after "${statement.slice(-40)}"`,
+      line: last + 1,
+      truncated: true,
+    };
+  }
+
+  return { ok: true };
+}
+
+// Checker per normalized language
+const CHECKERS = {
+  csharp: checkCsharp,
+  json: checkJson,
+  jsonc: checkJsonc,
+  yaml: checkYaml,
+  xml: checkXml,
+};
+
+/**
+ * Check a code block with the checker for its language
+ * @param {string} language - Fence language
+ * @param {string} code - Block content
+ * @returns {{ok: boolean, error?: string, line?: number, skipped?: boolean}}
+ */
+function checkCode(language, code) {
+  const checker = CHECKERS[normalizeLanguage(language)];
+  if (!checker) return { ok: true, skipped: true };
+  return checker(code);
+}
+
+export {
+  CHECKERS,
+  normalizeLanguage,
+  isPseudoCode,
+  extractCodeFences,
+  checkJson,
+  checkJsonc,
+  checkYaml,
+  checkXml,
+  checkCsharp,
+  checkCode,
+};
@@ -0,0 +1,160 @@
+/**
+ * Line diff helpers
+ *
+ * LCS-based line diff with unified-diff rendering. Common prefixes and
+ * suffixes are trimmed before the quadratic step, which keeps typical
+ * skill edits cheap.
+ */
+
+// Sentinel appended to a final line without a trailing newline, so it never
+// matches the same text with a newline on the other side
+const NO_EOL = '\u0000';
+
+/**
+ * Compute line-level edit operations between two texts
+ * @param {string[]} a - Original lines
+ * @param {string[]} b - Updated lines
+ * @returns {Object[]} Operations: { type: 'equal'|'delete'|'insert', line, aIndex?, bIndex? }
+ */
+function diffLines(a, b) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const rows = midA.length + 1;
+  const cols = midB.length + 1;
+
+  // lcs[i][j] = LCS length of midA[i..] and midB[j..]
+  const lcs = new Uint32Array(rows * cols);
+  for (let i = midA.length - 1; i >= 0; i--) {
+    for (let j = midB.length - 1; j >= 0; j--) {
+      lcs[i * cols + j] =
+        midA[i] === midB[j]
+          ? lcs[(i + 1) * cols + j + 1] + 1
+          : Math.max(lcs[(i + 1) * cols + j], lcs[i * cols + j + 1]);
+    }
+  }
+
+  const ops = [];
+  for (let k = 0; k < start; k++) {
+    ops.push({ type: 'equal', line: a[k], aIndex: k, bIndex: k });
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < midA.length || j < midB.length) {
+    if (i < midA.length && j < midB.length && midA[i] === midB[j]) {
+      ops.push({ type: 'equal', line: midA[i], aIndex: start + i, bIndex: start + j });
+      i++;
+      j++;
+    } else if (
+      j < midB.length &&
+      (i === midA.length || lcs[i * cols + j + 1] >= lcs[(i + 1) * cols + j])
+    ) {
+      ops.push({ type: 'insert', line: midB[j], bIndex: start + j });
+      j++;
+    } else {
+      ops.push({ type: 'delete', line: midA[i], aIndex: start + i });
+      i++;
+    }
+  }
+
+  for (let k = 0; k < a.length - endA; k++) {
+    ops.push({ type: 'equal', line: a[endA + k], aIndex: endA + k, bIndex: endB + k });
+  }
+
+  return ops;
+}
+
+/**
+ * Render a unified diff between two texts
+ * @param {string} before - Original text
+ * @param {string} after - Updated text
+ * @param {Object} [options]
+ * @param {string} [options.fromLabel] - Label for the --- line
+ * @param {string} [options.toLabel] - Label for the +++ line
+ * @param {number} [options.context] - Context lines around each change
+ * @returns {string} Unified diff, or an empty string when the texts are equal
+ */
+function unifiedDiff(before, after, { fromLabel = 'a', toLabel = 'b', context = 3 } = {}) {
+  if (before === after) return '';
+
+  const ops = diffLines(splitLines(before), splitLines(after));
+  const changed = ops.map((op, i) => (op.type === 'equal' ? -1 : i)).filter(i => i >= 0);
+  if (changed.length === 0) return '';
+
+  // Group changes whose context windows overlap into hunks
+  const hunks = [];
+  let current = null;
+  for (const index of changed) {
+    const from = Math.max(0, index - context);
+    const to = Math.min(ops.length - 1, index + context);
+    if (current && from <= current.to + 1) {
+      current.to = to;
+    } else {
+      current = { from, to };
+      hunks.push(current);
+    }
+  }
+
+  const lines = [`--- ${fromLabel}`, `+++ ${toLabel}`];
+  for (const hunk of hunks) {
+    const slice = ops.slice(hunk.from, hunk.to + 1);
+    const aLines = slice.filter(op => op.type !== 'insert');
+    const bLines = slice.filter(op => op.type !== 'delete');
+    const aStart = aLines.length > 0 ? aLines[0].aIndex + 1 : startBefore(ops, hunk.from, 'aIndex');
+    const bStart = bLines.length > 0 ? bLines[0].bIndex + 1 : startBefore(ops, hunk.from, 'bIndex');
+
+    lines.push(`@@ -${aStart},${aLines.length} +${bStart},${bLines.length} @@`);
+    for (const op of slice) {
+      const prefix = op.type === 'equal' ? ' ' : op.type === 'delete' ? '-' : '+';
+      if (op.line.endsWith(NO_EOL)) {
+        lines.push(`${prefix}${op.line.slice(0, -NO_EOL.length)}`, '\\ No newline at end of file');
+      } else {
+        lines.push(`${prefix}${op.line}`);
+      }
+    }
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Split text into lines, marking a final line that has no trailing newline
+ * @param {string} text - Text to split
+ * @returns {string[]}
+ */
+function splitLines(text) {
+  if (text === '') return [];
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') {
+    lines.pop();
+  } else {
+    lines[lines.length - 1] += NO_EOL;
+  }
+  return lines;
+}
+
+/**
+ * Find the line number preceding an empty hunk side
+ * @param {Object[]} ops - Diff operations
+ * @param {number} index - Hunk start index
+ * @param {string} key - aIndex or bIndex
+ * @returns {number}
+ */
+function startBefore(ops, index, key) {
+  for (let i = index - 1; i >= 0; i--) {
+    if (ops[i][key] !== undefined) return ops[i][key] + 1;
+  }
+  return 0;
+}
+
+export { diffLines, unifiedDiff };
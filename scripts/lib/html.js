@@ -0,0 +1,66 @@
+/**
+ * HTML report helpers
+ *
+ * Builds small self-contained HTML reports (inline CSS, no external assets)
+ * so exported reports can be opened offline.
+ */
+
+const BASE_CSS = `body { font-family: system-ui, sans-serif; margin: 2rem; }
+table { border-collapse: collapse; margin-bottom: 1rem; }
+th, td { border: 1px solid #ccc; padding: 0.25rem 0.5rem; text-align: left; vertical-align: top; }
+pre { background: #f6f8fa; padding: 1rem; overflow-x: auto; }`;
+
+/**
+ * Escape text for HTML output
+ * @param {*} text - Text to escape
+ * @returns {string}
+ */
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Render an HTML table with escaped cells
+ * @param {string[]} headers - Column headers
+ * @param {Array[]} rows - Row cell values
+ * @returns {string}
+ */
+function htmlTable(headers, rows) {
+  const head = headers.map(h => `<th>${escapeHtml(h)}</th>`).join('');
+  const body = rows
+    .map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`)
+    .join('\n');
+  return `<table>\n<tr>${head}</tr>\n${body}\n</table>`;
+}
+
+/**
+ * Wrap report sections in a standalone HTML document
+ * @param {string} title - Page title and heading (escaped)
+ * @param {string} body - Body HTML (not escaped)
+ * @param {Object} [options]
+ * @param {string} [options.css] - Extra CSS rules
+ * @returns {string}
+ */
+function htmlPage(title, body, { css = '' } = {}) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+${BASE_CSS}${css ? `\n${css}` : ''}
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+${body}
+</body>
+</html>
+`;
+}
+
+export { escapeHtml, htmlTable, htmlPage };
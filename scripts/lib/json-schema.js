@@ -0,0 +1,171 @@
+/**
+ * Minimal JSON Schema validator
+ *
+ * Covers the draft-07 keywords our schemas use (type, required, properties,
+ * patternProperties, additionalProperties, items, enum, const, pattern,
+ * minLength, minimum, maximum, format: date-time, local $ref) and reports
+ * every violation with a JSON pointer to the offending value.
+ */
+
+/**
+ * Escape a property name for use in a JSON pointer (RFC 6901)
+ * @param {string|number} token - Property name or array index
+ * @returns {string}
+ */
+function escapePointer(token) {
+  return String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Append a token to a JSON pointer
+ * @param {string} pointer - Parent pointer ('' for the root)
+ * @param {string|number} token - Property name or array index
+ * @returns {string}
+ */
+function joinPointer(pointer, token) {
+  return `${pointer}/${escapePointer(token)}`;
+}
+
+/**
+ * Resolve a local $ref such as "#/definitions/skill"
+ * @param {Object} root - Root schema
+ * @param {string} ref - Reference
+ * @returns {Object}
+ */
+function resolveRef(root, ref) {
+  if (!ref.startsWith('#')) {
+    throw new Error(`Only local $ref values are supported: ${ref}`);
+  }
+
+  let node = root;
+  for (const token of ref.slice(1).split('/').filter(Boolean)) {
+    node = node?.[token.replace(/~1/g, '/').replace(/~0/g, '~')];
+  }
+  if (!node) throw new Error(`Unresolvable $ref: ${ref}`);
+  return node;
+}
+
+/**
+ * Get the JSON Schema type name of a value
+ * @param {*} value - Value
+ * @returns {string}
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Check a value against a JSON Schema type keyword
+ * @param {*} value - Value
+ * @param {string} type - Schema type
+ * @returns {boolean}
+ */
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+// RFC 3339 date-time, as required by format: date-time
+const DATE_TIME = /^\d{4}-\d{2}-\d{2}[Tt ]\d{2}:\d{2}:\d{2}(\.\d+)?([Zz]|[+-]\d{2}:\d{2})$/;
+
+/**
+ * Validate a value against a JSON Schema
+ * @param {*} value - Value to validate
+ * @param {Object} schema - JSON Schema
+ * @returns {{path: string, keyword: string, message: string}[]} Errors (empty when valid)
+ */
+function validateSchema(value, schema) {
+  const errors = [];
+
+  function visit(data, node, pointer) {
+    if (node.$ref) {
+      visit(data, resolveRef(schema, node.$ref), pointer);
+      return;
+    }
+
+    const fail = (keyword, message) => errors.push({ path: pointer || '/', keyword, message });
+
+    if (node.type) {
+      const types = [].concat(node.type);
+      if (!types.some(type => matchesType(data, type))) {
+        fail('type', `must be ${types.join(' or ')}, got ${typeOf(data)}`);
+        return;
+      }
+    }
+
+    if (node.enum && !node.enum.some(option => JSON.stringify(option) === JSON.stringify(data))) {
+      fail(
+        'enum',
+        `must be one of ${node.enum.map(o => JSON.stringify(o)).join(', ')}, got ${JSON.stringify(data)}`
+      );
+    }
+    if ('const' in node && JSON.stringify(node.const) !== JSON.stringify(data)) {
+      fail('const', `must be ${JSON.stringify(node.const)}`);
+    }
+
+    if (typeof data === 'string') {
+      if (node.pattern && !new RegExp(node.pattern, 'u').test(data)) {
+        fail('pattern', `${JSON.stringify(data)} must match ${node.pattern}`);
+      }
+      if (node.minLength !== undefined && data.length < node.minLength) {
+        fail('minLength', `must be at least ${node.minLength} characters`);
+      }
+      if (node.format === 'date-time' && !DATE_TIME.test(data)) {
+        fail('format', `${JSON.stringify(data)} must be an ISO 8601 date-time`);
+      }
+    }
+
+    if (typeof data === 'number') {
+      if (node.minimum !== undefined && data < node.minimum) {
+        fail('minimum', `must be >= ${node.minimum}, got ${data}`);
+      }
+      if (node.maximum !== undefined && data > node.maximum) {
+        fail('maximum', `must be <= ${node.maximum}, got ${data}`);
+      }
+    }
+
+    if (Array.isArray(data) && node.items) {
+      data.forEach((item, i) => visit(item, node.items, joinPointer(pointer, i)));
+    }
+
+    if (typeOf(data) === 'object') {
+      for (const field of node.required || []) {
+        if (!(field in data)) fail('required', `missing required property "${field}"`);
+      }
+
+      for (const [key, child] of Object.entries(data)) {
+        const childPointer = joinPointer(pointer, key);
+        let matched = false;
+
+        if (node.properties?.[key]) {
+          matched = true;
+          visit(child, node.properties[key], childPointer);
+        }
+        for (const [pattern, subschema] of Object.entries(node.patternProperties || {})) {
+          if (new RegExp(pattern, 'u').test(key)) {
+            matched = true;
+            visit(child, subschema, childPointer);
+          }
+        }
+
+        if (!matched && node.additionalProperties === false) {
+          errors.push({
+            path: childPointer,
+            keyword: 'additionalProperties',
+            message: `property "${key}" is not allowed`,
+          });
+        } else if (!matched && typeof node.additionalProperties === 'object') {
+          visit(child, node.additionalProperties, childPointer);
+        }
+      }
+    }
+  }
+
+  visit(value, schema, '');
+  return errors;
+}
+
+export { escapePointer, joinPointer, validateSchema };
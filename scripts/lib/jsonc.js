@@ -0,0 +1,115 @@
+/**
+ * JSONC parsing for rulesync.jsonc and jsonc code fences
+ *
+ * Blanks out // and block comments plus trailing commas, leaving string
+ * contents (such as "https://..." URLs) untouched, then parses the result as
+ * JSON. Blanking keeps every offset and line number of the original text, so
+ * JSON.parse positions still point at the right place.
+ */
+
+import { readFileSync } from 'fs';
+
+/**
+ * Replace a span with spaces, keeping its newlines
+ * @param {string} text - Span
+ * @returns {string}
+ */
+function blank(text) {
+  return text.replace(/[^\n]/g, ' ');
+}
+
+/**
+ * Find the end of a comment starting at an offset
+ * @param {string} text - JSONC source
+ * @param {number} i - Offset of the comment's first "/"
+ * @returns {number} Offset just past the comment, or i when there is none
+ */
+function commentEnd(text, i) {
+  if (text[i] !== '/') return i;
+  if (text[i + 1] === '/') {
+    const end = text.indexOf('\n', i);
+    return end === -1 ? text.length : end;
+  }
+  if (text[i + 1] === '*') {
+    const end = text.indexOf('*/', i + 2);
+    return end === -1 ? text.length : end + 2;
+  }
+  return i;
+}
+
+/**
+ * Check whether a comma is trailing, i.e. only whitespace and comments precede "]" or "}"
+ * @param {string} text - JSONC source
+ * @param {number} i - Offset of the comma
+ * @returns {boolean}
+ */
+function isTrailingComma(text, i) {
+  let j = i + 1;
+  while (j < text.length) {
+    if (/\s/.test(text[j])) {
+      j++;
+    } else if (commentEnd(text, j) > j) {
+      j = commentEnd(text, j);
+    } else {
+      return text[j] === ']' || text[j] === '}';
+    }
+  }
+  return false;
+}
+
+/**
+ * Turn JSONC into JSON of the same length
+ * @param {string} text - JSONC source
+ * @returns {string}
+ */
+function stripJsonc(text) {
+  let output = '';
+  let i = 0;
+
+  while (i < text.length) {
+    const char = text[i];
+    const end = commentEnd(text, i);
+
+    if (char === '"') {
+      // Copy strings verbatim, honouring escapes
+      let close = i + 1;
+      while (close < text.length && text[close] !== '"') {
+        close += text[close] === '\\' ? 2 : 1;
+      }
+      output += text.slice(i, close + 1);
+      i = close + 1;
+    } else if (end > i) {
+      output += blank(text.slice(i, end));
+      i = end;
+    } else {
+      output += char === ',' && isTrailingComma(text, i) ? ' ' : char;
+      i++;
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Parse JSON with comments and trailing commas
+ * @param {string} text - JSONC source
+ * @returns {*} Parsed value
+ */
+function parseJsonc(text) {
+  return JSON.parse(stripJsonc(text));
+}
+
+/**
+ * Read and parse a JSONC file
+ * @param {string} file - File path
+ * @returns {*} Parsed value
+ */
+function readJsonc(file) {
+  try {
+    return parseJsonc(readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new Error(`Failed to parse ${file}: ${e.message}`, { cause: e });
+  }
+}
+
+export { stripJsonc, parseJsonc, readJsonc };
@@ -0,0 +1,201 @@
+/**
+ * Minimal CommonMark block tokenizer
+ *
+ * Classifies every line of a markdown document so fixers can leave code
+ * alone: frontmatter, fenced code (``` and ~~~, any fence length, inside
+ * list items too), indented code, list items with their nesting and list
+ * identity, headings, thematic breaks, blank lines and everything else as
+ * paragraph text. Inline syntax and block quotes are not parsed.
+ */
+
+const FENCE_REGEX = /^(`{3,}|~{3,})(.*)$/;
+const LIST_ITEM_REGEX = /^([-*+]|(\d{1,9})([.)]))( +|$)/;
+const THEMATIC_BREAK_REGEX = /^([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+const HEADING_REGEX = /^#{1,6}(?:\s|$)/;
+
+/**
+ * Count the leading spaces of a line (tabs advance to the next multiple of 4)
+ * @param {string} line - Line
+ * @returns {number} Column of the first non-space character
+ */
+function leadingColumns(line) {
+  let column = 0;
+  for (const char of line) {
+    if (char === ' ') column++;
+    else if (char === '\t') column += 4 - (column % 4);
+    else break;
+  }
+  return column;
+}
+
+/**
+ * Parse a fence opener
+ * @param {string} text - Line without its indentation
+ * @returns {{char: string, length: number, info: string}|null}
+ */
+function parseFenceOpen(text) {
+  const match = text.match(FENCE_REGEX);
+  // Backtick fences may not have backticks in their info string
+  if (!match || (match[1][0] === '`' && match[2].includes('`'))) return null;
+  return { char: match[1][0], length: match[1].length, info: match[2].trim() };
+}
+
+/**
+ * Tokenize markdown into one block token per line
+ *
+ * Every token has type, text (the line) and indent (leading columns). Types:
+ * frontmatter, blank, fence-open, code, fence-close, indented-code,
+ * list-item, heading, thematic-break and paragraph. Fence tokens carry
+ * `fence` ({char, length, info}); list items carry `list` (list id, shared by
+ * siblings of one list), `ordered`, `number`, `delimiter`, `depth` and
+ * `contentIndent`.
+ *
+ * @param {string} content - Markdown content
+ * @returns {Object[]} Tokens, index i describing line i
+ */
+function tokenizeMarkdown(content) {
+  const lines = content.split('\n');
+  const tokens = [];
+  // Open list items, innermost last, and the open list at each depth
+  const items = [];
+  const lists = [];
+  let nextList = 0;
+  let fence = null;
+  let previous = 'blank';
+  // Whether the previous line is paragraph text (a list item's own line included)
+  let inParagraph = false;
+
+  // Close items deeper than depth; lists end too unless a sibling item follows
+  const closeItems = (depth, sibling = false) => {
+    items.length = depth;
+    lists.length = sibling ? depth + 1 : depth;
+  };
+  const push = (type, line, extra = {}) => {
+    tokens.push({ type, text: line, indent: leadingColumns(line), ...extra });
+    previous = type;
+    inParagraph =
+      type === 'paragraph' ||
+      (type === 'list-item' && line.slice(extra.contentIndent).trim() !== '');
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const indent = leadingColumns(line);
+    const text = line.trimStart();
+
+    if (i === 0 && line === '---') {
+      const end = lines.indexOf('---', 1);
+      if (end !== -1) {
+        for (; i <= end; i++) push('frontmatter', lines[i]);
+        i = end;
+        previous = 'blank';
+        continue;
+      }
+    }
+
+    if (fence) {
+      const close = text.match(/^(`{3,}|~{3,})\s*$/);
+      const closes =
+        close &&
+        indent - fence.container < 4 &&
+        close[1][0] === fence.char &&
+        close[1].length >= fence.length;
+      if (closes) {
+        push('fence-close', line, { fence });
+        fence = null;
+      } else {
+        push('code', line, { fence });
+      }
+      continue;
+    }
+
+    if (text === '') {
+      push('blank', line);
+      continue;
+    }
+
+    const listItem = text.match(LIST_ITEM_REGEX);
+    const isBreak = THEMATIC_BREAK_REGEX.test(text);
+    let isItem = listItem && !isBreak;
+    // Items this line is not indented enough to belong to
+    let depth = items.length;
+    while (depth > 0 && indent < items[depth - 1].contentIndent) depth--;
+
+    // A new ordered list only interrupts a paragraph when it starts at 1;
+    // otherwise "2. b" after a paragraph line is more paragraph text
+    if (isItem && inParagraph && listItem[2] !== undefined && Number(listItem[2]) !== 1) {
+      const open = lists[depth];
+      if (!open || !open.ordered || open.delimiter !== listItem[3]) isItem = false;
+    }
+
+    const container = depth > 0 ? items[depth - 1].contentIndent : 0;
+    const relative = indent - container;
+
+    if (!isItem && depth < items.length) {
+      // Paragraph continuation lines may be lazily unindented
+      const lazy =
+        (previous === 'paragraph' || previous === 'list-item') &&
+        relative < 4 &&
+        !HEADING_REGEX.test(text);
+      if (!lazy || parseFenceOpen(text) || isBreak) closeItems(depth);
+    }
+
+    const effectiveContainer = items.length > 0 ? items[items.length - 1].contentIndent : 0;
+    const effectiveRelative = indent - effectiveContainer;
+
+    if (
+      effectiveRelative >= 4 &&
+      !isItem &&
+      (previous === 'blank' || previous === 'indented-code')
+    ) {
+      push('indented-code', line);
+      continue;
+    }
+
+    if (isItem && relative < 4) {
+      closeItems(depth, true);
+      const ordered = listItem[2] !== undefined;
+      const delimiter = ordered ? listItem[3] : listItem[1];
+      const spaces = listItem[4].length;
+      const markerEnd = indent + listItem[1].length;
+      // 5+ spaces after the marker means indented code; content starts after one space
+      const contentIndent = markerEnd + (spaces === 0 || spaces > 4 ? 1 : spaces);
+
+      const open = lists[depth];
+      const sameList = open && open.ordered === ordered && open.delimiter === delimiter;
+      const list = sameList ? open.id : nextList++;
+      lists[depth] = { id: list, ordered, delimiter };
+      items.push({ contentIndent });
+
+      push('list-item', line, {
+        list,
+        ordered,
+        number: ordered ? Number(listItem[2]) : null,
+        delimiter,
+        depth,
+        contentIndent,
+      });
+
+      // A fence can start on the item's own line
+      const rest = parseFenceOpen(line.slice(contentIndent).trimStart());
+      if (rest) fence = { ...rest, container: contentIndent };
+      continue;
+    }
+
+    const fenceOpen = effectiveRelative < 4 ? parseFenceOpen(text) : null;
+    if (fenceOpen) {
+      fence = { ...fenceOpen, container: effectiveContainer };
+      push('fence-open', line, { fence });
+    } else if (HEADING_REGEX.test(text) && effectiveRelative < 4) {
+      push('heading', line);
+    } else if (isBreak) {
+      push('thematic-break', line);
+    } else {
+      push('paragraph', line);
+    }
+  }
+
+  return tokens;
+}
+
+export { leadingColumns, tokenizeMarkdown };
@@ -0,0 +1,159 @@
+/**
+ * Skill dependency resolver
+ *
+ * Turns a set of requested skills into a load list using the manifest's
+ * depends_on, optional and conflicts_with fields:
+ * - Dependencies are loaded before the skills that need them
+ * - Optional dependencies are followed only when asked for, and skipped if missing
+ * - Conflicts between any two selected skills are reported
+ * - Every selected skill records why it was pulled in
+ */
+
+// Edge kinds followed by the resolver, in the order they are reported
+const DEPENDENCY_KINDS = ['depends_on', 'optional', 'inferred'];
+
+/**
+ * List the dependency edges of a manifest skill
+ * @param {Object} skill - Manifest skill entry
+ * @param {Object} options
+ * @param {boolean} options.includeOptional - Follow optional dependencies
+ * @param {boolean} options.includeInferred - Follow [skill:] references as dependencies
+ * @returns {{kind: string, name: string}[]}
+ */
+function dependencyEdges(skill, { includeOptional, includeInferred }) {
+  const edges = (skill.depends_on || []).map(name => ({ kind: 'depends_on', name }));
+  if (includeOptional) {
+    edges.push(...(skill.optional || []).map(name => ({ kind: 'optional', name })));
+  }
+  if (includeInferred) {
+    edges.push(...(skill.inferred_dependencies || []).map(name => ({ kind: 'inferred', name })));
+  }
+  return edges.filter(edge => edge.name !== skill.name);
+}
+
+/**
+ * Resolve requested skills into a topologically ordered load list
+ * @param {Object} manifest - Skill manifest
+ * @param {string[]} requested - Requested skill names
+ * @param {Object} [options]
+ * @param {boolean} [options.includeOptional] - Follow optional dependencies
+ * @param {boolean} [options.includeInferred] - Follow [skill:] references as dependencies
+ * @returns {Object} { ok, order, reasons, missing, skipped, conflicts, cycles }
+ */
+function resolveSkills(
+  manifest,
+  requested,
+  { includeOptional = false, includeInferred = false } = {}
+) {
+  const skills = manifest.skills || {};
+  const reasons = {};
+  const missing = [];
+  const skipped = [];
+  const cycles = [];
+  const order = [];
+
+  // 0 = unvisited, 1 = on the current path, 2 = done
+  const state = new Map();
+  // Current DFS path as { name, kind } where kind is the edge used to reach name
+  const path = [];
+
+  function addReason(name, reason) {
+    (reasons[name] ||= []).push(reason);
+  }
+
+  function visit(name, kind) {
+    if (state.get(name) === 2) return;
+    if (state.get(name) === 1) {
+      const start = path.findIndex(step => step.name === name);
+      const loop = path.slice(start);
+      // Skills that reference each other are common; only declared cycles are errors
+      const kinds = [...loop.slice(1).map(step => step.kind), kind];
+      if (!kinds.includes('inferred')) cycles.push([...loop.map(step => step.name), name]);
+      return;
+    }
+
+    state.set(name, 1);
+    path.push({ name, kind });
+
+    for (const edge of dependencyEdges(skills[name], { includeOptional, includeInferred })) {
+      if (!skills[edge.name]) {
+        // Missing optional or inferred targets never block loading
+        const list = edge.kind === 'depends_on' ? missing : skipped;
+        list.push({ name: edge.name, required_by: name, kind: edge.kind });
+        continue;
+      }
+      addReason(edge.name, { kind: edge.kind, from: name });
+      visit(edge.name, edge.kind);
+    }
+
+    path.pop();
+    state.set(name, 2);
+    order.push(name);
+  }
+
+  for (const name of requested) {
+    if (!skills[name]) {
+      missing.push({ name, required_by: null, kind: 'requested' });
+      continue;
+    }
+    addReason(name, { kind: 'requested' });
+    visit(name, 'requested');
+  }
+
+  const selected = new Set(order);
+  const conflicts = [];
+  const seenConflicts = new Set();
+  for (const name of order) {
+    for (const other of skills[name].conflicts_with || []) {
+      const key = [name, other].sort().join('\0');
+      if (!selected.has(other) || seenConflicts.has(key)) continue;
+      seenConflicts.add(key);
+      conflicts.push({ skill: name, conflicts_with: other });
+    }
+  }
+
+  return {
+    ok: missing.length === 0 && conflicts.length === 0 && cycles.length === 0,
+    order,
+    reasons,
+    missing,
+    skipped,
+    conflicts,
+    cycles,
+  };
+}
+
+/**
+ * Explain why a skill is in a resolution with the shortest chain from a requested skill
+ * @param {Object} resolution - Result of resolveSkills
+ * @param {string} name - Selected skill name
+ * @returns {{name: string, kind: string}[]} Steps from a requested skill down to name
+ */
+function explainSkill(resolution, name) {
+  const next = new Map([[name, null]]);
+  const queue = [name];
+
+  // Walk reasons backwards breadth-first until a requested skill is reached
+  while (queue.length > 0) {
+    const current = queue.shift();
+    const reasons = resolution.reasons[current] || [];
+
+    if (reasons.some(reason => reason.kind === 'requested')) {
+      const chain = [{ name: current, kind: 'requested' }];
+      for (let step = current; next.get(step); step = next.get(step).name) {
+        chain.push(next.get(step));
+      }
+      return chain;
+    }
+
+    for (const reason of reasons) {
+      if (next.has(reason.from)) continue;
+      next.set(reason.from, { name: current, kind: reason.kind });
+      queue.push(reason.from);
+    }
+  }
+
+  return [];
+}
+
+export { DEPENDENCY_KINDS, dependencyEdges, resolveSkills, explainSkill };
@@ -0,0 +1,162 @@
+/**
+ * Skill catalog helpers shared by the dotnet-harness CLIs
+ *
+ * Loads .rulesync/manifest/skill-manifest.json (built by build-manifest.js)
+ * and the skill bodies it points to. When the manifest has not been built yet,
+ * it is generated in memory from skill frontmatter instead.
+ */
+
+import { readFile, readdir } from 'fs/promises';
+import { join } from 'path';
+import {
+  collectSkills,
+  createManifest,
+  extractSkillReferences,
+  extractSubagentReferences,
+  parseFrontmatter,
+} from '../../.rulesync/scripts/build-manifest.js';
+
+const RULESYNC_DIR = '.rulesync';
+const SKILLS_DIR = join(RULESYNC_DIR, 'skills');
+const SUBAGENTS_DIR = join(RULESYNC_DIR, 'subagents');
+const MANIFEST_PATH = join(RULESYNC_DIR, 'manifest', 'skill-manifest.json');
+
+/**
+ * Strip YAML frontmatter from markdown content
+ * @param {string} content - File content
+ * @returns {string} Markdown body
+ */
+function stripFrontmatter(content) {
+  return content.replace(/^---\s*\n[\s\S]*?\n---\s*\n/, '');
+}
+
+/**
+ * Check whether any hierarchical tag contains the category as a segment
+ * @param {string[]} tags - Skill tags (e.g. "dotnet/testing")
+ * @param {string} category - Category to match
+ * @returns {boolean}
+ */
+function matchesCategory(tags, category) {
+  const wanted = category.toLowerCase();
+  return (tags || []).some(tag => tag.toLowerCase().split('/').includes(wanted));
+}
+
+/**
+ * Check whether any hierarchical tag is the given tag, is below it, or ends with it
+ * "dotnet/testing", "dotnet" and "testing" all match a skill tagged dotnet/testing.
+ * @param {string[]} tags - Skill tags (e.g. "dotnet/testing")
+ * @param {string} tag - Full tag, parent tag or trailing segments
+ * @returns {boolean}
+ */
+function matchesTag(tags, tag) {
+  const wanted = tag.toLowerCase();
+  return (tags || []).some(t => {
+    const lower = t.toLowerCase();
+    return lower === wanted || lower.startsWith(`${wanted}/`) || lower.endsWith(`/${wanted}`);
+  });
+}
+
+/**
+ * Load the skill manifest, building it in memory if the file is missing
+ * @param {Object} [options]
+ * @param {string} [options.rootDir] - Repository root
+ * @returns {Promise<Object>} Manifest
+ */
+async function loadManifest({ rootDir = process.cwd() } = {}) {
+  try {
+    return JSON.parse(await readFile(join(rootDir, MANIFEST_PATH), 'utf8'));
+  } catch (e) {
+    if (e.code !== 'ENOENT') {
+      throw new Error(`Failed to read ${MANIFEST_PATH}: ${e.message}`, { cause: e });
+    }
+  }
+
+  const { skills, errors } = await collectSkills(join(rootDir, SKILLS_DIR));
+  return createManifest(skills, errors);
+}
+
+/**
+ * Load the markdown body of a manifest skill entry
+ * @param {Object} skill - Manifest skill entry
+ * @param {Object} [options]
+ * @param {string} [options.rootDir] - Repository root
+ * @returns {Promise<string>} Skill body without frontmatter
+ */
+async function loadSkillBody(skill, { rootDir = process.cwd() } = {}) {
+  const content = await readFile(join(rootDir, skill.file_path), 'utf8');
+  return stripFrontmatter(content);
+}
+
+/**
+ * Load the manifest together with every skill body
+ * @param {Object} [options]
+ * @param {string} [options.rootDir] - Repository root
+ * @returns {Promise<{manifest: Object, skills: Object[]}>}
+ */
+async function loadCatalog({ rootDir = process.cwd() } = {}) {
+  const manifest = await loadManifest({ rootDir });
+  const skills = [];
+
+  for (const [key, skill] of Object.entries(manifest.skills)) {
+    let body = '';
+    try {
+      body = await loadSkillBody(skill, { rootDir });
+    } catch {
+      // Missing skill files are reported by manifest validation
+    }
+    skills.push({ ...skill, key, body });
+  }
+
+  return { manifest, skills };
+}
+
+/**
+ * Load subagent metadata and the skills/subagents each one references
+ * @param {Object} [options]
+ * @param {string} [options.rootDir] - Repository root
+ * @returns {Promise<Object[]>} Subagents sorted by name
+ */
+async function loadSubagents({ rootDir = process.cwd() } = {}) {
+  let entries;
+  try {
+    entries = await readdir(join(rootDir, SUBAGENTS_DIR), { withFileTypes: true });
+  } catch (e) {
+    if (e.code === 'ENOENT') return [];
+    throw e;
+  }
+
+  const subagents = [];
+  for (const entry of entries) {
+    if (!entry.isFile() || !entry.name.endsWith('.md')) continue;
+
+    const filePath = join(SUBAGENTS_DIR, entry.name);
+    const content = await readFile(join(rootDir, filePath), 'utf8');
+    const frontmatter = parseFrontmatter(content) || {};
+    const name = entry.name.replace(/\.md$/, '');
+
+    subagents.push({
+      name,
+      description: frontmatter.description || '',
+      tags: frontmatter.tags || [],
+      skill_references: extractSkillReferences(content).filter(ref => ref !== name),
+      subagent_references: extractSubagentReferences(content).filter(ref => ref !== name),
+      file_path: filePath,
+      body: stripFrontmatter(content),
+    });
+  }
+
+  return subagents.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+export {
+  MANIFEST_PATH,
+  SKILLS_DIR,
+  SUBAGENTS_DIR,
+  stripFrontmatter,
+  matchesCategory,
+  matchesTag,
+  loadManifest,
+  loadSkillBody,
+  loadCatalog,
+  loadSubagents,
+};
@@ -0,0 +1,138 @@
+/**
+ * Tag taxonomy shared by the linter, update-skill-tags.js and the manifest build
+ *
+ * .rulesync/taxonomy.yaml lists every allowed tag with a description and
+ * optional aliases. Tags are hierarchical ("dotnet/performance/aot"), and each
+ * parent must be listed as a tag of its own.
+ */
+
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import YAML from 'yaml';
+
+const TAXONOMY_FILE = join('.rulesync', 'taxonomy.yaml');
+
+// Lowercase kebab-case segments separated by "/"
+const TAG_REGEX = /^[a-z0-9]+(?:-[a-z0-9]+)*(?:\/[a-z0-9]+(?:-[a-z0-9]+)*)*$/;
+const ENTRY_KEYS = ['description', 'aliases'];
+
+/**
+ * Get a tag's parent
+ * @param {string} tag - Tag
+ * @returns {string|null} Parent tag, or null for a top-level tag
+ */
+function parentTag(tag) {
+  const slash = tag.lastIndexOf('/');
+  return slash === -1 ? null : tag.slice(0, slash);
+}
+
+/**
+ * List a tag and all of its ancestors, outermost first
+ * @param {string} tag - Tag (e.g. "dotnet/performance/aot")
+ * @returns {string[]} e.g. ["dotnet", "dotnet/performance", "dotnet/performance/aot"]
+ */
+function tagAncestry(tag) {
+  const segments = tag.split('/');
+  return segments.map((_, i) => segments.slice(0, i + 1).join('/'));
+}
+
+/**
+ * Build a taxonomy from its parsed YAML, validating it
+ * @param {Object} data - Parsed taxonomy.yaml
+ * @returns {{tags: Map<string, {description: string, aliases: string[]}>, aliases: Map<string, string>}}
+ */
+function createTaxonomy(data) {
+  if (!data || typeof data !== 'object' || !data.tags || typeof data.tags !== 'object') {
+    throw new Error('Taxonomy must have a "tags" map');
+  }
+
+  const tags = new Map();
+  const aliases = new Map();
+
+  for (const [tag, entry] of Object.entries(data.tags)) {
+    if (!TAG_REGEX.test(tag)) {
+      throw new Error(`Invalid tag "${tag}" (use lowercase kebab-case segments separated by "/")`);
+    }
+    if (!entry || typeof entry.description !== 'string' || entry.description.trim() === '') {
+      throw new Error(`Tag "${tag}" needs a description`);
+    }
+    for (const key of Object.keys(entry)) {
+      if (!ENTRY_KEYS.includes(key)) {
+        throw new Error(
+          `Unknown key "${key}" for tag "${tag}" (expected ${ENTRY_KEYS.join(', ')})`
+        );
+      }
+    }
+    if (entry.aliases !== undefined && !Array.isArray(entry.aliases)) {
+      throw new Error(`Aliases of tag "${tag}" must be a list`);
+    }
+    tags.set(tag, { description: entry.description, aliases: entry.aliases || [] });
+  }
+
+  for (const [tag, entry] of tags) {
+    const parent = parentTag(tag);
+    if (parent && !tags.has(parent)) {
+      throw new Error(`Tag "${tag}" has no parent tag "${parent}"`);
+    }
+    for (const alias of entry.aliases) {
+      if (!TAG_REGEX.test(alias)) {
+        throw new Error(`Invalid alias "${alias}" for tag "${tag}"`);
+      }
+      if (tags.has(alias)) {
+        throw new Error(`Alias "${alias}" of "${tag}" is also a tag`);
+      }
+      if (aliases.has(alias)) {
+        throw new Error(`Alias "${alias}" is used by both "${aliases.get(alias)}" and "${tag}"`);
+      }
+      aliases.set(alias, tag);
+    }
+  }
+
+  return { tags, aliases };
+}
+
+/**
+ * Read and validate a taxonomy file
+ * @param {string} [file] - Taxonomy path
+ * @returns {Object} Taxonomy (see createTaxonomy)
+ */
+function loadTaxonomy(file = TAXONOMY_FILE) {
+  try {
+    return createTaxonomy(YAML.parse(readFileSync(file, 'utf8')));
+  } catch (e) {
+    throw new Error(`Invalid ${file}: ${e.message}`, { cause: e });
+  }
+}
+
+/**
+ * Look a tag up in the taxonomy
+ * @param {Object} taxonomy - Result of loadTaxonomy
+ * @param {string} tag - Tag as written
+ * @returns {{tag: string, status: 'known'|'alias'|'unknown'}} Canonical tag and how it was found
+ */
+function resolveTag(taxonomy, tag) {
+  if (taxonomy.tags.has(tag)) return { tag, status: 'known' };
+  if (taxonomy.aliases.has(tag)) return { tag: taxonomy.aliases.get(tag), status: 'alias' };
+  return { tag, status: 'unknown' };
+}
+
+/**
+ * Rewrite aliases to their canonical tags, keeping order and dropping duplicates
+ * Unknown tags are kept as they are.
+ * @param {Object} taxonomy - Result of loadTaxonomy
+ * @param {string[]} tags - Tags as written
+ * @returns {string[]}
+ */
+function normalizeTags(taxonomy, tags) {
+  return [...new Set(tags.map(tag => resolveTag(taxonomy, tag).tag))];
+}
+
+export {
+  TAXONOMY_FILE,
+  parentTag,
+  tagAncestry,
+  createTaxonomy,
+  loadTaxonomy,
+  resolveTag,
+  normalizeTags,
+};
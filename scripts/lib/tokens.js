@@ -0,0 +1,125 @@
+/**
+ * Token estimation helpers
+ *
+ * Estimates are local approximations; no tokenizer service is called.
+ * Counters are pluggable:
+ * - chars: about four characters per token for English prose and code
+ * - bpe: splits text the way byte-pair tokenizers pre-tokenize it, then
+ *   charges long words, symbol runs and non-ASCII text extra
+ * - any module exporting a countTokens(text) function (or a default export)
+ */
+
+import { existsSync } from 'fs';
+import { resolve } from 'path';
+import { pathToFileURL } from 'url';
+
+const CHARS_PER_TOKEN = 4;
+
+// GPT-style pre-tokenizer: contractions, words, 1-3 digit groups, symbol runs, whitespace
+const PRE_TOKEN_REGEX = /'(?:[sdmt]|ll|ve|re)| ?\p{L}+| ?\p{N}{1,3}| ?[^\s\p{L}\p{N}]+|\s+/gu;
+
+// Letters per token for ASCII words; common words are a single token
+const LETTERS_PER_TOKEN = 8;
+
+/**
+ * Estimate tokens at a fixed number of characters per token
+ * @param {string} text - Text to measure
+ * @returns {number}
+ */
+function countChars(text) {
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Estimate tokens the way a byte-pair encoder would split the text
+ * @param {string} text - Text to measure
+ * @returns {number}
+ */
+function countBytePairs(text) {
+  let tokens = 0;
+
+  for (const [piece] of text.matchAll(PRE_TOKEN_REGEX)) {
+    const word = piece.trimStart();
+    if (word === '') {
+      // A whitespace run (indentation, blank lines) is usually one token
+      tokens += 1;
+    } else if (/^\p{L}+$/u.test(word)) {
+      tokens += /^[a-z]+$/i.test(word)
+        ? Math.ceil(word.length / LETTERS_PER_TOKEN)
+        : Math.ceil(Buffer.byteLength(word) / 2);
+    } else if (/^\p{N}+$/u.test(word)) {
+      tokens += 1;
+    } else {
+      tokens += Math.ceil(word.length / 2);
+    }
+  }
+
+  return tokens;
+}
+
+// Built-in counters by name
+const COUNTERS = {
+  chars: countChars,
+  bpe: countBytePairs,
+};
+
+/**
+ * Register a token counter under a name
+ * @param {string} name - Counter name
+ * @param {function(string): number} counter - Counter function
+ */
+function registerCounter(name, counter) {
+  if (typeof counter !== 'function') {
+    throw new Error(`Token counter "${name}" must be a function`);
+  }
+  COUNTERS[name] = counter;
+}
+
+/**
+ * Resolve a counter by name, or load it from a module path
+ * @param {string|function} counter - Counter name, module path or function
+ * @returns {Promise<function(string): number>}
+ */
+async function resolveCounter(counter = 'chars') {
+  if (typeof counter === 'function') return counter;
+  if (COUNTERS[counter]) return COUNTERS[counter];
+
+  const file = resolve(counter);
+  if (!existsSync(file)) {
+    throw new Error(
+      `Unknown token counter "${counter}" (expected ${Object.keys(COUNTERS).join(', ')} or a module path)`
+    );
+  }
+
+  const module = await import(pathToFileURL(file).href);
+  const loaded = module.countTokens || module.default;
+  if (typeof loaded !== 'function') {
+    throw new Error(`${counter} must export a countTokens(text) function`);
+  }
+  registerCounter(counter, loaded);
+  return loaded;
+}
+
+/**
+ * Estimate the number of tokens in a text
+ * @param {string} text - Text to measure
+ * @param {string|function} [counter] - Built-in or registered counter name, or a counter function
+ * @returns {number} Estimated token count
+ */
+function estimateTokens(text, counter = 'chars') {
+  const count = typeof counter === 'function' ? counter : COUNTERS[counter];
+  if (!count) {
+    throw new Error(`Unknown token counter "${counter}"`);
+  }
+  return count(String(text || ''));
+}
+
+export {
+  CHARS_PER_TOKEN,
+  COUNTERS,
+  countChars,
+  countBytePairs,
+  registerCounter,
+  resolveCounter,
+  estimateTokens,
+};
@@ -0,0 +1,265 @@
+#!/usr/bin/env node
+/**
+ * Code-fence validator
+ * Extracts fenced code blocks from .rulesync markdown and checks that the
+ * snippets agents copy are well-formed
+ *
+ * Checks:
+ * - CF001 unclosed-fence: fence is never closed, swallowing the rest of the file
+ * - CF002 invalid-json: json/jsonc block doesn't parse
+ * - CF003 invalid-yaml: yaml block doesn't parse
+ * - CF004 invalid-xml: xml/csproj/xaml block isn't well-formed
+ * - CF005 unbalanced-csharp: csharp block has unbalanced braces, brackets or strings
+ * - CF006 truncated-csharp: csharp block stops mid-statement
+ *
+ * Intentional pseudo-code is skipped when its info string says so
+ * (```csharp pseudo), or when listed under "codeFences.allow" in
+ * .rulesync/lint.config.json as "path" (whole file) or "path:line" (the
+ * block whose opening fence is on that line).
+ *
+ * Usage: node scripts/lint/check-code-fences.js [paths...] [--format text|json|github]
+ *                                               [--strict] [--config <file>]
+ *
+ * Exit codes:
+ * - 0: No errors (warnings are allowed unless --strict)
+ * - 1: Errors found (or warnings with --strict)
+ */
+
+import { existsSync, readdirSync, readFileSync, statSync } from 'fs';
+import { join, normalize } from 'path';
+import { parseArgs } from 'util';
+import {
+  checkCode,
+  extractCodeFences,
+  isPseudoCode,
+  normalizeLanguage,
+} from '../lib/code-fences.js';
+import { formatGithub } from './lint-frontmatter.js';
+
+const RULESYNC_DIR = '.rulesync';
+const CONFIG_FILE = join(RULESYNC_DIR, 'lint.config.json');
+const CONFIG_KEY = 'codeFences';
+
+// Exit codes
+const EXIT_SUCCESS = 0;
+const EXIT_ERROR = 1;
+
+const FORMATS = ['text', 'json', 'github'];
+
+// Stable rule IDs, in report order
+const RULES = {
+  CF001: { name: 'unclosed-fence', severity: 'error' },
+  CF002: { name: 'invalid-json', severity: 'error' },
+  CF003: { name: 'invalid-yaml', severity: 'error' },
+  CF004: { name: 'invalid-xml', severity: 'error' },
+  CF005: { name: 'unbalanced-csharp', severity: 'error' },
+  CF006: { name: 'truncated-csharp', severity: 'warning' },
+};
+
+// Rule reported when a language's checker fails
+const LANGUAGE_RULES = {
+  json: 'CF002',
+  jsonc: 'CF002',
+  yaml: 'CF003',
+  xml: 'CF004',
+  csharp: 'CF005',
+};
+
+/**
+ * List markdown files under the given paths, recursively
+ * @param {string[]} paths - Files or directories
+ * @returns {string[]} Sorted file paths
+ */
+function listMarkdown(paths) {
+  const files = [];
+  for (const path of paths) {
+    if (!existsSync(path)) {
+      throw new Error(`Path not found: ${path}`);
+    }
+    if (statSync(path).isFile()) {
+      files.push(normalize(path));
+      continue;
+    }
+    for (const entry of readdirSync(path, { withFileTypes: true })) {
+      const fullPath = join(path, entry.name);
+      if (entry.isDirectory()) files.push(...listMarkdown([fullPath]));
+      else if (entry.isFile() && entry.name.endsWith('.md')) files.push(fullPath);
+    }
+  }
+  return [...new Set(files)].sort();
+}
+
+/**
+ * Load the codeFences allowlist from lint.config.json
+ * @param {string} [file] - Config file path
+ * @returns {{files: Set<string>, blocks: Set<string>}} Allowed files and file:line blocks
+ */
+function loadAllowlist(file = CONFIG_FILE) {
+  const allowlist = { files: new Set(), blocks: new Set() };
+  if (!existsSync(file)) return allowlist;
+
+  let settings;
+  try {
+    settings = JSON.parse(readFileSync(file, 'utf8'))[CONFIG_KEY] || {};
+  } catch (e) {
+    throw new Error(`Invalid ${file}: ${e.message}`, { cause: e });
+  }
+
+  for (const key of Object.keys(settings)) {
+    if (key !== 'allow') throw new Error(`Unknown ${CONFIG_KEY} key "${key}" in ${file}`);
+  }
+  for (const entry of settings.allow || []) {
+    const match = String(entry).match(/^(.*?)(?::(\d+))?$/);
+    if (match[2]) allowlist.blocks.add(`${normalize(match[1])}:${match[2]}`);
+    else allowlist.files.add(normalize(match[1]));
+  }
+  return allowlist;
+}
+
+/**
+ * Check every fenced block in one markdown file
+ * @param {string} file - File path
+ * @param {string} content - File content
+ * @param {Object} [allowlist] - Result of loadAllowlist
+ * @returns {{findings: Object[], checked: number, skipped: number}}
+ */
+function checkFile(file, content, allowlist = { files: new Set(), blocks: new Set() }) {
+  const findings = [];
+  let checked = 0;
+  let skipped = 0;
+
+  for (const block of extractCodeFences(content)) {
+    if (
+      isPseudoCode(block) ||
+      allowlist.files.has(file) ||
+      allowlist.blocks.has(`${file}:${block.startLine}`)
+    ) {
+      skipped++;
+      continue;
+    }
+
+    if (block.unclosed) {
+      findings.push({
+        rule: 'CF001',
+        ...RULES.CF001,
+        file,
+        line: block.startLine,
+        message: `${block.fence} fence opened here is never closed`,
+      });
+      continue;
+    }
+
+    const language = normalizeLanguage(block.language);
+    if (!LANGUAGE_RULES[language]) continue;
+
+    checked++;
+    const result = checkCode(language, block.content);
+    if (result.ok) continue;
+
+    const rule = result.truncated ? 'CF006' : LANGUAGE_RULES[language];
+    findings.push({
+      rule,
+      ...RULES[rule],
+      file,
+      line: block.startLine + (result.line ?? 0),
+      message: `${block.language} block (line ${block.startLine}): ${result.error.split('\n')[0]}`,
+    });
+  }
+
+  return { findings, checked, skipped };
+}
+
+/**
+ * Check every markdown file under the given paths
+ * @param {Object} [options]
+ * @param {string[]} [options.paths] - Files or directories (default: .rulesync)
+ * @param {Object} [options.allowlist] - Result of loadAllowlist
+ * @returns {{findings: Object[], files: number, checked: number, skipped: number}}
+ */
+function checkCodeFences({ paths = [RULESYNC_DIR], allowlist } = {}) {
+  const files = listMarkdown(paths);
+  const summary = { findings: [], files: files.length, checked: 0, skipped: 0 };
+
+  for (const file of files) {
+    const result = checkFile(file, readFileSync(file, 'utf8'), allowlist);
+    summary.findings.push(...result.findings);
+    summary.checked += result.checked;
+    summary.skipped += result.skipped;
+  }
+
+  return summary;
+}
+
+/**
+ * Render a summary as text
+ * @param {Object} summary - Result of checkCodeFences
+ * @returns {string}
+ */
+function formatText({ findings, files, checked, skipped }) {
+  const lines = findings.map(finding => {
+    const icon = finding.severity === 'error' ? '✗' : '⚠';
+    return `${icon} ${finding.file}:${finding.line} [${finding.rule}] ${finding.message}`;
+  });
+
+  const errors = findings.filter(finding => finding.severity === 'error').length;
+  const warnings = findings.length - errors;
+  if (lines.length > 0) lines.push('');
+  lines.push(
+    `Checked ${checked} block(s) in ${files} file(s), ${skipped} pseudo-code block(s) skipped`
+  );
+  lines.push(
+    findings.length === 0
+      ? '✓ All code fences are well-formed'
+      : `${errors > 0 ? '✗' : '⚠'} ${errors} error(s), ${warnings} warning(s)`
+  );
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Main CLI function
+ * @returns {number} Exit code
+ */
+function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      format: { type: 'string', default: 'text' },
+      strict: { type: 'boolean', default: false },
+      config: { type: 'string', default: CONFIG_FILE },
+    },
+  });
+
+  if (!FORMATS.includes(values.format)) {
+    throw new Error(`Unknown --format "${values.format}" (expected ${FORMATS.join(', ')})`);
+  }
+
+  const summary = checkCodeFences({
+    paths: positionals.length > 0 ? positionals : [RULESYNC_DIR],
+    allowlist: loadAllowlist(values.config),
+  });
+
+  if (values.format === 'json') {
+    process.stdout.write(`${JSON.stringify(summary, null, 2)}\n`);
+  } else if (values.format === 'github') {
+    process.stdout.write(formatGithub(summary.findings));
+  } else {
+    process.stdout.write(formatText(summary));
+  }
+
+  const failing = values.strict
+    ? summary.findings
+    : summary.findings.filter(finding => finding.severity === 'error');
+  return failing.length > 0 ? EXIT_ERROR : EXIT_SUCCESS;
+}
+
+// Run if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  try {
+    process.exitCode = main();
+  } catch (e) {
+    console.error(`✗ Code fence check failed: ${e.message}`);
+    process.exit(EXIT_ERROR);
+  }
+}
+
+export { RULES, loadAllowlist, checkFile, checkCodeFences, formatText };
@@ -0,0 +1,310 @@
+#!/usr/bin/env node
+/**
+ * Cross-file consistency checker
+ * Builds the [skill:]/[subagent:] reference graph across skills, subagents,
+ * commands and rules, and reports content agents can never discover
+ *
+ * Checks:
+ * - CON001 orphan-skill: no other file references the skill
+ * - CON002 unreachable-skill: not reachable from the dotnet-advisor router
+ * - CON003 unknown-catalog-entry: advisor catalog lists a name that doesn't exist
+ * - CON004 undiscoverable-subagent: no command mentions the subagent
+ *
+ * Usage: node scripts/lint/check-consistency.js [--format text|json] [--strict]
+ *
+ * Exit codes:
+ * - 0: No errors (warnings are allowed unless --strict)
+ * - 1: Errors found (or warnings with --strict)
+ */
+
+import { existsSync, readdirSync, readFileSync } from 'fs';
+import { basename, join } from 'path';
+import { parseArgs } from 'util';
+import {
+  extractSkillReferences,
+  extractSubagentReferences,
+} from '../../.rulesync/scripts/build-manifest.js';
+
+const RULESYNC_DIR = '.rulesync';
+const ROUTER_SKILL = 'dotnet-advisor';
+const CATALOG_HEADING = '## Skill Catalog';
+
+// Exit codes
+const EXIT_SUCCESS = 0;
+const EXIT_ERROR = 1;
+
+const FORMATS = ['text', 'json'];
+
+// Stable rule IDs, in report order
+const RULES = {
+  CON001: { name: 'orphan-skill', severity: 'warning' },
+  CON002: { name: 'unreachable-skill', severity: 'warning' },
+  CON003: { name: 'unknown-catalog-entry', severity: 'error' },
+  CON004: { name: 'undiscoverable-subagent', severity: 'warning' },
+};
+
+/**
+ * List markdown files under a directory, recursively
+ * @param {string} dir - Directory
+ * @returns {string[]} Sorted file paths
+ */
+function listMarkdown(dir) {
+  if (!existsSync(dir)) return [];
+
+  const files = [];
+  for (const entry of readdirSync(dir, { withFileTypes: true })) {
+    const fullPath = join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...listMarkdown(fullPath));
+    } else if (entry.isFile() && entry.name.endsWith('.md')) {
+      files.push(fullPath);
+    }
+  }
+  return files.sort();
+}
+
+/**
+ * Load every skill, subagent, command and rule with the files that make it up
+ * @param {string} rulesyncDir - .rulesync directory
+ * @returns {Map<string, {kind: string, name: string, files: string[]}>} Nodes by id (kind:name)
+ */
+function loadNodes(rulesyncDir) {
+  const nodes = new Map();
+  const add = (kind, name, files) => nodes.set(`${kind}:${name}`, { kind, name, files });
+
+  const skillsDir = join(rulesyncDir, 'skills');
+  if (existsSync(skillsDir)) {
+    for (const entry of readdirSync(skillsDir, { withFileTypes: true })) {
+      if (!entry.isDirectory()) continue;
+      // Supporting files (references, examples) count as part of the skill
+      add('skill', entry.name, listMarkdown(join(skillsDir, entry.name)));
+    }
+  }
+
+  for (const [kind, dir] of [
+    ['subagent', 'subagents'],
+    ['command', 'commands'],
+    ['rule', 'rules'],
+  ]) {
+    for (const file of listMarkdown(join(rulesyncDir, dir))) {
+      add(kind, basename(file, '.md'), [file]);
+    }
+  }
+
+  return nodes;
+}
+
+/**
+ * Build the reference graph between nodes
+ *
+ * [skill:name] resolves to a skill or, failing that, a subagent (subagents are
+ * usually referenced that way); [subagent:name] resolves to a subagent.
+ *
+ * @param {Map<string, Object>} nodes - Result of loadNodes
+ * @returns {{edges: Map<string, Set<string>>, text: Map<string, string>}} Outgoing edges and file text per node
+ */
+function buildGraph(nodes) {
+  const edges = new Map();
+  const text = new Map();
+
+  for (const [id, node] of nodes) {
+    const content = node.files.map(file => readFileSync(file, 'utf8')).join('\n');
+    text.set(id, content);
+
+    const targets = new Set();
+    for (const name of extractSkillReferences(content)) {
+      if (nodes.has(`skill:${name}`)) targets.add(`skill:${name}`);
+      else if (nodes.has(`subagent:${name}`)) targets.add(`subagent:${name}`);
+    }
+    for (const name of extractSubagentReferences(content)) {
+      if (nodes.has(`subagent:${name}`)) targets.add(`subagent:${name}`);
+    }
+    targets.delete(id);
+    edges.set(id, targets);
+  }
+
+  return { edges, text };
+}
+
+/**
+ * Find nodes reachable from a start node through skills and subagents
+ * @param {Map<string, Set<string>>} edges - Outgoing edges
+ * @param {string} start - Start node id
+ * @returns {Set<string>}
+ */
+function reachableFrom(edges, start) {
+  const seen = new Set([start]);
+  const queue = [start];
+  while (queue.length > 0) {
+    for (const next of edges.get(queue.shift()) || []) {
+      if (seen.has(next)) continue;
+      seen.add(next);
+      queue.push(next);
+    }
+  }
+  return seen;
+}
+
+/**
+ * List the names the advisor's Skill Catalog section mentions
+ *
+ * Entries are [skill:name] references and bold list items such as
+ * "- **dotnet-advisor** -- this skill".
+ *
+ * @param {string} content - Advisor SKILL.md content
+ * @returns {{name: string, line: number}[]}
+ */
+function parseCatalog(content) {
+  const lines = content.split('\n');
+  const start = lines.findIndex(line => line.trim() === CATALOG_HEADING);
+  if (start === -1) return [];
+
+  const entries = [];
+  for (let i = start + 1; i < lines.length && !/^## /.test(lines[i]); i++) {
+    const bold = lines[i].match(/^\s*[-*]\s+\*\*([a-z0-9-]+)\*\*/);
+    if (bold) entries.push({ name: bold[1], line: i + 1 });
+    for (const match of lines[i].matchAll(/\[(?:skill|subagent):([a-z0-9-]+)\]/g)) {
+      entries.push({ name: match[1], line: i + 1 });
+    }
+  }
+  return entries;
+}
+
+/**
+ * Run every consistency check
+ * @param {Object} [options]
+ * @param {string} [options.rulesyncDir] - .rulesync directory
+ * @param {string} [options.router] - Router skill every skill should be reachable from
+ * @returns {{rule: string, name: string, severity: string, file: string, line: number|null, message: string}[]}
+ */
+function checkConsistency({ rulesyncDir = RULESYNC_DIR, router = ROUTER_SKILL } = {}) {
+  const nodes = loadNodes(rulesyncDir);
+  const { edges, text } = buildGraph(nodes);
+  const findings = [];
+  const add = (rule, file, message, line = null) =>
+    findings.push({ rule, ...RULES[rule], file, line, message });
+
+  const incoming = new Map([...nodes.keys()].map(id => [id, new Set()]));
+  for (const [from, targets] of edges) {
+    for (const to of targets) incoming.get(to).add(from);
+  }
+
+  const routerId = `skill:${router}`;
+  const reachable = nodes.has(routerId) ? reachableFrom(edges, routerId) : new Set();
+  const skills = [...nodes.values()].filter(node => node.kind === 'skill');
+
+  for (const skill of skills) {
+    if (skill.name === router) continue;
+    const id = `skill:${skill.name}`;
+    const file = skill.files.find(f => f.endsWith('SKILL.md')) || skill.files[0] || id;
+    if (incoming.get(id).size === 0) {
+      add('CON001', file, `No skill, subagent, command or rule references [skill:${skill.name}]`);
+    }
+    if (nodes.has(routerId) && !reachable.has(id)) {
+      add('CON002', file, `${skill.name} cannot be reached from [skill:${router}]`);
+    }
+  }
+
+  if (nodes.has(routerId)) {
+    const routerFile = nodes.get(routerId).files.find(f => f.endsWith('SKILL.md'));
+    for (const entry of parseCatalog(readFileSync(routerFile, 'utf8'))) {
+      if (!nodes.has(`skill:${entry.name}`) && !nodes.has(`subagent:${entry.name}`)) {
+        add(
+          'CON003',
+          routerFile,
+          `Catalog lists "${entry.name}", which is not a skill or subagent`,
+          entry.line
+        );
+      }
+    }
+  }
+
+  const commands = [...nodes.keys()].filter(id => id.startsWith('command:'));
+  for (const subagent of nodes.values()) {
+    if (subagent.kind !== 'subagent') continue;
+    const id = `subagent:${subagent.name}`;
+    // Whole name only: dotnet-architecture-patterns doesn't mention dotnet-architect
+    const nameRegex = new RegExp(`(?<![\\w-])${subagent.name}(?![\\w-])`);
+    const mentioned = commands.some(
+      command => edges.get(command).has(id) || nameRegex.test(text.get(command))
+    );
+    if (!mentioned) {
+      add('CON004', subagent.files[0], `No command mentions subagent ${subagent.name}`);
+    }
+  }
+
+  return findings.sort(
+    (a, b) => a.rule.localeCompare(b.rule) || a.file.localeCompare(b.file) || a.line - b.line
+  );
+}
+
+/**
+ * Render findings as text grouped by rule
+ * @param {Object[]} findings - Result of checkConsistency
+ * @returns {string}
+ */
+function formatText(findings) {
+  const lines = [];
+  for (const [rule, { name }] of Object.entries(RULES)) {
+    const matches = findings.filter(finding => finding.rule === rule);
+    if (matches.length === 0) continue;
+
+    lines.push(`${rule} ${name} (${matches.length}):`);
+    for (const finding of matches) {
+      const icon = finding.severity === 'error' ? '✗' : '⚠';
+      const location = finding.line ? `${finding.file}:${finding.line}` : finding.file;
+      lines.push(`  ${icon} ${location}: ${finding.message}`);
+    }
+    lines.push('');
+  }
+
+  const errors = findings.filter(finding => finding.severity === 'error').length;
+  const warnings = findings.length - errors;
+  lines.push(
+    findings.length === 0
+      ? '✓ Skills, subagents, commands and rules are consistent'
+      : `${errors > 0 ? '✗' : '⚠'} ${errors} error(s), ${warnings} warning(s)`
+  );
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Main CLI function
+ * @returns {number} Exit code
+ */
+function main() {
+  const { values } = parseArgs({
+    options: {
+      format: { type: 'string', default: 'text' },
+      strict: { type: 'boolean', default: false },
+    },
+  });
+
+  if (!FORMATS.includes(values.format)) {
+    throw new Error(`Unknown --format "${values.format}" (expected ${FORMATS.join(', ')})`);
+  }
+
+  const findings = checkConsistency();
+  if (values.format === 'json') {
+    process.stdout.write(`${JSON.stringify(findings, null, 2)}\n`);
+  } else {
+    process.stdout.write(formatText(findings));
+  }
+
+  const failing = values.strict
+    ? findings
+    : findings.filter(finding => finding.severity === 'error');
+  return failing.length > 0 ? EXIT_ERROR : EXIT_SUCCESS;
+}
+
+// Run if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  try {
+    process.exitCode = main();
+  } catch (e) {
+    console.error(`✗ Consistency check failed: ${e.message}`);
+    process.exit(EXIT_ERROR);
+  }
+}
+
+export { RULES, loadNodes, buildGraph, parseCatalog, checkConsistency, formatText };
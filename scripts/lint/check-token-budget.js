@@ -0,0 +1,397 @@
+#!/usr/bin/env node
+/**
+ * Token budget checker
+ * Estimates tokens for every skill, subagent and rule, plus the context each
+ * platform loads into every session, and fails when a budget is exceeded
+ *
+ * Always-loaded context per platform (only for features rulesync.jsonc enables):
+ * - rules: rules targeting the platform that apply everywhere (root: true,
+ *   a catch-all glob, or antigravity trigger: always_on)
+ * - hooks: skills that session hooks in hooks.json tell the agent to invoke
+ * - skills, subagents, commands: name and description of each, which agents
+ *   list so they can pick one
+ *
+ * Budgets live under "tokenBudgets" in .rulesync/lint.config.json:
+ *   { "counter": "bpe", "skill": 8000, "subagent": 4000, "rule": 2000,
+ *     "alwaysLoaded": 20000, "platforms": { "claudecode": 18000 },
+ *     "overrides": { "dotnet-advisor": 9000 } }
+ *
+ * Usage: node scripts/lint/check-token-budget.js [--format text|json] [--counter chars|bpe|<module>]
+ *                                                [--top <n>] [--config <file>]
+ *
+ * Exit codes:
+ * - 0: Everything fits its budget
+ * - 1: A budget is exceeded (or the config is invalid)
+ */
+
+import { existsSync, readdirSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { parseArgs } from 'util';
+import {
+  extractSkillReferences,
+  parseFrontmatter,
+} from '../../.rulesync/scripts/build-manifest.js';
+import { readJsonc } from '../lib/jsonc.js';
+import { stripFrontmatter } from '../lib/skills.js';
+import { estimateTokens, resolveCounter } from '../lib/tokens.js';
+
+const RULESYNC_DIR = '.rulesync';
+const RULESYNC_CONFIG = 'rulesync.jsonc';
+const CONFIG_FILE = join(RULESYNC_DIR, 'lint.config.json');
+const CONFIG_KEY = 'tokenBudgets';
+
+// Exit codes
+const EXIT_SUCCESS = 0;
+const EXIT_ERROR = 1;
+
+const FORMATS = ['text', 'json'];
+const TOP_N = 10;
+
+// Defaults sit comfortably above today's largest files; tighten per fork in lint.config.json
+const DEFAULT_BUDGETS = {
+  counter: 'chars',
+  skill: 8000,
+  subagent: 4000,
+  rule: 2000,
+  alwaysLoaded: 20000,
+  platforms: {},
+  overrides: {},
+};
+
+// Hook events whose output is injected into every session or prompt
+const CONTEXT_HOOK_EVENTS = ['sessionStart', 'beforeSubmitPrompt'];
+
+// Content kinds: directory under .rulesync, the rulesync feature that generates them,
+// and the entry file when each item is a directory
+const KINDS = {
+  skill: { dir: 'skills', feature: 'skills', entry: 'SKILL.md' },
+  subagent: { dir: 'subagents', feature: 'subagents' },
+  command: { dir: 'commands', feature: 'commands' },
+  rule: { dir: 'rules', feature: 'rules' },
+};
+
+/**
+ * Merge tokenBudgets overrides onto the defaults
+ * @param {Object} [overrides] - tokenBudgets from lint.config.json
+ * @returns {Object} Budgets
+ */
+function createBudgets(overrides = {}) {
+  for (const [key, value] of Object.entries(overrides)) {
+    if (!(key in DEFAULT_BUDGETS)) {
+      throw new Error(
+        `Unknown ${CONFIG_KEY} key "${key}" (expected ${Object.keys(DEFAULT_BUDGETS).join(', ')})`
+      );
+    }
+    const isMap = key === 'platforms' || key === 'overrides';
+    const values = isMap ? Object.values(value || {}) : [value];
+    if (key !== 'counter' && !values.every(n => Number.isInteger(n) && n > 0)) {
+      throw new Error(
+        `${CONFIG_KEY}.${key} must be ${isMap ? 'a map of ' : 'a '}positive integer(s)`
+      );
+    }
+  }
+
+  return {
+    ...DEFAULT_BUDGETS,
+    ...overrides,
+    platforms: { ...DEFAULT_BUDGETS.platforms, ...overrides.platforms },
+    overrides: { ...DEFAULT_BUDGETS.overrides, ...overrides.overrides },
+  };
+}
+
+/**
+ * Load tokenBudgets from lint.config.json (defaults when absent)
+ * @param {string} [file] - Config file path
+ * @returns {Object} Budgets
+ */
+function loadBudgets(file = CONFIG_FILE) {
+  if (!existsSync(file)) return createBudgets();
+
+  try {
+    return createBudgets(JSON.parse(readFileSync(file, 'utf8'))[CONFIG_KEY]);
+  } catch (e) {
+    throw new Error(`Invalid ${file}: ${e.message}`, { cause: e });
+  }
+}
+
+/**
+ * Load every item of a content kind with its frontmatter and body
+ * @param {string} rulesyncDir - .rulesync directory
+ * @param {string} kind - Key of KINDS
+ * @returns {{kind: string, name: string, file: string, frontmatter: Object, body: string}[]}
+ */
+function loadItems(rulesyncDir, kind) {
+  const { dir, entry } = KINDS[kind];
+  const root = join(rulesyncDir, dir);
+  if (!existsSync(root)) return [];
+
+  const items = [];
+  for (const dirent of readdirSync(root, { withFileTypes: true })) {
+    const file = entry ? join(root, dirent.name, entry) : join(root, dirent.name);
+    const matches = entry
+      ? dirent.isDirectory() && existsSync(file)
+      : dirent.isFile() && dirent.name.endsWith('.md');
+    if (!matches) continue;
+
+    const content = readFileSync(file, 'utf8');
+    items.push({
+      kind,
+      name: dirent.name.replace(/\.md$/, ''),
+      file,
+      frontmatter: parseFrontmatter(content) || {},
+      body: stripFrontmatter(content),
+    });
+  }
+  return items.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Check whether an item's targets include a platform
+ * @param {Object} frontmatter - Item frontmatter
+ * @param {string} platform - rulesync target
+ * @returns {boolean}
+ */
+function targetsPlatform(frontmatter, platform) {
+  const targets = [].concat(frontmatter.targets || ['*']);
+  return targets.includes('*') || targets.includes(platform);
+}
+
+/**
+ * Check whether a rule is applied to every file (and so always in context)
+ * @param {Object} frontmatter - Rule frontmatter
+ * @param {string} platform - rulesync target
+ * @returns {boolean}
+ */
+function isAlwaysApplied(frontmatter, platform) {
+  if (platform === 'antigravity' && frontmatter.antigravity?.trigger) {
+    return frontmatter.antigravity.trigger === 'always_on';
+  }
+  return frontmatter.root === true || [].concat(frontmatter.globs || []).includes('**/*');
+}
+
+/**
+ * List the features rulesync.jsonc generates for a platform
+ * @param {Object} rulesyncConfig - Parsed rulesync.jsonc
+ * @param {string} platform - rulesync target
+ * @returns {Set<string>}
+ */
+function platformFeatures(rulesyncConfig, platform) {
+  const features = rulesyncConfig.features || [];
+  const list = Array.isArray(features) ? features : features[platform] || features['*'] || [];
+  return new Set(
+    list.includes('*')
+      ? Object.values(KINDS)
+          .map(k => k.feature)
+          .concat('hooks')
+      : list
+  );
+}
+
+/**
+ * Find skills that context-injecting hooks tell the agent to invoke, per platform
+ * @param {Object} hooksConfig - Parsed hooks.json
+ * @param {string} platform - rulesync target
+ * @returns {string[]} Skill names
+ */
+function hookSkills(hooksConfig, platform) {
+  const blocks = [hooksConfig.hooks, hooksConfig[platform]?.hooks];
+  const skills = new Set();
+  for (const hooks of blocks) {
+    for (const event of CONTEXT_HOOK_EVENTS) {
+      for (const hook of hooks?.[event] || []) {
+        for (const name of extractSkillReferences(hook.command || '')) skills.add(name);
+      }
+    }
+  }
+  return [...skills].sort();
+}
+
+/**
+ * Render the listing line an agent sees for a skill, subagent or command
+ * @param {Object} item - Loaded item
+ * @returns {string}
+ */
+function metadataText(item) {
+  return `${item.frontmatter.name || item.name}: ${item.frontmatter.description || ''}\n`;
+}
+
+/**
+ * Measure every item and the always-loaded context of every platform
+ * @param {Object} [options]
+ * @param {string} [options.rootDir] - Repository root
+ * @param {string|function} [options.counter] - Token counter
+ * @returns {{items: Object[], platforms: Object[]}}
+ */
+function measureTokens({ rootDir = '.', counter = 'chars' } = {}) {
+  const rulesyncDir = join(rootDir, RULESYNC_DIR);
+  const count = text => estimateTokens(text, counter);
+  const loaded = Object.fromEntries(
+    Object.keys(KINDS).map(kind => [kind, loadItems(rulesyncDir, kind)])
+  );
+  const skillsByName = new Map(loaded.skill.map(skill => [skill.name, skill]));
+
+  const items = ['skill', 'subagent', 'rule'].flatMap(kind =>
+    loaded[kind].map(item => ({
+      kind,
+      name: item.name,
+      file: item.file,
+      tokens: count(item.body),
+    }))
+  );
+
+  const rulesyncConfig = readJsonc(join(rootDir, RULESYNC_CONFIG));
+  const hooksFile = join(rulesyncDir, 'hooks.json');
+  const hooksConfig = existsSync(hooksFile) ? JSON.parse(readFileSync(hooksFile, 'utf8')) : {};
+
+  const platforms = (rulesyncConfig.targets || []).map(platform => {
+    const features = platformFeatures(rulesyncConfig, platform);
+    const parts = [];
+    const add = (source, text) => parts.push({ source, tokens: count(text) });
+
+    if (features.has('rules')) {
+      for (const rule of loaded.rule) {
+        const { frontmatter } = rule;
+        if (targetsPlatform(frontmatter, platform) && isAlwaysApplied(frontmatter, platform)) {
+          add(`rule:${rule.name}`, rule.body);
+        }
+      }
+    }
+    if (features.has('hooks')) {
+      for (const name of hookSkills(hooksConfig, platform)) {
+        if (skillsByName.has(name)) add(`hook:${name}`, skillsByName.get(name).body);
+      }
+    }
+    for (const kind of ['skill', 'subagent', 'command']) {
+      if (!features.has(KINDS[kind].feature)) continue;
+      const listed = loaded[kind].filter(item => targetsPlatform(item.frontmatter, platform));
+      if (listed.length > 0) add(`${KINDS[kind].dir} metadata`, listed.map(metadataText).join(''));
+    }
+
+    const total = parts.reduce((sum, part) => sum + part.tokens, 0);
+    return { platform, total, parts };
+  });
+
+  return { items, platforms };
+}
+
+/**
+ * Compare measurements against budgets
+ * @param {{items: Object[], platforms: Object[]}} measurements - Result of measureTokens
+ * @param {Object} budgets - Result of createBudgets
+ * @returns {{kind: string, name: string, file?: string, tokens: number, budget: number}[]} Exceeded budgets
+ */
+function checkBudgets({ items, platforms }, budgets) {
+  const violations = [];
+
+  for (const item of items) {
+    const budget = budgets.overrides[item.name] ?? budgets[item.kind];
+    if (item.tokens > budget) violations.push({ ...item, budget });
+  }
+  for (const { platform, total } of platforms) {
+    const budget = budgets.platforms[platform] ?? budgets.alwaysLoaded;
+    if (total > budget) {
+      violations.push({ kind: 'always-loaded', name: platform, tokens: total, budget });
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Render a report as text
+ * @param {Object} report - {counter, items, platforms, violations}
+ * @param {Object} [options]
+ * @param {number} [options.top] - Largest items to list per kind
+ * @returns {string}
+ */
+function formatText({ counter, items, platforms, violations }, { top = TOP_N } = {}) {
+  const lines = [`Token estimates (${counter} counter)`, '', 'Always-loaded context per platform:'];
+
+  for (const { platform, total, parts } of platforms) {
+    lines.push(`  ${platform.padEnd(12)} ${String(total).padStart(7)}`);
+    for (const part of parts) {
+      lines.push(`    ${part.source.padEnd(30)} ${String(part.tokens).padStart(7)}`);
+    }
+  }
+
+  for (const kind of ['skill', 'subagent', 'rule']) {
+    const largest = items
+      .filter(item => item.kind === kind)
+      .sort((a, b) => b.tokens - a.tokens)
+      .slice(0, top);
+    if (largest.length === 0) continue;
+
+    lines.push('', `Largest ${kind}s:`);
+    for (const item of largest) {
+      lines.push(`  ${item.name.padEnd(44)} ${String(item.tokens).padStart(7)}`);
+    }
+  }
+
+  lines.push('');
+  for (const violation of violations) {
+    const label = violation.file || `${violation.kind} context for ${violation.name}`;
+    lines.push(`✗ ${label}: ${violation.tokens} tokens exceeds budget of ${violation.budget}`);
+  }
+  lines.push(
+    violations.length === 0
+      ? '✓ All skills, subagents, rules and platforms are within budget'
+      : `✗ ${violations.length} budget(s) exceeded`
+  );
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Main CLI function
+ * @returns {Promise<number>} Exit code
+ */
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      format: { type: 'string', default: 'text' },
+      counter: { type: 'string' },
+      top: { type: 'string', default: String(TOP_N) },
+      config: { type: 'string', default: CONFIG_FILE },
+    },
+  });
+
+  if (!FORMATS.includes(values.format)) {
+    throw new Error(`Unknown --format "${values.format}" (expected ${FORMATS.join(', ')})`);
+  }
+
+  const budgets = loadBudgets(values.config);
+  const counterName = values.counter || budgets.counter;
+  const counter = await resolveCounter(counterName);
+  const measurements = measureTokens({ counter });
+  const violations = checkBudgets(measurements, budgets);
+  const report = { counter: counterName, ...measurements, violations };
+
+  if (values.format === 'json') {
+    process.stdout.write(`${JSON.stringify({ budgets, ...report }, null, 2)}\n`);
+  } else {
+    process.stdout.write(formatText(report, { top: Number(values.top) }));
+  }
+
+  return violations.length > 0 ? EXIT_ERROR : EXIT_SUCCESS;
+}
+
+// Run if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main()
+    .then(code => {
+      process.exitCode = code;
+    })
+    .catch(e => {
+      console.error(`✗ Token budget check failed: ${e.message}`);
+      process.exit(EXIT_ERROR);
+    });
+}
+
+export {
+  DEFAULT_BUDGETS,
+  createBudgets,
+  loadBudgets,
+  hookSkills,
+  measureTokens,
+  checkBudgets,
+  formatText,
+};
@@ -5,16 +5,38 @@
  *
  * Checks:
  * - Required fields per file type
- * - Platform-specific blocks match conventions
+ * - Platform blocks match their target's schema (known keys, value types,
+ *   target actually listed in targets)
  * - Skill references exist
+ * - Tags are listed in .rulesync/taxonomy.yaml
  * - Tool profile consistency
  * - Frontmatter field ordering
  * - File naming conventions (kebab-case)
+ *
+ * Usage: node scripts/lint/lint-frontmatter.js [--fix] [--format text|json|sarif|github]
+ *                                              [--output <file>] [--config <file>]
+ *
+ * --fix reorders fields, moves banned top-level fields into their platform
+ * block and renames non-kebab-case skill directories (rewriting references).
+ * Only the fields it touches are re-serialized; everything else, including
+ * comments, is kept byte for byte.
+ *
+ * Every finding carries a stable rule ID (see RULES). --format json and sarif
+ * are for tooling and code scanning; --format github prints workflow commands
+ * that GitHub Actions turns into inline PR annotations.
+ *
+ * Rule severities, extra required fields and extra tools are configured in
+ * .rulesync/lint.config.json. A file can disable rules for itself with
+ * <!-- harness-lint-disable FM004 --> (or # harness-lint-disable FM004 in
+ * frontmatter).
  */
 
-import { readFileSync, readdirSync, existsSync } from 'fs';
-import { join, basename, extname } from 'path';
+import { readFileSync, readdirSync, existsSync, renameSync, writeFileSync } from 'fs';
+import { join, basename, extname, sep } from 'path';
+import { parseArgs } from 'util';
 import YAML from 'yaml';
+import { tokenizeMarkdown } from '../lib/markdown.js';
+import { TAXONOMY_FILE, loadTaxonomy, resolveTag } from '../lib/taxonomy.js';
 
 // Configuration
 const RULESYNC_DIR = '.rulesync';
@@ -22,17 +44,98 @@ const SKILLS_DIR = join(RULESYNC_DIR, 'skills');
 const SUBAGENTS_DIR = join(RULESYNC_DIR, 'subagents');
 const RULES_DIR = join(RULESYNC_DIR, 'rules');
 const COMMANDS_DIR = join(RULESYNC_DIR, 'commands');
+const CONFIG_FILE = join(RULESYNC_DIR, 'lint.config.json');
 
 // Exit codes
 const EXIT_SUCCESS = 0;
 const EXIT_ERROR = 1;
 
+const FORMATS = ['text', 'json', 'sarif', 'github'];
+
+// Stable rule IDs; never renumber, only add. Severity is the default, see lint.config.json
+const RULES = {
+  FM001: {
+    name: 'missing-required-field',
+    severity: 'error',
+    description: 'Required frontmatter field is missing',
+  },
+  FM002: {
+    name: 'banned-top-level-field',
+    severity: 'error',
+    description: 'Field belongs in a platform block',
+  },
+  FM003: {
+    name: 'field-order',
+    severity: 'warning',
+    description: 'Frontmatter fields are out of order',
+  },
+  FM004: {
+    name: 'invalid-skill-ref',
+    severity: 'error',
+    description: '[skill:] reference to an unknown skill',
+  },
+  FM005: {
+    name: 'invalid-subagent-ref',
+    severity: 'error',
+    description: '[subagent:] reference to an unknown subagent',
+  },
+  FM006: {
+    name: 'invalid-tool',
+    severity: 'error',
+    description: 'Tool not valid for the platform block',
+  },
+  FM007: {
+    name: 'non-kebab-case-name',
+    severity: 'warning',
+    description: 'File or directory name is not kebab-case',
+  },
+  FM008: {
+    name: 'missing-frontmatter',
+    severity: 'error',
+    description: 'File has no YAML frontmatter',
+  },
+  FM009: {
+    name: 'yaml-parse-error',
+    severity: 'error',
+    description: 'Frontmatter is not valid YAML',
+  },
+  FM010: {
+    name: 'unknown-platform-key',
+    severity: 'error',
+    description: 'Platform block has a key its target does not support',
+  },
+  FM011: {
+    name: 'invalid-platform-value',
+    severity: 'error',
+    description: 'Platform block value has the wrong type',
+  },
+  FM012: {
+    name: 'excluded-target-block',
+    severity: 'warning',
+    description: 'Platform block for a target the file does not build for',
+  },
+  FM013: {
+    name: 'unknown-tag',
+    severity: 'error',
+    description: 'Tag is not listed in the taxonomy',
+  },
+  FM014: {
+    name: 'tag-alias',
+    severity: 'warning',
+    description: 'Tag is an alias; use its canonical tag',
+  },
+};
+
+// Progress output is suppressed for machine-readable formats
+let quiet = false;
+
 // Statistics
 const stats = {
   filesChecked: 0,
   errors: [],
   warnings: [],
   fixed: 0,
+  suppressed: 0,
 };
 
 // Field ordering for different file types
@@ -61,10 +164,276 @@ const VALID_TOOLS = {
   copilot: ['read', 'search', 'execute', 'edit'],
 };
 
+const SEVERITIES = ['error', 'warning', 'off'];
+const CONFIG_KEYS = [
+  '$schema',
+  'rules',
+  'requiredFields',
+  'fieldOrder',
+  'bannedTopLevelFields',
+  'validTools',
+  'platformKeys',
+  // Read by check-token-budget.js and check-code-fences.js
+  'tokenBudgets',
+  'codeFences',
+];
+
+// Inline suppressions: <!-- harness-lint-disable FM004 --> in the markdown body
+// (outside code), # harness-lint-disable FM004 in frontmatter. No rule list
+// disables every rule.
+const HTML_SUPPRESSION_REGEX = /<!--\s*harness-lint-disable\b(.*?)-->/g;
+const YAML_SUPPRESSION_REGEX = /#\s*harness-lint-disable\b(.*)$/;
+// Markdown lines that are code, where suppression comments are only examples
+const CODE_TOKENS = new Set(['fence-open', 'code', 'fence-close', 'indented-code']);
+
+// Keys each target accepts in its frontmatter block, per file type. Values are
+// 'string', 'boolean', 'number', 'object', 'string[]' or a list of allowed values.
+// A file type missing from a target means the target takes no block there.
+const PLATFORM_SCHEMAS = {
+  claudecode: {
+    skills: { 'allowed-tools': 'string[]', model: 'string' },
+    subagents: { 'allowed-tools': 'string[]', model: 'string' },
+    commands: { 'allowed-tools': 'string[]', 'argument-hint': 'string', model: 'string' },
+  },
+  opencode: {
+    skills: { 'allowed-tools': 'string[]', mode: ['primary', 'subagent', 'all'], tools: 'object' },
+    subagents: {
+      mode: ['primary', 'subagent', 'all'],
+      model: 'string',
+      temperature: 'number',
+      tools: 'object',
+      permission: 'object',
+      hidden: 'boolean',
+    },
+    commands: { agent: 'string', model: 'string', subtask: 'boolean' },
+  },
+  copilot: {
+    skills: { tools: 'string[]' },
+    subagents: { tools: 'string[]' },
+    commands: { description: 'string' },
+  },
+  geminicli: {
+    commands: { description: 'string' },
+  },
+  codexcli: {
+    skills: { 'short-description': 'string' },
+    subagents: {
+      model: 'string',
+      sandbox_mode: ['read-only', 'workspace-write', 'danger-full-access', 'inherit'],
+    },
+  },
+  antigravity: {
+    rules: {
+      trigger: ['always_on', 'glob', 'manual', 'model_decision'],
+      globs: 'string[]',
+      description: 'string',
+    },
+    commands: { trigger: 'string', turbo: 'boolean' },
+  },
+  agentsmd: {
+    rules: { subprojectPath: 'string' },
+  },
+  cursor: {
+    rules: { alwaysApply: 'boolean', description: 'string', globs: 'string[]' },
+  },
+};
+
+// Platform block and key each banned top-level field moves to under --fix
+const BANNED_FIELD_TARGETS = {
+  model: { platform: 'claudecode', key: 'model' },
+  mode: { platform: 'opencode', key: 'mode' },
+};
+
+// Serialization options matching the repo's Prettier-formatted frontmatter
+const YAML_OPTIONS = { lineWidth: 120, minContentWidth: 0, flowCollectionPadding: false };
+
 // Skill/subagent reference regex: [skill:name] or [subagent:name]
 const SKILL_REF_REGEX = /\[skill:([^\]]+)\]/g;
 const SUBAGENT_REF_REGEX = /\[subagent:([^\]]+)\]/g;
 
+/**
+ * Look up a rule ID from an ID or rule name
+ * @param {string} key - Rule ID (FM004) or name (invalid-skill-ref)
+ * @returns {string|null}
+ */
+function ruleId(key) {
+  if (RULES[key]) return key;
+  return Object.keys(RULES).find(id => RULES[id].name === key) || null;
+}
+
+/**
+ * Merge per-key lists, keeping base entries first
+ * @param {Object<string, string[]>} base - Built-in lists
+ * @param {Object<string, string[]>} [extra] - Configured additions
+ * @returns {Object<string, string[]>}
+ */
+function mergeLists(base, extra = {}) {
+  const keys = new Set([...Object.keys(base), ...Object.keys(extra)]);
+  return Object.fromEntries(
+    [...keys].map(key => [key, [...new Set([...(base[key] || []), ...(extra[key] || [])])]])
+  );
+}
+
+/**
+ * Build the effective lint config from the built-in defaults plus overrides
+ *
+ * `rules` sets severities (error, warning, off) by rule ID or name;
+ * `requiredFields`, `bannedTopLevelFields` and `validTools` add to the
+ * defaults; `fieldOrder` replaces the order for the file types it lists.
+ *
+ * @param {Object} [overrides] - Parsed lint.config.json
+ * @returns {Object} Effective config
+ */
+function createConfig(overrides = {}) {
+  for (const key of Object.keys(overrides)) {
+    if (!CONFIG_KEYS.includes(key)) {
+      throw new Error(`Unknown config key "${key}" (expected ${CONFIG_KEYS.join(', ')})`);
+    }
+  }
+
+  const severities = Object.fromEntries(Object.entries(RULES).map(([id, r]) => [id, r.severity]));
+  for (const [key, severity] of Object.entries(overrides.rules || {})) {
+    const id = ruleId(key);
+    if (!id) {
+      throw new Error(`Unknown rule "${key}" in rules`);
+    }
+    if (!SEVERITIES.includes(severity)) {
+      throw new Error(
+        `Invalid severity "${severity}" for ${key} (expected ${SEVERITIES.join(', ')})`
+      );
+    }
+    severities[id] = severity;
+  }
+
+  // platformKeys adds keys per target and file type: { target: { fileType: { key: type } } }
+  const platformSchemas = {};
+  const extraKeys = overrides.platformKeys || {};
+  for (const target of new Set([...Object.keys(PLATFORM_SCHEMAS), ...Object.keys(extraKeys)])) {
+    const fileTypes = { ...PLATFORM_SCHEMAS[target] };
+    for (const [fileType, keys] of Object.entries(extraKeys[target] || {})) {
+      fileTypes[fileType] = { ...fileTypes[fileType], ...keys };
+    }
+    platformSchemas[target] = fileTypes;
+  }
+
+  return {
+    severities,
+    platformSchemas,
+    requiredFields: mergeLists(REQUIRED_FIELDS, overrides.requiredFields),
+    fieldOrder: { ...FIELD_ORDER, ...overrides.fieldOrder },
+    bannedTopLevelFields: [
+      ...new Set([...BANNED_TOP_LEVEL_FIELDS, ...(overrides.bannedTopLevelFields || [])]),
+    ],
+    validTools: mergeLists(VALID_TOOLS, overrides.validTools),
+  };
+}
+
+// Effective config; the defaults until main() loads lint.config.json
+let lintConfig = createConfig();
+
+// Allowed tags; null (tags unchecked) until main() loads taxonomy.yaml
+let taxonomy = null;
+
+/**
+ * Load lint.config.json (if present) and make it the effective config
+ * @param {string} [file] - Config file path
+ * @returns {Object} Effective config
+ */
+function loadConfig(file = CONFIG_FILE) {
+  if (!existsSync(file)) {
+    lintConfig = createConfig();
+    return lintConfig;
+  }
+
+  try {
+    lintConfig = createConfig(JSON.parse(readFileSync(file, 'utf-8')));
+  } catch (e) {
+    throw new Error(`Invalid ${file}: ${e.message}`, { cause: e });
+  }
+  return lintConfig;
+}
+
+// Rules disabled per file by inline comments, keyed by path
+const suppressionCache = new Map();
+
+/**
+ * Get the rules a file disables with harness-lint-disable comments
+ * @param {string} file - File path
+ * @returns {Set<string>} Rule IDs, or '*' for every rule
+ */
+function getSuppressions(file) {
+  if (!suppressionCache.has(file)) {
+    const disabled = new Set();
+    let content = '';
+    try {
+      content = readFileSync(file, 'utf-8');
+    } catch {
+      // Directories and missing files can't carry suppressions
+    }
+
+    const matches = [];
+    for (const token of tokenizeMarkdown(content)) {
+      if (token.type === 'frontmatter') {
+        const match = token.text.match(YAML_SUPPRESSION_REGEX);
+        if (match) matches.push(match);
+      } else if (!CODE_TOKENS.has(token.type)) {
+        matches.push(...token.text.matchAll(HTML_SUPPRESSION_REGEX));
+      }
+    }
+
+    for (const match of matches) {
+      const keys = match[1].split(/[\s,]+/).filter(Boolean);
+      if (keys.length === 0) disabled.add('*');
+      for (const key of keys) {
+        const id = ruleId(key);
+        if (id) disabled.add(id);
+      }
+    }
+    suppressionCache.set(file, disabled);
+  }
+  return suppressionCache.get(file);
+}
+
+/**
+ * Record a finding at its configured severity unless it is off or suppressed
+ * @param {{file: string, rule: string, message: string, line?: number}} finding
+ */
+function report(finding) {
+  const severity = lintConfig.severities[finding.rule];
+  if (severity === 'off') return;
+
+  const disabled = getSuppressions(finding.file);
+  if (disabled.has('*') || disabled.has(finding.rule)) {
+    stats.suppressed++;
+    return;
+  }
+
+  (severity === 'error' ? stats.errors : stats.warnings).push(finding);
+}
+
+/**
+ * Print progress output unless a machine-readable format was requested
+ * @param {...*} args - console.log arguments
+ */
+function log(...args) {
+  if (!quiet) console.log(...args);
+}
+
+/**
+ * Find the line a top-level frontmatter field is declared on
+ * @param {string} content - File content
+ * @param {string} field - Field name
+ * @returns {number|undefined} 1-based line number
+ */
+function fieldLine(content, field) {
+  const lines = content.split('\n');
+  const end = lines.indexOf('---', 1);
+  const index = lines
+    .slice(0, end === -1 ? undefined : end)
+    .findIndex(line => line.startsWith(`${field}:`));
+  return index === -1 ? undefined : index + 1;
+}
+
 /**
  * Extract frontmatter from markdown file
  * @param {string} content - File content
@@ -90,6 +459,60 @@ function isKebabCase(str) {
   return /^[a-z0-9]+(?:-[a-z0-9]+)*$/.test(str);
 }
 
+/**
+ * Convert a name to kebab-case
+ * @param {string} str - Name such as "EfCore_Patterns"
+ * @returns {string} Name such as "ef-core-patterns"
+ */
+function toKebabCase(str) {
+  return str
+    .replace(/([a-z0-9])([A-Z])/g, '$1-$2')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Levenshtein distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number}
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Find the closest known name to a broken reference
+ * @param {string} name - Unknown name
+ * @param {Iterable<string>} candidates - Known names
+ * @returns {string|null} Closest name, or null if nothing is close enough
+ */
+function closestName(name, candidates) {
+  const wanted = toKebabCase(name);
+  let best = null;
+  let bestDistance = Math.max(2, Math.floor(wanted.length / 3));
+
+  for (const candidate of candidates) {
+    const distance = Math.min(editDistance(name, candidate), editDistance(wanted, candidate));
+    if (distance <= bestDistance && (best === null || distance < bestDistance)) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+
+  return best;
+}
+
 /**
  * Get all skill names from skills directory
  * @returns {Set<string>}
@@ -144,10 +567,12 @@ function validateSkillReferences(content, filePath, validSkills, validSubagents)
   for (const match of refs) {
     const refName = match[1];
     if (!validRefs.has(refName)) {
-      stats.errors.push({
+      const suggestion = closestName(refName, validRefs);
+      report({
         file: filePath,
         line: content.substring(0, match.index).split('\n').length,
-        message: `Invalid skill/subagent reference: "${refName}" does not exist`,
+        rule: 'FM004',
+        message: `Invalid skill/subagent reference: "${refName}" does not exist${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`,
       });
     }
   }
@@ -157,10 +582,12 @@ function validateSkillReferences(content, filePath, validSkills, validSubagents)
   for (const match of subagentRefs) {
     const subagentName = match[1];
     if (!validSubagents.has(subagentName)) {
-      stats.errors.push({
+      const suggestion = closestName(subagentName, validSubagents);
+      report({
         file: filePath,
         line: content.substring(0, match.index).split('\n').length,
-        message: `Invalid subagent reference: "${subagentName}" does not exist`,
+        rule: 'FM005',
+        message: `Invalid subagent reference: "${subagentName}" does not exist${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`,
       });
     }
   }
@@ -171,9 +598,10 @@ function validateSkillReferences(content, filePath, validSkills, validSubagents)
  * @param {Object} frontmatter - Parsed frontmatter
  * @param {string} fileType - Type of file (skills, subagents, etc.)
  * @param {string} filePath - Path to file
+ * @param {string} [content] - File content, for line numbers
  */
-function validateFieldOrder(frontmatter, fileType, filePath) {
-  const expectedOrder = FIELD_ORDER[fileType];
+function validateFieldOrder(frontmatter, fileType, filePath, content = '') {
+  const expectedOrder = lintConfig.fieldOrder[fileType];
   if (!expectedOrder) return;
 
   const actualFields = Object.keys(frontmatter).filter(f => !f.startsWith('_'));
@@ -184,14 +612,151 @@ function validateFieldOrder(frontmatter, fileType, filePath) {
     const nextIdx = actualFields.indexOf(orderedFields[i + 1]);
 
     if (currentIdx > nextIdx && nextIdx !== -1) {
-      stats.warnings.push({
+      report({
         file: filePath,
+        line: fieldLine(content, orderedFields[i + 1]),
+        rule: 'FM003',
         message: `Field "${orderedFields[i + 1]}" should come before "${orderedFields[i]}" (recommended order: ${expectedOrder.join(', ')})`,
       });
     }
   }
 }
 
+/**
+ * Check a platform block value against a PLATFORM_SCHEMAS type
+ * @param {*} value - Value
+ * @param {string|string[]} type - Schema type or allowed values
+ * @returns {boolean}
+ */
+function matchesPlatformType(value, type) {
+  if (Array.isArray(type)) return type.includes(value);
+  if (type === 'string[]') return Array.isArray(value) && value.every(v => typeof v === 'string');
+  if (type === 'object')
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  return typeof value === type;
+}
+
+/**
+ * Find the line a key is declared on inside a top-level frontmatter block
+ * @param {string} content - File content
+ * @param {string} block - Top-level key of the block
+ * @param {string} key - Key inside the block
+ * @returns {number|undefined} 1-based line number
+ */
+function blockKeyLine(content, block, key) {
+  const start = fieldLine(content, block);
+  if (!start) return undefined;
+
+  const lines = content.split('\n');
+  for (let i = start; i < lines.length && /^(\s|$)/.test(lines[i]); i++) {
+    if (lines[i].trimStart().startsWith(`${key}:`)) return i + 1;
+  }
+  return start;
+}
+
+/**
+ * Validate every platform block against its target's schema
+ * @param {Object} frontmatter - Parsed frontmatter
+ * @param {string} fileType - Type of file (skills, subagents, etc.)
+ * @param {string} filePath - Path to file
+ * @param {string} [content] - File content, for line numbers
+ */
+function validatePlatformBlocks(frontmatter, fileType, filePath, content = '') {
+  const targets = Array.isArray(frontmatter.targets) ? frontmatter.targets : ['*'];
+
+  for (const [target, fileTypes] of Object.entries(lintConfig.platformSchemas)) {
+    const block = frontmatter[target];
+    if (block === undefined) continue;
+
+    if (!targets.includes('*') && !targets.includes(target)) {
+      report({
+        file: filePath,
+        line: fieldLine(content, target),
+        rule: 'FM012',
+        message: `"${target}" block is ignored because targets (${targets.join(', ')}) excludes ${target}`,
+      });
+    }
+
+    const schema = fileTypes[fileType];
+    if (!schema) {
+      report({
+        file: filePath,
+        line: fieldLine(content, target),
+        rule: 'FM010',
+        message: `${target} takes no frontmatter block in ${fileType}`,
+      });
+      continue;
+    }
+
+    if (!matchesPlatformType(block, 'object')) {
+      report({
+        file: filePath,
+        line: fieldLine(content, target),
+        rule: 'FM011',
+        message: `"${target}" must be a mapping of ${target}-specific parameters`,
+      });
+      continue;
+    }
+
+    for (const [key, value] of Object.entries(block)) {
+      const line = blockKeyLine(content, target, key);
+      const type = schema[key];
+
+      if (!type) {
+        const suggestion = closestName(key, Object.keys(schema));
+        report({
+          file: filePath,
+          line,
+          rule: 'FM010',
+          message: `Unknown key "${key}" in ${target} block for ${fileType}${suggestion ? ` (did you mean "${suggestion}"?)` : ` (expected ${Object.keys(schema).join(', ')})`}`,
+        });
+      } else if (!matchesPlatformType(value, type)) {
+        const expected = Array.isArray(type) ? `one of ${type.join(', ')}` : type;
+        report({
+          file: filePath,
+          line,
+          rule: 'FM011',
+          message: `${target}.${key} must be ${expected}, got ${JSON.stringify(value)}`,
+        });
+      }
+    }
+  }
+}
+
+/**
+ * Validate tags against the taxonomy
+ * @param {Object} frontmatter - Parsed frontmatter
+ * @param {string} filePath - Path to file
+ * @param {string} [content] - File content, for line numbers
+ */
+function validateTags(frontmatter, filePath, content = '') {
+  if (!taxonomy || !Array.isArray(frontmatter.tags)) return;
+
+  const line = fieldLine(content, 'tags');
+  for (const tag of frontmatter.tags) {
+    const { tag: canonical, status } = resolveTag(taxonomy, String(tag));
+    if (status === 'unknown') {
+      const suggestion = closestName(String(tag), [
+        ...taxonomy.tags.keys(),
+        ...taxonomy.aliases.keys(),
+      ]);
+      report({
+        file: filePath,
+        line,
+        rule: 'FM013',
+        message: `Unknown tag "${tag}" (not in ${TAXONOMY_FILE})${suggestion ? ` (did you mean "${resolveTag(taxonomy, suggestion).tag}"?)` : ''}`,
+      });
+    } else if (status === 'alias') {
+      report({
+        file: filePath,
+        line,
+        rule: 'FM014',
+        message: `Tag "${tag}" is an alias; use "${canonical}"`,
+      });
+    }
+  }
+}
+
 /**
  * Validate subagent tool profiles
  * @param {Object} frontmatter - Parsed frontmatter
@@ -208,9 +773,10 @@ function validateToolProfiles(frontmatter, filePath) {
     // Validate claudecode tools
     if (platform === 'claudecode' && config['allowed-tools']) {
       for (const tool of config['allowed-tools']) {
-        if (!VALID_TOOLS.claudecode.includes(tool)) {
-          stats.errors.push({
+        if (!lintConfig.validTools.claudecode.includes(tool)) {
+          report({
             file: filePath,
+            rule: 'FM006',
             message: `Invalid tool "${tool}" in claudecode.allowed-tools`,
           });
         }
@@ -220,9 +786,10 @@ function validateToolProfiles(frontmatter, filePath) {
     // Validate opencode tools
     if (platform === 'opencode' && config.tools) {
       for (const tool of Object.keys(config.tools)) {
-        if (!VALID_TOOLS.opencode.includes(tool)) {
-          stats.errors.push({
+        if (!lintConfig.validTools.opencode.includes(tool)) {
+          report({
             file: filePath,
+            rule: 'FM006',
             message: `Invalid tool "${tool}" in opencode.tools`,
           });
         }
@@ -232,9 +799,10 @@ function validateToolProfiles(frontmatter, filePath) {
     // Validate copilot tools
     if (platform === 'copilot' && config.tools) {
       for (const tool of config.tools) {
-        if (!VALID_TOOLS.copilot.includes(tool)) {
-          stats.errors.push({
+        if (!lintConfig.validTools.copilot.includes(tool)) {
+          report({
             file: filePath,
+            rule: 'FM006',
             message: `Invalid tool "${tool}" in copilot.tools`,
           });
         }
@@ -243,58 +811,272 @@ function validateToolProfiles(frontmatter, filePath) {
   }
 }
 
+/**
+ * Split frontmatter source into one chunk per top-level field
+ *
+ * Comment lines directly above a field stay with it, so reordering fields
+ * moves their comments along. Comments above the first field stay at the top.
+ *
+ * @param {YAML.Document} doc - Parsed frontmatter document
+ * @param {string} source - Frontmatter source the document was parsed from
+ * @returns {{preamble: string, chunks: {key: string, pair: YAML.Pair, text: string,
+ *   comments: string[], dirty: boolean}[]}} comments are the comment lines above the key
+ */
+function splitFieldChunks(doc, source) {
+  const items = doc.contents.items;
+  const starts = items.map((pair, i) => {
+    let start = source.lastIndexOf('\n', pair.key.range[0] - 1) + 1;
+    while (i > 0 && start > 0) {
+      const previous = source.lastIndexOf('\n', start - 2) + 1;
+      if (!/^\s*#/.test(source.slice(previous, start - 1))) break;
+      start = previous;
+    }
+    return start;
+  });
+
+  const chunks = items.map((pair, i) => {
+    const text = source.slice(starts[i], i + 1 < items.length ? starts[i + 1] : source.length);
+    const keyLine = source.lastIndexOf('\n', pair.key.range[0] - 1) + 1;
+    return {
+      key: String(pair.key.value),
+      pair,
+      text: text.endsWith('\n') ? text : `${text}\n`,
+      comments: source.slice(starts[i], keyLine).split('\n').filter(Boolean),
+      dirty: false,
+    };
+  });
+
+  return { preamble: source.slice(0, starts[0] ?? source.length), chunks };
+}
+
+/**
+ * Work out which platform block a banned top-level field belongs in
+ * @param {string} field - Banned field name
+ * @param {*} value - Field value
+ * @returns {{platform: string, key: string}|null} Null when the value is ambiguous
+ */
+function bannedFieldTarget(field, value) {
+  if (field !== 'tools') return BANNED_FIELD_TARGETS[field] || null;
+
+  if (Array.isArray(value)) {
+    if (value.every(tool => lintConfig.validTools.claudecode.includes(tool))) {
+      return { platform: 'claudecode', key: 'allowed-tools' };
+    }
+    if (value.every(tool => lintConfig.validTools.copilot.includes(tool))) {
+      return { platform: 'copilot', key: 'tools' };
+    }
+    return null;
+  }
+  return value && typeof value === 'object' ? { platform: 'opencode', key: 'tools' } : null;
+}
+
+/**
+ * Fix frontmatter field order and banned top-level fields
+ * @param {string} content - File content
+ * @param {string} fileType - Type of file (skills, subagents, etc.)
+ * @returns {{content: string, changes: string[]}}
+ */
+function fixFrontmatter(content, fileType) {
+  const match = content.match(/^---\n([\s\S]*?)\n---/);
+  if (!match) return { content, changes: [] };
+
+  const source = match[1];
+  const doc = YAML.parseDocument(source);
+  if (doc.errors.length > 0 || !YAML.isMap(doc.contents)) return { content, changes: [] };
+
+  const { preamble, chunks } = splitFieldChunks(doc, source);
+  const changes = [];
+
+  // Move banned top-level fields into their platform block
+  for (const field of lintConfig.bannedTopLevelFields) {
+    const index = chunks.findIndex(chunk => chunk.key === field);
+    if (index === -1) continue;
+
+    const { pair, comments } = chunks[index];
+    const target = bannedFieldTarget(field, pair.value?.toJSON());
+    let block = target && chunks.find(chunk => chunk.key === target.platform);
+    if (!target || (block && !YAML.isMap(block.pair.value)) || block?.pair.value.has(target.key)) {
+      continue;
+    }
+
+    if (!block) {
+      block = { key: target.platform, pair: doc.createPair(target.platform, {}), dirty: true };
+      chunks.push(block);
+    }
+    // The new key node takes over the comment lines that were above the old one
+    const key = doc.createNode(target.key);
+    const commentBefore =
+      comments.map(line => line.replace(/^\s*#/, '')).join('\n') || pair.key.commentBefore;
+    if (commentBefore) key.commentBefore = commentBefore;
+    pair.key = key;
+    block.pair.value.items.push(pair);
+    block.dirty = true;
+    chunks.splice(chunks.indexOf(chunks.find(chunk => chunk.pair === pair)), 1);
+    changes.push(`moved top-level "${field}" to ${target.platform}.${target.key}`);
+  }
+
+  // Put known fields in the configured order, leaving other fields where they are
+  const order = lintConfig.fieldOrder[fileType] || [];
+  const slots = chunks.flatMap((chunk, i) => (order.includes(chunk.key) ? [i] : []));
+  const sorted = slots
+    .map(i => chunks[i])
+    .sort((a, b) => order.indexOf(a.key) - order.indexOf(b.key));
+  if (sorted.some((chunk, i) => chunk !== chunks[slots[i]])) {
+    slots.forEach((slot, i) => {
+      chunks[slot] = sorted[i];
+    });
+    changes.push(`reordered fields to ${order.join(', ')}`);
+  }
+
+  if (changes.length === 0) return { content, changes };
+
+  const fields = chunks.map(chunk => {
+    if (!chunk.dirty) return chunk.text;
+    const single = new YAML.Document({});
+    single.contents.items.push(chunk.pair);
+    return single.toString(YAML_OPTIONS);
+  });
+  const frontmatter = `${preamble}${fields.join('')}`.replace(/\n$/, '');
+  return { content: `---\n${frontmatter}${content.slice(4 + source.length)}`, changes };
+}
+
+/**
+ * Rename non-kebab-case skill directories and rewrite [skill:] references to them
+ * @returns {Map<string, string>} Old name to new name
+ */
+function renameSkillDirectories() {
+  const renames = new Map();
+  if (!existsSync(SKILLS_DIR)) return renames;
+
+  for (const entry of readdirSync(SKILLS_DIR, { withFileTypes: true })) {
+    if (!entry.isDirectory() || isKebabCase(entry.name)) continue;
+
+    const newName = toKebabCase(entry.name);
+    if (!newName || existsSync(join(SKILLS_DIR, newName))) {
+      report({
+        file: join(SKILLS_DIR, entry.name),
+        rule: 'FM007',
+        message: `Cannot rename skill directory to "${newName}": target already exists`,
+      });
+      continue;
+    }
+
+    renameSync(join(SKILLS_DIR, entry.name), join(SKILLS_DIR, newName));
+    renames.set(entry.name, newName);
+    log(`  🔧 Renamed skill directory ${entry.name} → ${newName}`);
+    stats.fixed++;
+  }
+
+  if (renames.size === 0) return renames;
+
+  for (const file of findMarkdownFiles(RULESYNC_DIR)) {
+    const content = readFileSync(file, 'utf-8');
+    let updated = content.replace(SKILL_REF_REGEX, (ref, name) =>
+      renames.has(name) ? `[skill:${renames.get(name)}]` : ref
+    );
+
+    // Keep the skill's own name field in step with its directory
+    const skillName = basename(join(file, '..'));
+    const oldName = [...renames].find(([, name]) => name === skillName)?.[0];
+    if (basename(file) === 'SKILL.md' && oldName) {
+      updated = updated.replace(
+        new RegExp(
+          `^(name:\\s*['"]?)${oldName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(['"]?\\s*)$`,
+          'm'
+        ),
+        `$1${skillName}$2`
+      );
+    }
+
+    if (updated !== content) {
+      writeFileSync(file, updated);
+      log(`  🔧 Updated references in ${file}`);
+    }
+  }
+
+  return renames;
+}
+
 /**
  * Validate a single file
  * @param {string} filePath - Path to file
  * @param {string} fileType - Type of file
  * @param {Set<string>} validSkills - Set of valid skill names
  * @param {Set<string>} validSubagents - Set of valid subagent names
+ * @param {Object} [options]
+ * @param {boolean} [options.fix] - Apply fixFrontmatter before validating
  */
-function validateFile(filePath, fileType, validSkills, validSubagents) {
+function validateFile(filePath, fileType, validSkills, validSubagents, { fix = false } = {}) {
   stats.filesChecked++;
 
-  const content = readFileSync(filePath, 'utf-8');
+  let content = readFileSync(filePath, 'utf-8');
+  if (fix) {
+    const result = fixFrontmatter(content, fileType);
+    if (result.changes.length > 0) {
+      writeFileSync(filePath, result.content);
+      content = result.content;
+      stats.fixed += result.changes.length;
+      for (const change of result.changes) {
+        log(`  🔧 ${filePath}: ${change}`);
+      }
+    }
+  }
+
   const frontmatter = extractFrontmatter(content);
 
   if (!frontmatter) {
-    stats.errors.push({
+    report({
       file: filePath,
+      line: 1,
+      rule: 'FM008',
       message: 'Missing or invalid YAML frontmatter',
     });
     return;
   }
 
   if (frontmatter.error) {
-    stats.errors.push({
+    report({
       file: filePath,
+      line: 1,
+      rule: 'FM009',
       message: `YAML parsing error: ${frontmatter.error}`,
     });
     return;
   }
 
   // Check required fields
-  const required = REQUIRED_FIELDS[fileType] || [];
+  const required = lintConfig.requiredFields[fileType] || [];
   for (const field of required) {
     if (!(field in frontmatter)) {
-      stats.errors.push({
+      report({
         file: filePath,
+        line: 1,
+        rule: 'FM001',
         message: `Missing required field: "${field}"`,
       });
     }
   }
 
   // Check for banned fields at top level
-  for (const field of BANNED_TOP_LEVEL_FIELDS) {
+  for (const field of lintConfig.bannedTopLevelFields) {
     if (field in frontmatter) {
-      stats.errors.push({
+      report({
         file: filePath,
+        line: fieldLine(content, field),
+        rule: 'FM002',
         message: `Banned field "${field}" at top level. Must be inside platform block (claudecode, opencode, etc.)`,
       });
     }
   }
 
   // Validate field ordering
-  validateFieldOrder(frontmatter, fileType, filePath);
+  validateFieldOrder(frontmatter, fileType, filePath, content);
+
+  // Validate platform blocks against their target's schema
+  validatePlatformBlocks(frontmatter, fileType, filePath, content);
+
+  // Validate tags against the taxonomy
+  validateTags(frontmatter, filePath, content);
 
   // Validate tool profiles (for subagents)
   if (fileType === 'subagents') {
@@ -327,61 +1109,207 @@ function findMarkdownFiles(dir, files = []) {
   return files;
 }
 
+/**
+ * Flatten errors and warnings into findings with rule metadata
+ * @returns {{rule: string, name: string, severity: string, file: string, line: number|null, message: string}[]}
+ */
+function collectFindings() {
+  const toFinding = severity => finding => ({
+    rule: finding.rule,
+    name: RULES[finding.rule].name,
+    severity,
+    file: finding.file,
+    line: finding.line ?? null,
+    message: finding.message,
+  });
+  return [...stats.errors.map(toFinding('error')), ...stats.warnings.map(toFinding('warning'))];
+}
+
+/**
+ * Render findings as JSON
+ * @param {Object[]} findings - Result of collectFindings
+ * @returns {string}
+ */
+function formatJson(findings) {
+  const summary = {
+    files_checked: stats.filesChecked,
+    errors: stats.errors.length,
+    warnings: stats.warnings.length,
+    suppressed: stats.suppressed,
+    fixed: stats.fixed,
+  };
+  return `${JSON.stringify({ summary, findings }, null, 2)}\n`;
+}
+
+/**
+ * Render findings as a SARIF 2.1.0 log for code scanning
+ * @param {Object[]} findings - Result of collectFindings
+ * @returns {string}
+ */
+function formatSarif(findings) {
+  const ruleIds = Object.keys(RULES);
+  const sarif = {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: 'lint-frontmatter',
+            rules: ruleIds.map(id => ({
+              id,
+              name: RULES[id].name,
+              shortDescription: { text: RULES[id].description },
+            })),
+          },
+        },
+        results: findings.map(finding => ({
+          ruleId: finding.rule,
+          ruleIndex: ruleIds.indexOf(finding.rule),
+          level: finding.severity,
+          message: { text: finding.message },
+          locations: [
+            {
+              physicalLocation: {
+                artifactLocation: { uri: finding.file.split(sep).join('/') },
+                ...(finding.line ? { region: { startLine: finding.line } } : {}),
+              },
+            },
+          ],
+        })),
+      },
+    ],
+  };
+  return `${JSON.stringify(sarif, null, 2)}\n`;
+}
+
+/**
+ * Escape a value for a GitHub Actions workflow command
+ * @param {string} value - Value
+ * @param {boolean} [property] - Whether the value is a property (file=, title=)
+ * @returns {string}
+ */
+function escapeWorkflowCommand(value, property = false) {
+  const escaped = String(value).replace(/%/g, '%25').replace(/\r/g, '%0D').replace(/\n/g, '%0A');
+  return property ? escaped.replace(/:/g, '%3A').replace(/,/g, '%2C') : escaped;
+}
+
+/**
+ * Render findings as GitHub Actions annotations
+ * @param {Object[]} findings - Result of collectFindings
+ * @returns {string}
+ */
+function formatGithub(findings) {
+  return findings
+    .map(finding => {
+      const properties = [`file=${escapeWorkflowCommand(finding.file, true)}`];
+      if (finding.line) properties.push(`line=${finding.line}`);
+      properties.push(`title=${escapeWorkflowCommand(`${finding.rule} ${finding.name}`, true)}`);
+      return `::${finding.severity} ${properties.join(',')}::${escapeWorkflowCommand(finding.message)}\n`;
+    })
+    .join('');
+}
+
+const FORMATTERS = { json: formatJson, sarif: formatSarif, github: formatGithub };
+
 /**
  * Main validation function
  */
 function main() {
+  const { values } = parseArgs({
+    options: {
+      fix: { type: 'boolean', default: false },
+      format: { type: 'string', default: 'text' },
+      output: { type: 'string' },
+      config: { type: 'string', default: CONFIG_FILE },
+    },
+  });
+  const { fix, format, output } = values;
+
+  if (!FORMATS.includes(format)) {
+    console.error(`✗ Unknown --format "${format}" (expected ${FORMATS.join(', ')})`);
+    process.exit(EXIT_ERROR);
+  }
+  quiet = format !== 'text';
+
+  try {
+    loadConfig(values.config);
+    taxonomy = existsSync(TAXONOMY_FILE) ? loadTaxonomy() : null;
+  } catch (e) {
+    console.error(`✗ ${e.message}`);
+    process.exit(EXIT_ERROR);
+  }
+
+  if (fix) {
+    renameSkillDirectories();
+  }
+
   const validSkills = getSkillNames();
   const validSubagents = getSubagentNames();
-  console.log(`Found ${validSkills.size} skills in catalog`);
-  console.log(`Found ${validSubagents.size} subagents in catalog\n`);
+  log(`Found ${validSkills.size} skills in catalog`);
+  log(`Found ${validSubagents.size} subagents in catalog\n`);
 
   // Validate skills
-  console.log('Validating skills...');
+  log('Validating skills...');
   const skillFiles = findMarkdownFiles(SKILLS_DIR);
   for (const file of skillFiles) {
     if (basename(file) === 'SKILL.md') {
-      validateFile(file, 'skills', validSkills, validSubagents);
+      validateFile(file, 'skills', validSkills, validSubagents, { fix });
 
       // Check kebab-case naming
       const skillName = basename(file.replace('/SKILL.md', ''));
       if (!isKebabCase(skillName)) {
-        stats.warnings.push({
+        report({
           file,
-          message: `Skill directory "${skillName}" should use kebab-case (e.g., "${skillName.toLowerCase().replace(/_/g, '-').replace(/\s+/g, '-')}")`,
+          rule: 'FM007',
+          message: `Skill directory "${skillName}" should use kebab-case (e.g., "${toKebabCase(skillName)}"); run with --fix to rename it`,
         });
       }
     }
   }
 
   // Validate subagents
-  console.log('Validating subagents...');
+  log('Validating subagents...');
   const subagentFiles = findMarkdownFiles(SUBAGENTS_DIR);
   for (const file of subagentFiles) {
-    validateFile(file, 'subagents', validSkills, validSubagents);
+    validateFile(file, 'subagents', validSkills, validSubagents, { fix });
 
     // Check kebab-case naming
     const fileName = basename(file, '.md');
     if (!isKebabCase(fileName)) {
-      stats.warnings.push({
+      report({
         file,
+        rule: 'FM007',
         message: `Subagent file "${fileName}" should use kebab-case`,
       });
     }
   }
 
   // Validate rules
-  console.log('Validating rules...');
+  log('Validating rules...');
   const ruleFiles = findMarkdownFiles(RULES_DIR);
   for (const file of ruleFiles) {
-    validateFile(file, 'rules', validSkills, validSubagents);
+    validateFile(file, 'rules', validSkills, validSubagents, { fix });
   }
 
   // Validate commands
-  console.log('Validating commands...');
+  log('Validating commands...');
   const commandFiles = findMarkdownFiles(COMMANDS_DIR);
   for (const file of commandFiles) {
-    validateFile(file, 'commands', validSkills, validSubagents);
+    validateFile(file, 'commands', validSkills, validSubagents, { fix });
+  }
+
+  const exitCode = stats.errors.length > 0 ? EXIT_ERROR : EXIT_SUCCESS;
+
+  if (format !== 'text') {
+    const report = FORMATTERS[format](collectFindings());
+    if (output) {
+      writeFileSync(output, report);
+    } else {
+      process.stdout.write(report);
+    }
+    process.exitCode = exitCode;
+    return;
   }
 
   // Report results
@@ -389,13 +1317,19 @@ function main() {
   console.log(`Files checked: ${stats.filesChecked}`);
   console.log(`Errors: ${stats.errors.length}`);
   console.log(`Warnings: ${stats.warnings.length}`);
+  if (stats.suppressed > 0) {
+    console.log(`Suppressed: ${stats.suppressed}`);
+  }
+  if (fix) {
+    console.log(`Fixed: ${stats.fixed}`);
+  }
   console.log(`${'='.repeat(70)}\n`);
 
   if (stats.errors.length > 0) {
     console.log('ERRORS:');
     for (const error of stats.errors) {
       console.log(`  ❌ ${error.file}${error.line ? `:${error.line}` : ''}`);
-      console.log(`     ${error.message}\n`);
+      console.log(`     [${error.rule}] ${error.message}\n`);
     }
   }
 
@@ -403,20 +1337,18 @@ function main() {
     console.log('WARNINGS:');
     for (const warning of stats.warnings) {
       console.log(`  ⚠️  ${warning.file}${warning.line ? `:${warning.line}` : ''}`);
-      console.log(`     ${warning.message}\n`);
+      console.log(`     [${warning.rule}] ${warning.message}\n`);
     }
   }
 
   if (stats.errors.length === 0 && stats.warnings.length === 0) {
     console.log('✅ All files passed validation!\n');
-    process.exit(EXIT_SUCCESS);
   } else if (stats.errors.length === 0) {
     console.log('✅ No errors, but warnings present.\n');
-    process.exit(EXIT_SUCCESS);
   } else {
     console.log('❌ Validation failed. Please fix errors above.\n');
-    process.exit(EXIT_ERROR);
   }
+  process.exitCode = exitCode;
 }
 
 // Run if executed directly
@@ -424,4 +1356,19 @@ if (import.meta.url === `file://${process.argv[1]}`) {
   main();
 }
 
-export { extractFrontmatter, validateFile, getSkillNames };
+export {
+  RULES,
+  PLATFORM_SCHEMAS,
+  createConfig,
+  loadConfig,
+  extractFrontmatter,
+  validateFile,
+  getSkillNames,
+  toKebabCase,
+  closestName,
+  fixFrontmatter,
+  renameSkillDirectories,
+  formatJson,
+  formatSarif,
+  formatGithub,
+};
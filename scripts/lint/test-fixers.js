@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+/**
+ * Golden-file tests for the markdown and frontmatter fixers
+ *
+ * Usage: node scripts/lint/test-fixers.js [<fixer>...] [--verbose]
+ *
+ * Each case under scripts/lint/fixtures/<fixer>/ is a pair of files,
+ * <case>.input.md and <case>.expected.md. The fixer runs on the input and
+ * must produce the expected file byte for byte; failures print a unified diff.
+ * Fixing the expected file again must not change it either.
+ *
+ * Fixers:
+ * - fix-markdown: fixMarkdown from scripts/fix-markdown.js
+ * - lint-frontmatter: fixFrontmatter from scripts/lint/lint-frontmatter.js, as a skill
+ */
+
+import { readFileSync, readdirSync } from 'fs';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import { fixMarkdown } from '../fix-markdown.js';
+import { unifiedDiff } from '../lib/diff.js';
+import { fixFrontmatter } from './lint-frontmatter.js';
+
+// Exit codes
+const EXIT_SUCCESS = 0;
+const EXIT_FAILURE = 1;
+const EXIT_CONFIG = 2;
+
+const FIXTURES_DIR = join(fileURLToPath(new URL('.', import.meta.url)), 'fixtures');
+const INPUT_SUFFIX = '.input.md';
+const EXPECTED_SUFFIX = '.expected.md';
+
+// Fixer name (fixtures subdirectory) -> content => fixed content
+const FIXERS = {
+  'fix-markdown': fixMarkdown,
+  'lint-frontmatter': content => fixFrontmatter(content, 'skills').content,
+};
+
+/**
+ * List the cases of a fixer
+ * @param {string} fixer - Fixer name
+ * @returns {{name: string, input: string, expected: string}[]} Cases sorted by name
+ */
+function loadCases(fixer) {
+  const dir = join(FIXTURES_DIR, fixer);
+  return readdirSync(dir)
+    .filter(file => file.endsWith(INPUT_SUFFIX))
+    .sort()
+    .map(file => {
+      const name = file.slice(0, -INPUT_SUFFIX.length);
+      return {
+        name,
+        input: join(dir, file),
+        expected: join(dir, `${name}${EXPECTED_SUFFIX}`),
+      };
+    });
+}
+
+/**
+ * Run one golden-file case
+ * @param {Function} fix - Fixer
+ * @param {{name: string, input: string, expected: string}} testCase - Case
+ * @returns {{name: string, passed: boolean, message: string}}
+ */
+function runCase(fix, testCase) {
+  let expected;
+  try {
+    expected = readFileSync(testCase.expected, 'utf-8');
+  } catch {
+    return { name: testCase.name, passed: false, message: `Missing ${testCase.expected}` };
+  }
+
+  const actual = fix(readFileSync(testCase.input, 'utf-8'));
+  if (actual !== expected) {
+    const diff = unifiedDiff(expected, actual, { fromLabel: 'expected', toLabel: 'actual' });
+    return { name: testCase.name, passed: false, message: `Output differs:\n${diff}` };
+  }
+
+  const again = fix(expected);
+  if (again !== expected) {
+    const diff = unifiedDiff(expected, again, { fromLabel: 'expected', toLabel: 'refixed' });
+    return { name: testCase.name, passed: false, message: `Not idempotent:\n${diff}` };
+  }
+
+  return { name: testCase.name, passed: true, message: 'Matches expected output' };
+}
+
+/**
+ * CLI entry point
+ * @returns {number} Exit code
+ */
+function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      verbose: { type: 'boolean', default: false },
+    },
+  });
+
+  const fixers = positionals.length > 0 ? positionals : Object.keys(FIXERS);
+  const unknown = fixers.filter(fixer => !FIXERS[fixer]);
+  if (unknown.length > 0) {
+    console.error(
+      `✗ Unknown fixer: ${unknown.join(', ')} (expected ${Object.keys(FIXERS).join(', ')})`
+    );
+    return EXIT_CONFIG;
+  }
+
+  let passed = 0;
+  let failed = 0;
+  for (const fixer of fixers) {
+    const results = loadCases(fixer).map(testCase => runCase(FIXERS[fixer], testCase));
+    console.log(`${fixer}:`);
+    for (const result of results) {
+      console.log(`  ${result.passed ? '✓' : '✗'} ${result.name}`);
+      if (!result.passed || values.verbose) {
+        console.log(result.message.replace(/^/gm, '      '));
+      }
+      if (result.passed) passed++;
+      else failed++;
+    }
+  }
+
+  console.log(`\n${passed} passed, ${failed} failed`);
+  return failed > 0 ? EXIT_FAILURE : EXIT_SUCCESS;
+}
+
+// Run if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  process.exitCode = main();
+}
+
+export { FIXERS, loadCases, runCase };